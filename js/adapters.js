@@ -0,0 +1,452 @@
+/**
+ * Data Source Adapters Module
+ * Provides pluggable sources of live readings (simulator, REST polling, WebSocket push)
+ * that the EnergyDataManager delegates to
+ */
+
+class DataSourceAdapter {
+    constructor(options = {}) {
+        this.options = options;
+        this.status = 'disconnected';
+        this.lastError = null;
+        this.latestReading = null;
+    }
+
+    /**
+     * Start receiving readings
+     */
+    connect() {
+        this.status = 'connected';
+    }
+
+    /**
+     * Stop receiving readings and release resources
+     */
+    disconnect() {
+        this.status = 'disconnected';
+    }
+
+    /**
+     * Get the latest reading, or null when the source has nothing usable yet.
+     * Readings have the shape:
+     * { timestamp, generation: { solar, wind }, households?: { [householdId]: { [deviceId]: kW } },
+     *   vehicles?: { [householdId]: { [deviceId]: { soc, pluggedIn } } },
+     *   weather?: { cloudCover, windSpeed, temperature }, modelTime? (when the source models a different time),
+     *   conditions?: { ambientTemperature, gridAvailable, batteryFault, loadFactor, coolingLoadFactor } }
+     */
+    read(now = new Date()) {
+        if (!this.latestReading) return null;
+
+        // Treat readings older than three expected intervals as unusable
+        const staleAfter = (this.options.pollInterval || 5000) * 3;
+        if (now - this.latestReading.timestamp > staleAfter) {
+            this.status = 'stale';
+            return null;
+        }
+
+        return this.latestReading;
+    }
+
+    /**
+     * Normalize a raw payload from a meter gateway into a reading
+     */
+    normalizeReading(payload) {
+        if (!payload || !payload.generation) {
+            throw new Error('Reading is missing generation data');
+        }
+
+        const timestamp = payload.timestamp ? new Date(payload.timestamp) : new Date();
+        // An unparseable time would never be judged stale
+        if (isNaN(timestamp.getTime())) {
+            throw new Error(`Reading has an invalid timestamp: ${payload.timestamp}`);
+        }
+
+        const reading = {
+            timestamp,
+            generation: {
+                solar: Number(payload.generation.solar) || 0,
+                wind: Number(payload.generation.wind) || 0
+            }
+        };
+
+        if (payload.households && typeof payload.households === 'object') {
+            reading.households = payload.households;
+        }
+
+        if (payload.vehicles && typeof payload.vehicles === 'object') {
+            reading.vehicles = payload.vehicles;
+        }
+
+        if (payload.weather && typeof payload.weather === 'object') {
+            reading.weather = payload.weather;
+        }
+
+        if (payload.conditions && typeof payload.conditions === 'object') {
+            reading.conditions = payload.conditions;
+        }
+
+        return reading;
+    }
+
+    /**
+     * Send a control command to the site, e.g.
+     * { type: 'evChargeRate', householdId, deviceId, powerKw, currentA }.
+     * Resolves true when delivered; sources that cannot control devices resolve false.
+     */
+    async sendCommand(command) {
+        return false;
+    }
+
+    /**
+     * Get adapter status for display
+     */
+    getStatus() {
+        return {
+            status: this.status,
+            lastError: this.lastError,
+            lastReadingAt: this.latestReading ? this.latestReading.timestamp : null
+        };
+    }
+}
+
+/**
+ * Weather-driven model used for demos and development (the default source).
+ * Options: seed (same seed gives the same data stream), scenario (a SIMULATOR_SCENARIOS key)
+ * and site (SiteGenerationModel configuration). A seeded run models time from a start picked by
+ * the seed rather than the clock, so weather and generation replay whenever it is started.
+ */
+class SimulatorAdapter extends DataSourceAdapter {
+    constructor(options = {}) {
+        const seeded = options.seed !== undefined && options.seed !== '';
+        const seed = seeded ? String(options.seed) : String(Math.floor(Math.random() * 1000000));
+        super({ ...options, seed });
+
+        this.seeded = seeded;
+        this.startTime = seeded ? this.getSeededStartTime(seed) : null;
+        this.connectedAt = null;
+        this.rng = new SeededRandom(seed);
+        this.scenario = this.resolveScenario(options.scenario);
+        this.generationModel = new SiteGenerationModel(options.site);
+        this.weather = window.weatherProvider;
+        this.ready = Promise.resolve();
+    }
+
+    connect() {
+        super.connect();
+        this.connectedAt = Date.now();
+        this.ready = this.weather.load();
+    }
+
+    /**
+     * Start of a seeded run: 06:00 on a day of SIMULATOR_SEEDED_START_YEAR picked by the seed
+     */
+    getSeededStartTime(seed) {
+        const day = SeededRandom.hash(`${seed}:start`) % 365;
+        return new Date(SIMULATOR_SEEDED_START_YEAR, 0, 1 + day, 6).getTime();
+    }
+
+    /**
+     * Time the model runs at for a clock time: the clock itself, or for a seeded run the seeded
+     * start plus the time since connecting
+     */
+    getModelTime(time) {
+        if (!this.seeded) return time;
+        return new Date(this.startTime + (time.getTime() - (this.connectedAt || time.getTime())));
+    }
+
+    /**
+     * Modelled devices follow their setpoints in the consumption model, so commands always land
+     */
+    async sendCommand(command) {
+        return true;
+    }
+
+    /**
+     * Update the site used for generation (location, PV array and turbine)
+     */
+    configureSite(site) {
+        this.generationModel.configure(site);
+    }
+
+    /**
+     * Get a scenario with defaults filled in (unknown names fall back to normal operation)
+     */
+    resolveScenario(id) {
+        const scenarioId = SIMULATOR_SCENARIOS[id] ? id : 'normal';
+        return {
+            id: scenarioId,
+            ...SIMULATOR_SCENARIO_DEFAULTS,
+            ...SIMULATOR_SCENARIOS[scenarioId]
+        };
+    }
+
+    /**
+     * Next number from the seeded stream
+     */
+    random() {
+        return this.rng.next();
+    }
+
+    /**
+     * Solar and wind output at a time from the site weather, with scenario factors applied
+     */
+    getGeneration(time, weather) {
+        const scenario = this.scenario;
+        const hour = time.getHours();
+        const isNight = hour < 6 || hour >= 18;
+
+        return {
+            solar: this.generationModel.getSolarPower(time, weather) * scenario.solarFactor,
+            wind: this.generationModel.getWindPower(weather) * scenario.windFactor *
+                (isNight ? scenario.nightWindFactor : 1)
+        };
+    }
+
+    /**
+     * Generate a fresh simulated reading for the given time
+     */
+    read(now = new Date()) {
+        const modelTime = this.getModelTime(now);
+        const weather = this.weather.getWeather(modelTime, this.options.seed);
+
+        // Gusts make turbine output flicker between readings
+        const gust = { ...weather, windSpeed: weather.windSpeed * (0.9 + this.random() * 0.2) };
+        const generation = this.getGeneration(modelTime, gust);
+
+        this.latestReading = {
+            timestamp: now,
+            modelTime,
+            generation,
+            weather,
+            conditions: this.getConditions(weather)
+        };
+
+        return this.latestReading;
+    }
+
+    /**
+     * Site conditions the scenario and weather impose on the rest of the system
+     */
+    getConditions(weather) {
+        return {
+            ambientTemperature: this.scenario.ambientTemperature !== undefined ? 
+                this.scenario.ambientTemperature : weather.temperature,
+            loadFactor: this.scenario.loadFactor,
+            coolingLoadFactor: this.scenario.coolingLoadFactor,
+            gridAvailable: this.scenario.gridAvailable,
+            batteryFault: this.scenario.batteryFault
+        };
+    }
+
+    /**
+     * Estimate average generation (in total and by source) and consumption at a past time, used to backfill history on first run.
+     * Values depend only on the seed and the time, so backfilling does not disturb the live stream.
+     */
+    sampleHistory(clockTime) {
+        const time = this.getModelTime(clockTime);
+        const rng = new SeededRandom(`${this.options.seed}:${time.getTime()}`);
+        const hour = time.getHours();
+        const day = time.getDay();
+        const { solar, wind } = this.getGeneration(time, this.weather.getWeather(time, this.options.seed));
+        
+        // Consumption pattern (higher during peak hours and weekdays)
+        let consumptionBase = 4;
+        if (day >= 1 && day <= 5) { // Weekdays
+            if ((hour >= 7 && hour <= 9) || (hour >= 18 && hour <= 22)) {
+                consumptionBase = 8;
+            } else if (hour >= 10 && hour <= 17) {
+                consumptionBase = 6;
+            }
+        } else { // Weekends
+            if (hour >= 10 && hour <= 22) {
+                consumptionBase = 7;
+            }
+        }
+        
+        return {
+            generation: solar + wind,
+            solar,
+            wind,
+            consumption: (consumptionBase + rng.next() * 3) * this.scenario.loadFactor
+        };
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            seed: this.options.seed,
+            scenario: this.scenario.id,
+            modelTime: this.seeded ? this.getModelTime(new Date()) : null
+        };
+    }
+}
+
+/**
+ * Polls a REST endpoint that returns the latest reading as JSON
+ */
+class RestPollingAdapter extends DataSourceAdapter {
+    constructor(options = {}) {
+        super({ pollInterval: 5000, ...options });
+        this.pollTimer = null;
+    }
+
+    connect() {
+        if (!this.options.url) {
+            this.status = 'error';
+            this.lastError = 'No endpoint URL configured';
+            return;
+        }
+
+        this.status = 'connecting';
+        this.poll();
+        this.pollTimer = setInterval(() => this.poll(), this.options.pollInterval);
+    }
+
+    disconnect() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.status = 'disconnected';
+    }
+
+    /**
+     * Fetch one reading from the endpoint
+     */
+    async poll() {
+        try {
+            const response = await fetch(this.options.url, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.latestReading = this.normalizeReading(await response.json());
+            this.status = 'connected';
+            this.lastError = null;
+        } catch (error) {
+            this.status = 'error';
+            this.lastError = error.message;
+            console.error('REST data source error:', error);
+        }
+    }
+
+    /**
+     * POST a command as JSON to the command endpoint (options.commandUrl)
+     */
+    async sendCommand(command) {
+        if (!this.options.commandUrl) return false;
+
+        try {
+            const response = await fetch(this.options.commandUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(command)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            this.lastError = `Command failed: ${error.message}`;
+            console.error('REST command error:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Receives readings pushed over a WebSocket connection
+ */
+class WebSocketAdapter extends DataSourceAdapter {
+    constructor(options = {}) {
+        super({ reconnectDelay: 5000, ...options });
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.shouldReconnect = false;
+    }
+
+    connect() {
+        if (!this.options.url) {
+            this.status = 'error';
+            this.lastError = 'No WebSocket URL configured';
+            return;
+        }
+
+        this.shouldReconnect = true;
+        this.openSocket();
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.status = 'disconnected';
+    }
+
+    /**
+     * Open the socket and wire up handlers
+     */
+    openSocket() {
+        this.status = 'connecting';
+
+        try {
+            this.socket = new WebSocket(this.options.url);
+        } catch (error) {
+            this.status = 'error';
+            this.lastError = error.message;
+            return;
+        }
+
+        this.socket.addEventListener('open', () => {
+            this.status = 'connected';
+            this.lastError = null;
+        });
+
+        this.socket.addEventListener('message', (event) => {
+            try {
+                this.latestReading = this.normalizeReading(JSON.parse(event.data));
+            } catch (error) {
+                this.lastError = error.message;
+                console.error('WebSocket data source error:', error);
+            }
+        });
+
+        this.socket.addEventListener('error', () => {
+            this.status = 'error';
+            this.lastError = 'WebSocket connection error';
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.socket = null;
+            if (this.shouldReconnect) {
+                this.status = 'reconnecting';
+                this.reconnectTimer = setTimeout(() => this.openSocket(), this.options.reconnectDelay);
+            }
+        });
+    }
+
+    /**
+     * Send a command over the open socket as { type: 'command', command }
+     */
+    async sendCommand(command) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+
+        this.socket.send(JSON.stringify({ type: 'command', command }));
+        return true;
+    }
+}
+
+// Adapter registry, keyed by the type stored in settings
+window.dataSourceAdapters = {
+    simulator: SimulatorAdapter,
+    rest: RestPollingAdapter,
+    websocket: WebSocketAdapter
+};
@@ -0,0 +1,275 @@
+/**
+ * Alert History Module
+ * Every alert raised is kept in a persisted history and moves through a lifecycle:
+ * raised -> acknowledged -> resolved. Acknowledging and resolving record who did it and when;
+ * alerts raised by an alert rule are resolved automatically when the rule's condition clears.
+ * An open alert can be snoozed, which holds back its notifications until the snooze ends.
+ * Each alert also records its deliveries to notification channels (see NotificationChannels).
+ */
+
+const ALERT_STATES = {
+    raised: 'Raised',
+    acknowledged: 'Acknowledged',
+    resolved: 'Resolved'
+};
+
+// Who is recorded for alerts resolved by the system rather than a person
+const ALERT_SYSTEM_USER = 'System';
+
+// Snooze lengths offered on each alert; "until tomorrow" ends at 08:00 the next day
+const ALERT_SNOOZE_OPTIONS = {
+    '15m': { label: '15 minutes', until: now => new Date(now.getTime() + 15 * 60 * 1000) },
+    '1h': { label: '1 hour', until: now => new Date(now.getTime() + 60 * 60 * 1000) },
+    tomorrow: {
+        label: 'Until tomorrow',
+        until: now => new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 8, 0)
+    }
+};
+
+class AlertHistory {
+    constructor(storageKey = 'energyAlertHistory', maxEntries = 1000) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.alerts = [];
+        this.nextSequence = 0;
+        // Bumped on every change, so views can tell when to re-render
+        this.revision = 0;
+        this.load();
+    }
+
+    /**
+     * Load the history from localStorage, turning saved times back into dates. Deliveries cut off
+     * by the page closing are marked failed so they are retried.
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.alerts = Array.isArray(saved) ? saved.map(alert => ({
+                ...alert,
+                timestamp: new Date(alert.timestamp),
+                acknowledgedAt: alert.acknowledgedAt ? new Date(alert.acknowledgedAt) : null,
+                resolvedAt: alert.resolvedAt ? new Date(alert.resolvedAt) : null,
+                snoozedUntil: alert.snoozedUntil ? new Date(alert.snoozedUntil) : null,
+                deliveries: Object.fromEntries(Object.entries(alert.deliveries || {}).map(([channelId, delivery]) => [
+                    channelId,
+                    delivery.status === 'sending' ?
+                        { ...delivery, status: 'failed', error: 'Interrupted', nextRetryAt: delivery.lastAttemptAt } : delivery
+                ]))
+            })) : [];
+        } catch (error) {
+            console.error('Error loading alert history:', error);
+            this.alerts = [];
+        }
+    }
+
+    /**
+     * Save the history. Once it is full the oldest resolved alerts are dropped; open alerts are always kept.
+     */
+    save() {
+        if (this.alerts.length > this.maxEntries) {
+            let excess = this.alerts.length - this.maxEntries;
+            for (let i = this.alerts.length - 1; i >= 0 && excess > 0; i--) {
+                if (this.alerts[i].state === 'resolved') {
+                    this.alerts.splice(i, 1);
+                    excess--;
+                }
+            }
+        }
+        this.revision++;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.alerts));
+    }
+
+    /**
+     * Get every alert, newest first
+     */
+    getAlerts() {
+        return this.alerts;
+    }
+
+    /**
+     * Find an alert by id
+     */
+    getAlert(alertId) {
+        return this.alerts.find(alert => alert.id === alertId) || null;
+    }
+
+    /**
+     * Alerts that are not resolved yet
+     */
+    getOpenAlerts() {
+        return this.alerts.filter(alert => alert.state !== 'resolved');
+    }
+
+    /**
+     * Open alert raised by a rule, if there is one
+     */
+    getOpenAlertForRule(ruleId) {
+        return this.alerts.find(alert => alert.ruleId === ruleId && alert.state !== 'resolved') || null;
+    }
+
+    /**
+     * Open alert raised by the anomaly detector for an anomaly, if there is one
+     */
+    getOpenAlertForAnomaly(anomalyKey) {
+        return this.alerts.find(alert => alert.anomalyKey === anomalyKey && alert.state !== 'resolved') || null;
+    }
+
+    /**
+     * Raise an alert ({ type, title, message, ruleId?, anomalyKey? }) and return it
+     */
+    add(alert, now = new Date()) {
+        const newAlert = {
+            ruleId: null,
+            ...alert,
+            id: `alert-${now.getTime()}-${this.nextSequence++}`,
+            timestamp: now,
+            state: 'raised',
+            acknowledgedBy: null,
+            acknowledgedAt: null,
+            resolvedBy: null,
+            resolvedAt: null,
+            resolution: null,
+            snoozedBy: null,
+            snoozedUntil: null,
+            // channelId -> { channelName, status, attempts, lastAttemptAt, nextRetryAt, error }
+            deliveries: {}
+        };
+
+        this.alerts.unshift(newAlert);
+        this.save();
+        return newAlert;
+    }
+
+    /**
+     * Acknowledge a raised alert. Returns false when the alert is unknown or already past that state.
+     */
+    acknowledge(alertId, user, now = new Date()) {
+        const alert = this.getAlert(alertId);
+        if (!alert || alert.state !== 'raised') return false;
+
+        alert.state = 'acknowledged';
+        alert.acknowledgedBy = user;
+        alert.acknowledgedAt = now;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Resolve an open alert, with a note on how it was resolved
+     */
+    resolve(alertId, user, resolution = 'Resolved manually', now = new Date()) {
+        const alert = this.getAlert(alertId);
+        if (!alert || alert.state === 'resolved') return false;
+
+        alert.state = 'resolved';
+        alert.resolvedBy = user;
+        alert.resolvedAt = now;
+        alert.resolution = resolution;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Snooze an open alert for one of ALERT_SNOOZE_OPTIONS
+     */
+    snooze(alertId, option, user, now = new Date()) {
+        const alert = this.getAlert(alertId);
+        if (!alert || alert.state === 'resolved' || !ALERT_SNOOZE_OPTIONS[option]) return false;
+
+        alert.snoozedBy = user;
+        alert.snoozedUntil = ALERT_SNOOZE_OPTIONS[option].until(now);
+        this.save();
+        return true;
+    }
+
+    /**
+     * End an alert's snooze early
+     */
+    unsnooze(alertId) {
+        const alert = this.getAlert(alertId);
+        if (!alert || !alert.snoozedUntil) return false;
+
+        alert.snoozedBy = null;
+        alert.snoozedUntil = null;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Check whether an alert is snoozed at a time
+     */
+    isSnoozed(alert, now = new Date()) {
+        return !!alert.snoozedUntil && alert.snoozedUntil > now;
+    }
+
+    /**
+     * End snoozes that have run out on open alerts, returning those alerts so they can be notified again
+     */
+    wakeSnoozed(now = new Date()) {
+        const woken = this.getOpenAlerts().filter(alert => alert.snoozedUntil && alert.snoozedUntil <= now);
+        woken.forEach(alert => {
+            alert.snoozedBy = null;
+            alert.snoozedUntil = null;
+        });
+
+        if (woken.length > 0) {
+            this.save();
+        }
+        return woken;
+    }
+
+    /**
+     * Record a delivery attempt, or its outcome, for one channel on an alert
+     */
+    recordDelivery(alertId, channelId, delivery) {
+        const alert = this.getAlert(alertId);
+        if (!alert) return false;
+
+        alert.deliveries = { ...alert.deliveries, [channelId]: { ...alert.deliveries[channelId], ...delivery } };
+        this.save();
+        return true;
+    }
+
+    /**
+     * Resolve every open alert; returns how many were resolved
+     */
+    resolveAll(user, resolution = 'Resolved manually', now = new Date()) {
+        const open = this.getOpenAlerts();
+        open.forEach(alert => {
+            Object.assign(alert, { state: 'resolved', resolvedBy: user, resolvedAt: now, resolution });
+        });
+
+        if (open.length > 0) {
+            this.save();
+        }
+        return open.length;
+    }
+
+    /**
+     * Alerts matching a search: state ('open' for raised or acknowledged), severity type and
+     * free text found in the title, message or the names recorded against the alert
+     */
+    search({ state = 'all', type = 'all', query = '' } = {}) {
+        const text = query.trim().toLowerCase();
+
+        return this.alerts.filter(alert => {
+            if (state === 'open' ? alert.state === 'resolved' : state !== 'all' && alert.state !== state) {
+                return false;
+            }
+            if (type !== 'all' && alert.type !== type) {
+                return false;
+            }
+            if (!text) {
+                return true;
+            }
+            return [alert.title, alert.message, alert.acknowledgedBy, alert.resolvedBy, alert.resolution]
+                .some(value => value && String(value).toLowerCase().includes(text));
+        });
+    }
+}
+
+// Export for external access
+window.ALERT_STATES = ALERT_STATES;
+window.ALERT_SYSTEM_USER = ALERT_SYSTEM_USER;
+window.ALERT_SNOOZE_OPTIONS = ALERT_SNOOZE_OPTIONS;
+window.AlertHistory = AlertHistory;
@@ -0,0 +1,307 @@
+/**
+ * Alert Rules Module
+ * Alert rules raise an alert when a metric crosses a threshold and stays there for a duration,
+ * e.g. "Battery charge < 20 % for 5 minutes", at most a set number of times an hour so a reading
+ * that hovers around the threshold cannot flood the history. The rule set belongs to the alerts subsystem and is
+ * evaluated by the data manager on every tick. Two built-in rules back the threshold sliders on the
+ * Alerts tab; they can be edited and disabled but not deleted.
+ */
+
+const DEFAULT_ALERT_RULES = [
+    {
+        id: 'low-battery',
+        name: 'Low Battery',
+        metric: 'batteryLevel',
+        comparator: '<',
+        threshold: 20,
+        durationMinutes: 0,
+        maxPerHour: 4,
+        severity: 'warning',
+        enabled: true,
+        builtIn: true
+    },
+    {
+        id: 'high-grid-load',
+        name: 'High Grid Load',
+        metric: 'gridLoad',
+        comparator: '>',
+        threshold: 80,
+        durationMinutes: 0,
+        maxPerHour: 4,
+        severity: 'warning',
+        enabled: true,
+        builtIn: true
+    },
+    {
+        id: 'critical-battery',
+        name: 'Critical Battery Level',
+        metric: 'batteryLevel',
+        comparator: '<',
+        threshold: 10,
+        durationMinutes: 0,
+        maxPerHour: 4,
+        severity: 'critical',
+        enabled: true
+    }
+];
+
+// Built-in rules and the alert setting (slider) that sets each one's threshold
+const ALERT_RULE_SETTINGS = {
+    'low-battery': 'batteryThreshold',
+    'high-grid-load': 'gridThreshold'
+};
+
+class AlertRuleSet {
+    /**
+     * legacyThresholds: slider values saved before rules existed ({ batteryThreshold, gridThreshold }),
+     * applied to the built-in rules when no rules have been saved yet
+     */
+    constructor(legacyThresholds = {}, storageKey = 'energyAlertRules') {
+        this.storageKey = storageKey;
+        this.rules = [];
+        // ruleId -> { since, active }: when the rule's condition started holding and whether it has fired
+        this.state = new Map();
+        // ruleId -> times (ms) the rule raised an alert in the last hour, for rate limiting
+        this.raisedTimes = new Map();
+        this.load(legacyThresholds);
+    }
+
+    /**
+     * Load rules from localStorage, falling back to the defaults
+     */
+    load(legacyThresholds = {}) {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading alert rules:', error);
+        }
+
+        if (Array.isArray(saved)) {
+            this.rules = saved;
+            return;
+        }
+
+        this.rules = JSON.parse(JSON.stringify(DEFAULT_ALERT_RULES));
+        Object.entries(ALERT_RULE_SETTINGS).forEach(([ruleId, setting]) => {
+            if (typeof legacyThresholds[setting] === 'number') {
+                this.getRule(ruleId).threshold = legacyThresholds[setting];
+            }
+        });
+    }
+
+    /**
+     * Save rules
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+    }
+
+    /**
+     * Check a rule definition; throws with the first problem found
+     */
+    validateRule(rule) {
+        if (!rule.name || !String(rule.name).trim()) {
+            throw new Error('Rule name is required');
+        }
+        if (!CONDITION_METRICS[rule.metric]) {
+            throw new Error(`Unknown metric: ${rule.metric}`);
+        }
+        if (!CONDITION_COMPARATORS[rule.comparator]) {
+            throw new Error(`Unknown comparator: ${rule.comparator}`);
+        }
+        if (typeof rule.threshold !== 'number' || isNaN(rule.threshold)) {
+            throw new Error('Threshold must be a number');
+        }
+        if (typeof rule.durationMinutes !== 'number' || isNaN(rule.durationMinutes) || rule.durationMinutes < 0) {
+            throw new Error('Duration must be 0 or more minutes');
+        }
+        if (!ALERT_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Unknown severity: ${rule.severity}`);
+        }
+        if (rule.maxPerHour !== undefined && (!Number.isInteger(rule.maxPerHour) || rule.maxPerHour < 0)) {
+            throw new Error('Rate limit must be a whole number of alerts per hour (0 for no limit)');
+        }
+    }
+
+    /**
+     * Get rules
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Find a rule by id
+     */
+    getRule(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId) || null;
+    }
+
+    /**
+     * Add a rule after validating it
+     */
+    addRule(rule) {
+        this.validateRule(rule);
+
+        const newRule = { enabled: true, ...rule, id: `rule-${Date.now()}`, builtIn: false };
+        this.rules.push(newRule);
+        this.save();
+        return newRule;
+    }
+
+    /**
+     * Change a rule; it starts timing again from the next evaluation
+     */
+    updateRule(ruleId, changes) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            throw new Error(`Unknown alert rule: ${ruleId}`);
+        }
+        this.validateRule({ ...rule, ...changes });
+
+        Object.assign(rule, changes, { id: rule.id, builtIn: rule.builtIn });
+        this.state.delete(ruleId);
+        this.save();
+        return rule;
+    }
+
+    /**
+     * Delete a rule; built-in rules can only be disabled
+     */
+    removeRule(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule) return false;
+        if (rule.builtIn) {
+            throw new Error(`${rule.name} is a built-in rule and cannot be deleted`);
+        }
+
+        this.rules = this.rules.filter(r => r.id !== ruleId);
+        this.state.delete(ruleId);
+        this.raisedTimes.delete(ruleId);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Enable or disable a rule
+     */
+    setEnabled(ruleId, enabled) {
+        const rule = this.getRule(ruleId);
+        if (!rule) return false;
+
+        rule.enabled = enabled;
+        this.state.delete(ruleId);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Threshold of the built-in rule behind an alert setting ('batteryThreshold' or 'gridThreshold')
+     */
+    getSettingThreshold(setting) {
+        const ruleId = Object.keys(ALERT_RULE_SETTINGS).find(id => ALERT_RULE_SETTINGS[id] === setting);
+        const rule = ruleId && this.getRule(ruleId);
+        return rule ? rule.threshold : null;
+    }
+
+    /**
+     * Set the threshold of the built-in rule behind an alert setting
+     */
+    setSettingThreshold(setting, threshold) {
+        const ruleId = Object.keys(ALERT_RULE_SETTINGS).find(id => ALERT_RULE_SETTINGS[id] === setting);
+        if (!ruleId || !this.getRule(ruleId)) return false;
+
+        this.updateRule(ruleId, { threshold });
+        return true;
+    }
+
+    /**
+     * Whether a rule's condition held at the last evaluation (whether or not it has fired yet)
+     */
+    isHolding(ruleId) {
+        return this.state.has(ruleId);
+    }
+
+    /**
+     * Check whether a rule has raised its maximum number of alerts in the last hour
+     */
+    isRateLimited(rule, now) {
+        const times = (this.raisedTimes.get(rule.id) || []).filter(time => now - time < 60 * 60 * 1000);
+        this.raisedTimes.set(rule.id, times);
+        return rule.maxPerHour > 0 && times.length >= rule.maxPerHour;
+    }
+
+    /**
+     * Evaluate every enabled rule against the condition context. A rule fires once when its
+     * condition has held for its duration, and re-arms when the condition stops holding.
+     * Firing over the rule's rate limit is suppressed rather than raised.
+     * Returns { raised: [{ rule, value, message }], cleared: [rule], suppressed: [rule] }.
+     */
+    evaluate(context) {
+        const raised = [];
+        const cleared = [];
+        const suppressed = [];
+        const now = context.now.getTime();
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+
+            const metric = CONDITION_METRICS[rule.metric];
+            const value = metric.read(context.data, context);
+            const holds = CONDITION_COMPARATORS[rule.comparator](value, rule.threshold);
+            const state = this.state.get(rule.id);
+
+            if (!holds) {
+                if (state && state.active) {
+                    cleared.push(rule);
+                }
+                this.state.delete(rule.id);
+                return;
+            }
+
+            if (!state) {
+                this.state.set(rule.id, { since: now, active: false });
+            }
+            const current = this.state.get(rule.id);
+            if (!current.active && now - current.since >= rule.durationMinutes * 60 * 1000) {
+                current.active = true;
+                if (this.isRateLimited(rule, now)) {
+                    suppressed.push(rule);
+                    return;
+                }
+                this.raisedTimes.get(rule.id).push(now);
+                raised.push({ rule, value, message: this.describeBreach(rule, value) });
+            }
+        });
+
+        return { raised, cleared, suppressed };
+    }
+
+    /**
+     * Message for a rule that has fired, e.g. "Battery charge is 18 % (below 20 % for 5 minutes)"
+     */
+    describeBreach(rule, value) {
+        const metric = CONDITION_METRICS[rule.metric];
+        const direction = rule.comparator.startsWith('<') ? 'below' : 'above';
+        const duration = rule.durationMinutes > 0 ?
+            ` for ${rule.durationMinutes} minute${rule.durationMinutes === 1 ? '' : 's'}` : '';
+        const rounded = Math.round(value * 100) / 100;
+
+        return `${metric.label} is ${rounded} ${metric.unit} (${direction} ${rule.threshold} ${metric.unit}${duration})`;
+    }
+
+    /**
+     * Describe a rule's condition, e.g. "Battery charge < 20 % for 5 min"
+     */
+    describeRule(rule) {
+        const metric = CONDITION_METRICS[rule.metric];
+        const label = metric ? `${metric.label} ${rule.comparator} ${rule.threshold} ${metric.unit}` : rule.metric;
+        return rule.durationMinutes > 0 ? `${label} for ${rule.durationMinutes} min` : label;
+    }
+}
+
+// Export for external access
+window.DEFAULT_ALERT_RULES = DEFAULT_ALERT_RULES;
+window.ALERT_RULE_SETTINGS = ALERT_RULE_SETTINGS;
+window.AlertRuleSet = AlertRuleSet;
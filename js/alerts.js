@@ -1,18 +1,41 @@
 /**
  * Alerts & Notifications Management Module
- * Handles alert display, filtering, and configuration
+ * Handles alert display, filtering, and configuration, and owns the alert rules
+ * that the data manager evaluates and the channels alerts are sent to
  */
 
 class AlertsManager {
     constructor() {
         this.currentFilter = 'all';
+        this.currentStateFilter = 'open';
+        this.searchQuery = '';
+        this.visibleAlertCount = 50;
+        this.renderedRevision = null;
         this.alertSettings = {
-            batteryThreshold: 20,
-            gridThreshold: 80,
             pushNotifications: true,
-            emailAlerts: false
+            emailAlerts: false,
+            // Non-critical alerts are not notified during quiet hours
+            quietHours: { enabled: false, start: '22:00', end: '07:00' }
         };
+        this.conditions = new ConditionEvaluator();
         this.isInitialized = false;
+
+        // Settings are loaded up front because notifications go out before the Alerts tab is opened
+        let savedSettings = {};
+        try {
+            savedSettings = JSON.parse(localStorage.getItem('alertSettings')) || {};
+        } catch (error) {
+            console.error('Error reading alert settings:', error);
+        }
+        // Threshold sliders saved before alert rules existed seed the built-in rules
+        const { batteryThreshold, gridThreshold, ...settings } = savedSettings;
+        this.alertSettings = { ...this.alertSettings, ...settings };
+        this.alertRules = new AlertRuleSet(savedSettings);
+        this.editingAlertRuleId = null;
+        window.energyDataManager.setAlertRuleSet(this.alertRules);
+
+        this.notificationChannels = new NotificationChannels(window.energyDataManager.getAlertHistory());
+        this.editingChannelId = null;
     }
 
     /**
@@ -32,7 +55,7 @@ class AlertsManager {
      */
     setupEventListeners() {
         // Alert filter buttons
-        const filterButtons = document.querySelectorAll('#alerts-tab .filter-btn');
+        const filterButtons = document.querySelectorAll('#alerts-tab .filter-btn[data-type]');
         filterButtons.forEach(btn => {
             btn.addEventListener('click', () => {
                 const filterType = btn.getAttribute('data-type');
@@ -44,7 +67,44 @@ class AlertsManager {
             });
         });
 
-        // Clear all alerts button
+        // Alert state filter buttons
+        const stateButtons = document.querySelectorAll('#alerts-tab .filter-btn[data-state]');
+        stateButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setStateFilter(btn.getAttribute('data-state'));
+
+                stateButtons.forEach(f => f.classList.remove('active'));
+                btn.classList.add('active');
+            });
+        });
+
+        // Alert history search
+        const searchInput = document.getElementById('alert-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.searchQuery = e.target.value;
+                this.visibleAlertCount = 50;
+                this.renderAlerts();
+            });
+        }
+
+        // Acknowledge, resolve, unsnooze and show more buttons, and the snooze menus
+        const alertsList = document.getElementById('alerts-list');
+        if (alertsList) {
+            alertsList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) {
+                    this.handleAlertAction(button.getAttribute('data-action'), button.getAttribute('data-alert-id'));
+                }
+            });
+            alertsList.addEventListener('change', (e) => {
+                if (e.target.matches('.alert-snooze-select') && e.target.value) {
+                    this.handleAlertAction('snooze', e.target.getAttribute('data-alert-id'), e.target.value);
+                }
+            });
+        }
+
+        // Resolve all alerts button
         const clearAllBtn = document.getElementById('clear-all-alerts');
         if (clearAllBtn) {
             clearAllBtn.addEventListener('click', () => {
@@ -62,6 +122,12 @@ class AlertsManager {
 
         // Settings controls
         this.setupSettingsControls();
+
+        // Alert rules
+        this.setupAlertRuleEditor();
+
+        // Notification channels
+        this.setupChannelEditor();
     }
 
     /**
@@ -73,19 +139,20 @@ class AlertsManager {
         const pushNotifications = document.getElementById('push-notifications');
         const emailAlerts = document.getElementById('email-alerts');
 
+        // The sliders set the thresholds of the built-in alert rules
         if (batteryThreshold) {
             batteryThreshold.addEventListener('input', (e) => {
-                this.alertSettings.batteryThreshold = parseInt(e.target.value);
+                this.alertRules.setSettingThreshold('batteryThreshold', parseInt(e.target.value));
                 document.getElementById('battery-threshold-value').textContent = `${e.target.value}%`;
-                this.saveAlertSettings();
+                this.renderAlertRules();
             });
         }
 
         if (gridThreshold) {
             gridThreshold.addEventListener('input', (e) => {
-                this.alertSettings.gridThreshold = parseInt(e.target.value);
+                this.alertRules.setSettingThreshold('gridThreshold', parseInt(e.target.value));
                 document.getElementById('grid-threshold-value').textContent = `${e.target.value}%`;
-                this.saveAlertSettings();
+                this.renderAlertRules();
             });
         }
 
@@ -102,6 +169,43 @@ class AlertsManager {
                 this.saveAlertSettings();
             });
         }
+
+        // Quiet hours
+        [
+            ['quiet-hours-enabled', 'enabled', e => e.target.checked],
+            ['quiet-hours-start', 'start', e => e.target.value],
+            ['quiet-hours-end', 'end', e => e.target.value]
+        ].forEach(([id, key, read]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const value = read(e);
+                    // An emptied time input keeps the previous time
+                    if (value === '') return;
+                    this.alertSettings.quietHours = { ...this.alertSettings.quietHours, [key]: value };
+                    this.saveAlertSettings();
+                });
+            }
+        });
+
+        // Anomaly detection belongs to the data manager, which saves its own settings
+        [
+            ['anomaly-enabled', 'enabled', e => e.target.checked],
+            ['anomaly-household-ratio', 'householdRatio', e => parseFloat(e.target.value)],
+            ['anomaly-generation-shortfall', 'generationShortfall', e => parseFloat(e.target.value)]
+        ].forEach(([id, key, read]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    try {
+                        window.energyDataManager.getAnomalyDetector().updateSettings({ [key]: read(e) });
+                    } catch (error) {
+                        alert(`Anomaly detection settings not saved: ${error.message}`);
+                    }
+                    this.showAnomalySettings();
+                });
+            }
+        });
     }
 
     /**
@@ -109,6 +213,16 @@ class AlertsManager {
      */
     setFilter(filterType) {
         this.currentFilter = filterType;
+        this.visibleAlertCount = 50;
+        this.renderAlerts();
+    }
+
+    /**
+     * Set alert state filter ('open', 'raised', 'acknowledged', 'resolved' or 'all')
+     */
+    setStateFilter(state) {
+        this.currentStateFilter = state;
+        this.visibleAlertCount = 50;
         this.renderAlerts();
     }
 
@@ -119,19 +233,30 @@ class AlertsManager {
         const alertsList = document.getElementById('alerts-list');
         if (!alertsList) return;
 
-        const alerts = window.energyDataManager.getAlertsData();
-        let filteredAlerts = alerts;
+        this.renderedRevision = window.energyDataManager.getAlertHistory().revision;
+        const filteredAlerts = window.energyDataManager.searchAlerts({
+            state: this.currentStateFilter,
+            type: this.currentFilter,
+            query: this.searchQuery
+        });
 
-        // Apply filter
-        if (this.currentFilter !== 'all') {
-            filteredAlerts = alerts.filter(alert => alert.type === this.currentFilter);
+        const resultsCount = document.getElementById('alert-results-count');
+        if (resultsCount) {
+            const shown = Math.min(filteredAlerts.length, this.visibleAlertCount);
+            resultsCount.textContent = filteredAlerts.length > shown ?
+                `Showing ${shown} of ${filteredAlerts.length} alerts` :
+                `${filteredAlerts.length} alert${filteredAlerts.length === 1 ? '' : 's'}`;
         }
 
-        // Only show non-dismissed alerts
-        filteredAlerts = filteredAlerts.filter(alert => !alert.dismissed);
-
         if (filteredAlerts.length === 0) {
-            alertsList.innerHTML = `
+            const filtered = this.currentStateFilter !== 'open' || this.currentFilter !== 'all' || this.searchQuery.trim();
+            alertsList.innerHTML = filtered ? `
+                <div class="empty-state">
+                    <i class="fas fa-search" style="font-size: 48px; color: #888; margin-bottom: 15px;"></i>
+                    <h3>No matching alerts</h3>
+                    <p>No alerts in the history match these filters.</p>
+                </div>
+            ` : `
                 <div class="empty-state">
                     <i class="fas fa-check-circle" style="font-size: 48px; color: #4caf50; margin-bottom: 15px;"></i>
                     <h3>No active alerts</h3>
@@ -141,16 +266,10 @@ class AlertsManager {
             return;
         }
 
-        const alertsHTML = filteredAlerts.map(alert => this.createAlertHTML(alert)).join('');
-        alertsList.innerHTML = alertsHTML;
-
-        // Add dismiss event listeners
-        alertsList.querySelectorAll('.dismiss-alert').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const alertId = parseInt(e.target.getAttribute('data-alert-id'));
-                this.dismissAlert(alertId);
-            });
-        });
+        const alertsHTML = filteredAlerts.slice(0, this.visibleAlertCount).map(alert => this.createAlertHTML(alert)).join('');
+        alertsList.innerHTML = alertsHTML + (filteredAlerts.length > this.visibleAlertCount ? `
+            <button class="btn btn-secondary alert-more" data-action="more">Show more</button>
+        ` : '');
     }
 
     /**
@@ -160,23 +279,86 @@ class AlertsManager {
         const timeAgo = this.getTimeAgo(alert.timestamp);
         const iconClass = this.getAlertIcon(alert.type);
 
+        const history = window.energyDataManager.getAlertHistory();
+        const snoozed = alert.state !== 'resolved' && history.isSnoozed(alert);
+        const snoozeOptions = Object.entries(ALERT_SNOOZE_OPTIONS)
+            .map(([value, option]) => `<option value="${value}">${option.label}</option>`).join('');
+
+        const lifecycle = [];
+        if (snoozed) {
+            lifecycle.push(`Snoozed by ${escapeHTML(alert.snoozedBy)} until ${alert.snoozedUntil.toLocaleString([], {
+                weekday: 'short', hour: '2-digit', minute: '2-digit'
+            })}`);
+        }
+        if (alert.acknowledgedAt) {
+            lifecycle.push(`Acknowledged by ${escapeHTML(alert.acknowledgedBy)} ${this.getTimeAgo(alert.acknowledgedAt).toLowerCase()}`);
+        }
+        if (alert.resolvedAt) {
+            lifecycle.push(`${escapeHTML(alert.resolution)} by ${escapeHTML(alert.resolvedBy)} ${this.getTimeAgo(alert.resolvedAt).toLowerCase()}`);
+        }
+        const deliveries = Object.values(alert.deliveries || {}).map(delivery => this.describeDelivery(delivery));
+
         return `
-            <div class="alert-item ${alert.type}">
+            <div class="alert-item ${alert.type} ${alert.state}">
                 <div class="alert-icon">
                     <i class="fas ${iconClass}"></i>
                 </div>
                 <div class="alert-content">
-                    <div class="alert-title">${alert.title}</div>
-                    <div class="alert-message">${alert.message}</div>
-                    <div class="alert-time">${timeAgo}</div>
+                    <div class="alert-title">
+                        ${escapeHTML(alert.title)}
+                        <span class="alert-state-badge ${alert.state}">${ALERT_STATES[alert.state]}</span>
+                        ${snoozed ? '<span class="alert-state-badge snoozed">Snoozed</span>' : ''}
+                    </div>
+                    <div class="alert-message">${escapeHTML(alert.message)}</div>
+                    <div class="alert-time" title="${alert.timestamp.toLocaleString()}">${timeAgo}</div>
+                    ${lifecycle.length > 0 ? `<div class="alert-lifecycle">${lifecycle.join(' · ')}</div>` : ''}
+                    ${deliveries.length > 0 ? `<div class="alert-deliveries">${deliveries.join('')}</div>` : ''}
+                </div>
+                <div class="alert-actions">
+                    ${alert.state === 'raised' ? `
+                        <button class="btn btn-secondary" data-action="acknowledge" data-alert-id="${alert.id}" title="Acknowledge">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    ` : ''}
+                    ${snoozed ? `
+                        <button class="btn btn-secondary" data-action="unsnooze" data-alert-id="${alert.id}" title="End snooze">
+                            <i class="fas fa-bell"></i>
+                        </button>
+                    ` : ''}
+                    ${alert.state !== 'resolved' && !snoozed ? `
+                        <select class="alert-snooze-select" data-alert-id="${alert.id}" title="Snooze">
+                            <option value="">Snooze...</option>
+                            ${snoozeOptions}
+                        </select>
+                    ` : ''}
+                    ${alert.state !== 'resolved' ? `
+                        <button class="btn btn-secondary" data-action="resolve" data-alert-id="${alert.id}" title="Resolve">
+                            <i class="fas fa-check"></i>
+                        </button>
+                    ` : ''}
                 </div>
-                <button class="btn btn-secondary dismiss-alert" data-alert-id="${alert.id}">
-                    <i class="fas fa-times"></i>
-                </button>
             </div>
         `;
     }
 
+    /**
+     * Describe one channel delivery of an alert, e.g. "Ops webhook: failed (HTTP 500), retry 2 of 5 at 17:05"
+     */
+    describeDelivery(delivery) {
+        let text = `${delivery.channelName}: ${delivery.status}`;
+        if (delivery.error) {
+            text += ` (${delivery.error})`;
+        }
+        if (delivery.status === 'failed') {
+            text += delivery.nextRetryAt ?
+                `, retry ${delivery.attempts + 1} of ${NOTIFICATION_MAX_ATTEMPTS} at ${new Date(delivery.nextRetryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` :
+                `, gave up after ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`;
+        } else if (delivery.attempts > 1) {
+            text += ` after ${delivery.attempts} attempts`;
+        }
+        return `<span class="alert-delivery ${delivery.status}">${escapeHTML(text)}</span>`;
+    }
+
     /**
      * Get icon for alert type
      */
@@ -215,12 +397,39 @@ class AlertsManager {
     }
 
     /**
-     * Dismiss an alert
+     * Name recorded when this user acknowledges or resolves an alert (set in Settings)
      */
-    dismissAlert(alertId) {
-        window.energyDataManager.dismissAlert(alertId);
+    getCurrentUser() {
+        const settings = window.settingsManager ? window.settingsManager.getSettings() : null;
+        return (settings && settings.general.operatorName) || 'Operator';
+    }
+
+    /**
+     * Acknowledge, resolve or snooze an alert from its list item, or show more of the list
+     */
+    handleAlertAction(action, alertId, option = null) {
+        switch (action) {
+            case 'acknowledge':
+                window.energyDataManager.acknowledgeAlert(alertId, this.getCurrentUser());
+                break;
+            case 'resolve':
+                window.energyDataManager.resolveAlert(alertId, this.getCurrentUser());
+                break;
+            case 'snooze':
+                window.energyDataManager.snoozeAlert(alertId, option, this.getCurrentUser());
+                break;
+            case 'unsnooze':
+                window.energyDataManager.unsnoozeAlert(alertId);
+                break;
+            case 'more':
+                this.visibleAlertCount += 50;
+                break;
+            default:
+                return;
+        }
+
         this.renderAlerts();
-        
+
         // Update badge count
         if (window.dashboard) {
             window.dashboard.updateAlertBadge();
@@ -228,11 +437,11 @@ class AlertsManager {
     }
 
     /**
-     * Clear all alerts
+     * Resolve all open alerts
      */
     clearAllAlerts() {
-        if (confirm('Are you sure you want to clear all alerts?')) {
-            window.energyDataManager.clearDismissedAlerts();
+        if (confirm('Are you sure you want to resolve all open alerts?')) {
+            window.energyDataManager.resolveAllAlerts(this.getCurrentUser());
             this.renderAlerts();
             
             // Update badge count
@@ -249,33 +458,22 @@ class AlertsManager {
         const settingsPanel = document.getElementById('alert-settings');
         if (settingsPanel) {
             settingsPanel.classList.toggle('active');
+            this.showAnomalySettings();
         }
     }
 
     /**
-     * Load alert settings
+     * Show the alert settings loaded in the constructor
      */
     loadAlertSettings() {
-        const savedSettings = localStorage.getItem('alertSettings');
-        if (savedSettings) {
-            this.alertSettings = { ...this.alertSettings, ...JSON.parse(savedSettings) };
-        }
-
         // Update UI elements
-        const batteryThreshold = document.getElementById('battery-threshold');
-        const gridThreshold = document.getElementById('grid-threshold');
         const pushNotifications = document.getElementById('push-notifications');
         const emailAlerts = document.getElementById('email-alerts');
+        const { quietHours } = this.alertSettings;
 
-        if (batteryThreshold) {
-            batteryThreshold.value = this.alertSettings.batteryThreshold;
-            document.getElementById('battery-threshold-value').textContent = `${this.alertSettings.batteryThreshold}%`;
-        }
-
-        if (gridThreshold) {
-            gridThreshold.value = this.alertSettings.gridThreshold;
-            document.getElementById('grid-threshold-value').textContent = `${this.alertSettings.gridThreshold}%`;
-        }
+        this.syncThresholdSliders();
+        this.renderAlertRules();
+        this.renderChannels();
 
         if (pushNotifications) {
             pushNotifications.checked = this.alertSettings.pushNotifications;
@@ -284,6 +482,33 @@ class AlertsManager {
         if (emailAlerts) {
             emailAlerts.checked = this.alertSettings.emailAlerts;
         }
+
+        if (document.getElementById('quiet-hours-enabled')) {
+            document.getElementById('quiet-hours-enabled').checked = quietHours.enabled;
+            document.getElementById('quiet-hours-start').value = quietHours.start;
+            document.getElementById('quiet-hours-end').value = quietHours.end;
+        }
+
+        this.showAnomalySettings();
+    }
+
+    /**
+     * Show the anomaly detection settings and how much history its profiles are learned from
+     */
+    showAnomalySettings() {
+        const enabled = document.getElementById('anomaly-enabled');
+        if (!enabled) return;
+
+        const detector = window.energyDataManager.getAnomalyDetector();
+        const settings = detector.getSettings();
+        const status = detector.getStatus();
+        enabled.checked = settings.enabled;
+        document.getElementById('anomaly-household-ratio').value = settings.householdRatio;
+        document.getElementById('anomaly-generation-shortfall').value = settings.generationShortfall;
+        document.getElementById('anomaly-status').textContent = status.builtAt === null ?
+            'Not started yet' :
+            `Learned from ${status.hours} hours: ${status.households} households, ` +
+            `${status.generators.length ? status.generators.join(' and ') : 'no generators'}`;
     }
 
     /**
@@ -294,10 +519,382 @@ class AlertsManager {
     }
 
     /**
-     * Get alert settings
+     * Get alert settings, with the thresholds of the built-in rules
      */
     getAlertSettings() {
-        return { ...this.alertSettings };
+        return {
+            ...this.alertSettings,
+            batteryThreshold: this.alertRules.getSettingThreshold('batteryThreshold'),
+            gridThreshold: this.alertRules.getSettingThreshold('gridThreshold')
+        };
+    }
+
+    /**
+     * Show the built-in rule thresholds on the sliders
+     */
+    syncThresholdSliders() {
+        [
+            ['battery-threshold', 'battery-threshold-value', 'batteryThreshold'],
+            ['grid-threshold', 'grid-threshold-value', 'gridThreshold']
+        ].forEach(([sliderId, labelId, setting]) => {
+            const slider = document.getElementById(sliderId);
+            const threshold = this.alertRules.getSettingThreshold(setting);
+            if (slider && threshold !== null) {
+                slider.value = threshold;
+                document.getElementById(labelId).textContent = `${threshold}%`;
+            }
+        });
+    }
+
+    /**
+     * Render the alert rule list
+     */
+    renderAlertRules() {
+        const ruleList = document.getElementById('alert-rule-list');
+        if (!ruleList) return;
+
+        ruleList.innerHTML = this.alertRules.getRules().map(rule => this.createAlertRuleHTML(rule)).join('');
+    }
+
+    /**
+     * Create HTML for an alert rule
+     */
+    createAlertRuleHTML(rule) {
+        return `
+            <div class="rule-item alert-rule-item ${rule.severity}">
+                <div class="rule-header">
+                    <span class="rule-name">${escapeHTML(rule.name)}${rule.builtIn ? ' <span class="alert-rule-builtin">built-in</span>' : ''}</span>
+                    <button class="schedule-toggle-btn ${rule.enabled ? 'active' : ''}" data-action="toggle" data-alert-rule-id="${rule.id}">
+                        <i class="fas ${rule.enabled ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                    </button>
+                </div>
+                <div class="rule-details">
+                    <div><strong>When:</strong> ${escapeHTML(this.alertRules.describeRule(rule))}</div>
+                    <div><strong>Severity:</strong> ${rule.severity}</div>
+                    <div><strong>Rate limit:</strong> ${rule.maxPerHour > 0 ? `at most ${rule.maxPerHour} per hour` : 'none'}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="btn btn-secondary" data-action="edit" data-alert-rule-id="${rule.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    ${rule.builtIn ? '' : `
+                        <button class="btn btn-danger" data-action="delete" data-alert-rule-id="${rule.id}">
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Set up the alert rule list buttons and the rule editor
+     */
+    setupAlertRuleEditor() {
+        const ruleList = document.getElementById('alert-rule-list');
+        const form = document.getElementById('alert-rule-form');
+        if (!ruleList || !form) return;
+
+        const buildOptions = entries => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('alert-rule-metric').innerHTML = buildOptions(Object.entries(CONDITION_METRICS)
+            .map(([value, metric]) => [value, `${metric.label} (${metric.unit})`]));
+        document.getElementById('alert-rule-comparator').innerHTML = buildOptions(Object.keys(CONDITION_COMPARATORS)
+            .map(value => [value, value]));
+        document.getElementById('alert-rule-severity').innerHTML = buildOptions(ALERT_SEVERITIES
+            .map(severity => [severity, severity]));
+
+        ruleList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-rule-id]');
+            if (button) {
+                this.handleAlertRuleAction(button.getAttribute('data-action'), button.getAttribute('data-alert-rule-id'));
+            }
+        });
+
+        document.getElementById('add-alert-rule').addEventListener('click', () => this.openAlertRuleEditor());
+        document.getElementById('alert-rule-modal-close').addEventListener('click', () => this.closeAlertRuleEditor());
+        document.getElementById('alert-rule-cancel').addEventListener('click', () => this.closeAlertRuleEditor());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAlertRuleEditor();
+        });
+    }
+
+    /**
+     * Enable/disable, edit or delete an alert rule from its list item
+     */
+    handleAlertRuleAction(action, ruleId) {
+        const rule = this.alertRules.getRule(ruleId);
+        if (!rule) return;
+
+        switch (action) {
+            case 'toggle':
+                this.alertRules.setEnabled(ruleId, !rule.enabled);
+                this.renderAlertRules();
+                break;
+            case 'edit':
+                this.openAlertRuleEditor(rule);
+                break;
+            case 'delete':
+                if (confirm(`Delete the alert rule "${rule.name}"?`)) {
+                    this.alertRules.removeRule(ruleId);
+                    this.renderAlertRules();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Open the alert rule editor, empty for a new rule or filled from an existing one
+     */
+    openAlertRuleEditor(rule = null) {
+        const source = rule || {
+            name: '',
+            metric: 'batteryLevel',
+            comparator: '<',
+            threshold: 30,
+            durationMinutes: 5,
+            maxPerHour: 4,
+            severity: 'warning'
+        };
+
+        this.editingAlertRuleId = rule ? rule.id : null;
+        document.getElementById('alert-rule-modal-title').textContent = rule ? 'Edit Alert Rule' : 'Add Alert Rule';
+        document.getElementById('alert-rule-name').value = source.name;
+        document.getElementById('alert-rule-metric').value = source.metric;
+        document.getElementById('alert-rule-comparator').value = source.comparator;
+        document.getElementById('alert-rule-threshold').value = source.threshold;
+        document.getElementById('alert-rule-duration').value = source.durationMinutes;
+        document.getElementById('alert-rule-rate-limit').value = source.maxPerHour || 0;
+        document.getElementById('alert-rule-severity').value = source.severity;
+        // A built-in rule keeps the metric its slider controls
+        document.getElementById('alert-rule-metric').disabled = !!source.builtIn;
+        document.getElementById('alert-rule-form-error').textContent = '';
+        document.getElementById('alert-rule-modal').classList.add('active');
+    }
+
+    /**
+     * Close the alert rule editor without saving
+     */
+    closeAlertRuleEditor() {
+        document.getElementById('alert-rule-modal').classList.remove('active');
+        this.editingAlertRuleId = null;
+    }
+
+    /**
+     * Validate and save the alert rule editor
+     */
+    saveAlertRuleEditor() {
+        const rule = {
+            name: document.getElementById('alert-rule-name').value.trim(),
+            metric: document.getElementById('alert-rule-metric').value,
+            comparator: document.getElementById('alert-rule-comparator').value,
+            threshold: parseFloat(document.getElementById('alert-rule-threshold').value),
+            durationMinutes: parseFloat(document.getElementById('alert-rule-duration').value),
+            maxPerHour: Number(document.getElementById('alert-rule-rate-limit').value),
+            severity: document.getElementById('alert-rule-severity').value
+        };
+
+        try {
+            if (this.editingAlertRuleId) {
+                this.alertRules.updateRule(this.editingAlertRuleId, rule);
+            } else {
+                this.alertRules.addRule(rule);
+            }
+        } catch (error) {
+            document.getElementById('alert-rule-form-error').textContent = error.message;
+            return;
+        }
+
+        this.closeAlertRuleEditor();
+        this.syncThresholdSliders();
+        this.renderAlertRules();
+    }
+
+    /**
+     * Render the notification channel list
+     */
+    renderChannels() {
+        const channelList = document.getElementById('channel-list');
+        if (!channelList) return;
+
+        const channels = this.notificationChannels.getChannels();
+        channelList.innerHTML = channels.length > 0 ?
+            channels.map(channel => this.createChannelHTML(channel)).join('') :
+            '<p class="channel-empty">No channels yet. Alerts are only shown here and as browser notifications.</p>';
+    }
+
+    /**
+     * Create HTML for a notification channel
+     */
+    createChannelHTML(channel) {
+        const type = NOTIFICATION_CHANNEL_TYPES[channel.type];
+
+        return `
+            <div class="rule-item channel-item">
+                <div class="rule-header">
+                    <span class="rule-name">${escapeHTML(channel.name)}</span>
+                    <button class="schedule-toggle-btn ${channel.enabled ? 'active' : ''}" data-action="toggle" data-channel-id="${channel.id}">
+                        <i class="fas ${channel.enabled ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                    </button>
+                </div>
+                <div class="rule-details">
+                    <div><strong>Type:</strong> ${escapeHTML(type ? type.label : channel.type)}</div>
+                    <div><strong>Sends to:</strong> ${escapeHTML(channel.type === 'email' ? channel.to : channel.url)}${channel.topic ? `/${escapeHTML(channel.topic)}` : ''}</div>
+                    <div><strong>Severities:</strong> ${channel.severities.join(', ')}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="btn btn-secondary" data-action="test" data-channel-id="${channel.id}">
+                        <i class="fas fa-paper-plane"></i> Test
+                    </button>
+                    <button class="btn btn-secondary" data-action="edit" data-channel-id="${channel.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-danger" data-action="delete" data-channel-id="${channel.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Set up the channel list buttons and the channel editor
+     */
+    setupChannelEditor() {
+        const channelList = document.getElementById('channel-list');
+        const form = document.getElementById('channel-form');
+        if (!channelList || !form) return;
+
+        const typeSelect = document.getElementById('channel-type');
+        typeSelect.innerHTML = Object.entries(NOTIFICATION_CHANNEL_TYPES)
+            .map(([value, type]) => `<option value="${value}">${type.label}</option>`).join('');
+        document.getElementById('channel-severities').innerHTML = ALERT_SEVERITIES.map(severity => `
+            <label><input type="checkbox" value="${severity}"> ${severity}</label>
+        `).join('');
+
+        channelList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-channel-id]');
+            if (button) {
+                this.handleChannelAction(button.getAttribute('data-action'), button.getAttribute('data-channel-id'));
+            }
+        });
+
+        typeSelect.addEventListener('change', () => this.showChannelFields());
+        document.getElementById('add-channel').addEventListener('click', () => this.openChannelEditor());
+        document.getElementById('channel-modal-close').addEventListener('click', () => this.closeChannelEditor());
+        document.getElementById('channel-cancel').addEventListener('click', () => this.closeChannelEditor());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveChannelEditor();
+        });
+    }
+
+    /**
+     * Enable/disable, test, edit or delete a channel from its list item
+     */
+    async handleChannelAction(action, channelId) {
+        const channel = this.notificationChannels.getChannel(channelId);
+        if (!channel) return;
+
+        switch (action) {
+            case 'toggle':
+                this.notificationChannels.updateChannel(channelId, { enabled: !channel.enabled });
+                this.renderChannels();
+                break;
+            case 'test': {
+                const error = await this.notificationChannels.sendTest(channelId);
+                alert(error ? `Test to ${channel.name} failed: ${error}` : `Test sent to ${channel.name}.`);
+                break;
+            }
+            case 'edit':
+                this.openChannelEditor(channel);
+                break;
+            case 'delete':
+                if (confirm(`Delete the notification channel "${channel.name}"?`)) {
+                    this.notificationChannels.removeChannel(channelId);
+                    this.renderChannels();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Show only the editor fields the selected channel type uses
+     */
+    showChannelFields() {
+        const type = NOTIFICATION_CHANNEL_TYPES[document.getElementById('channel-type').value];
+        document.querySelectorAll('#channel-form [data-channel-field]').forEach(row => {
+            row.style.display = type.fields.includes(row.getAttribute('data-channel-field')) ? '' : 'none';
+        });
+        document.getElementById('channel-url').placeholder = type.urlExample;
+    }
+
+    /**
+     * Open the channel editor, empty for a new channel or filled from an existing one
+     */
+    openChannelEditor(channel = null) {
+        const source = channel || {
+            name: '',
+            type: 'webhook',
+            url: '',
+            topic: '',
+            token: '',
+            from: '',
+            to: '',
+            severities: ['critical', 'warning']
+        };
+
+        this.editingChannelId = channel ? channel.id : null;
+        document.getElementById('channel-modal-title').textContent = channel ? 'Edit Channel' : 'Add Channel';
+        document.getElementById('channel-name').value = source.name;
+        document.getElementById('channel-type').value = source.type;
+        ['url', 'topic', 'token', 'from', 'to'].forEach(field => {
+            document.getElementById(`channel-${field}`).value = source[field] || '';
+        });
+        document.querySelectorAll('#channel-severities input').forEach(input => {
+            input.checked = source.severities.includes(input.value);
+        });
+        this.showChannelFields();
+        document.getElementById('channel-form-error').textContent = '';
+        document.getElementById('channel-modal').classList.add('active');
+    }
+
+    /**
+     * Close the channel editor without saving
+     */
+    closeChannelEditor() {
+        document.getElementById('channel-modal').classList.remove('active');
+        this.editingChannelId = null;
+    }
+
+    /**
+     * Validate and save the channel editor; fields the type does not use are left empty
+     */
+    saveChannelEditor() {
+        const type = document.getElementById('channel-type').value;
+        const channel = {
+            name: document.getElementById('channel-name').value.trim(),
+            type,
+            severities: Array.from(document.querySelectorAll('#channel-severities input:checked')).map(input => input.value)
+        };
+        ['url', 'topic', 'token', 'from', 'to'].forEach(field => {
+            const used = NOTIFICATION_CHANNEL_TYPES[type].fields.includes(field);
+            channel[field] = used ? document.getElementById(`channel-${field}`).value.trim() : '';
+        });
+
+        try {
+            if (this.editingChannelId) {
+                this.notificationChannels.updateChannel(this.editingChannelId, channel);
+            } else {
+                this.notificationChannels.addChannel(channel);
+            }
+        } catch (error) {
+            document.getElementById('channel-form-error').textContent = error.message;
+            return;
+        }
+
+        this.closeChannelEditor();
+        this.renderChannels();
     }
 
     /**
@@ -329,10 +926,48 @@ class AlertsManager {
     }
 
     /**
-     * Update alerts display
+     * Check whether a time is within the configured quiet hours
+     */
+    isQuietHours(now = new Date()) {
+        const { enabled, start, end } = this.alertSettings.quietHours;
+        return enabled && this.conditions.isInTimeWindow(now, start, end);
+    }
+
+    /**
+     * Check whether an alert should be notified now: not resolved or snoozed, and not held back by
+     * quiet hours (critical alerts always get through)
+     */
+    shouldNotify(alert, now = new Date()) {
+        if (alert.state === 'resolved' || window.energyDataManager.getAlertHistory().isSnoozed(alert, now)) {
+            return false;
+        }
+        return alert.type === 'critical' || !this.isQuietHours(now);
+    }
+
+    /**
+     * Notify alerts raised, or back from a snooze, since the last update: in the browser and on
+     * the notification channels (email channels only while email alerts are on)
+     */
+    notifyNewAlerts(now = new Date()) {
+        window.energyDataManager.takeUnnotifiedAlerts()
+            .filter(alert => this.shouldNotify(alert, now))
+            .forEach(alert => {
+                this.showNotification(alert.title, alert.message, alert.type);
+                this.notificationChannels.dispatch(alert, now,
+                    channel => channel.type !== 'email' || this.alertSettings.emailAlerts);
+            });
+    }
+
+    /**
+     * Send notifications for new alerts and retry failed deliveries, and update alerts display
+     * when the alert history has changed since it was last rendered
      */
     update() {
-        if (this.isInitialized) {
+        this.notifyNewAlerts();
+        this.notificationChannels.retryDue();
+
+        const revision = window.energyDataManager.getAlertHistory().revision;
+        if (this.isInitialized && revision !== this.renderedRevision) {
             this.renderAlerts();
         }
     }
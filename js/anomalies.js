@@ -0,0 +1,326 @@
+/**
+ * Anomaly Detection Module
+ * Learns each household's normal usage and each generator's normal output from the hourly
+ * history, by hour of the week with hour of the day as a fallback while history is short, and
+ * raises alerts when recent readings stray far from it: "House 2 using 3.2x its usual Tuesday
+ * overnight load", "Solar output 42% below expected for this irradiance". For generators the
+ * profile is the ratio of actual to weather-modelled output, so shading or soiling at some hours
+ * is learned rather than flagged. Alerts resolve themselves once readings are back to normal.
+ */
+
+// Parts of the day used to describe when an anomaly happened, by the hour each one ends
+const ANOMALY_DAY_PERIODS = [
+    { until: 6, label: 'overnight' },
+    { until: 12, label: 'morning' },
+    { until: 18, label: 'afternoon' },
+    { until: 24, label: 'evening' }
+];
+
+const DEFAULT_ANOMALY_SETTINGS = {
+    enabled: true,
+    householdRatio: 3,          // usage this many times the usual level is anomalous
+    generationShortfall: 40     // output this many percent below expected is anomalous
+};
+
+// Generators checked against the weather model, and what the expectation is based on
+const ANOMALY_GENERATORS = {
+    solar: { label: 'Solar', basis: 'irradiance' },
+    wind: { label: 'Wind', basis: 'wind speed' }
+};
+
+class AnomalyDetector {
+    /**
+     * manager is the data manager whose history, households and site model are used
+     */
+    constructor(manager, config = {}, storageKey = 'energyAnomalyDetection') {
+        this.manager = manager;
+        this.storageKey = storageKey;
+        this.config = {
+            windowMinutes: 30,      // readings are averaged over this window before being judged
+            minWindowMinutes: 10,   // and judged only once the window covers this long
+            minSamples: 3,          // hourly buckets needed before a profile slot is trusted
+            minZScore: 3,           // usage must also be this many deviations above the usual level
+            minExcessKw: 0.5,       // and this much above it, so tiny loads are not flagged
+            minExpectedKw: 0.5,     // generators are only judged while expected to produce this much
+            clearFactor: 0.75,      // an anomaly clears below this fraction of its trigger level
+            cooldownMinutes: 60,    // a cleared anomaly is not raised again for this long
+            rebuildMinutes: 60,
+            ...config
+        };
+        this.settings = { ...DEFAULT_ANOMALY_SETTINGS };
+        // metric -> { week: Map(hourOfWeek -> stats), day: Map(hourOfDay -> stats) }
+        this.baselines = new Map();
+        this.builtAt = null;
+        // metric -> [{ time, value }] within the averaging window
+        this.windows = new Map();
+        // anomaly key -> time (ms) its last alert was resolved
+        this.clearedAt = new Map();
+        this.load();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.settings = { ...DEFAULT_ANOMALY_SETTINGS, ...(saved || {}) };
+        } catch (error) {
+            console.error('Error loading anomaly detection settings:', error);
+        }
+    }
+
+    /**
+     * Save settings
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Get settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change settings after validating them; throws with the first problem found
+     */
+    updateSettings(changes) {
+        const settings = { ...this.settings, ...changes };
+        if (typeof settings.householdRatio !== 'number' || isNaN(settings.householdRatio) || settings.householdRatio <= 1) {
+            throw new Error('Household usage ratio must be more than 1');
+        }
+        if (typeof settings.generationShortfall !== 'number' || isNaN(settings.generationShortfall) ||
+            settings.generationShortfall <= 0 || settings.generationShortfall >= 100) {
+            throw new Error('Generation shortfall must be between 0 and 100 %');
+        }
+
+        this.settings = settings;
+        this.save();
+        return this.getSettings();
+    }
+
+    /**
+     * Output (kW) the site model expects from each generator in the given weather
+     */
+    getExpectedGeneration(time, weather) {
+        const model = this.manager.siteModel;
+        return {
+            solar: model.getSolarPower(time, weather),
+            wind: model.getWindPower(weather)
+        };
+    }
+
+    /**
+     * Learn profiles from complete hourly buckets: household usage (kW), and for generators the
+     * ratio of actual to expected output in hours they were expected to produce
+     */
+    rebuildBaselines(now) {
+        const hourMs = TIME_SERIES_RESOLUTIONS.hourly;
+        const since = now.getTime() - this.manager.timeSeriesStore.retentionDays * TIME_SERIES_RESOLUTIONS.daily;
+        const buckets = this.manager.timeSeriesStore.getSeries('hourly', since)
+            .filter(bucket => bucket.start + hourMs <= now.getTime());
+
+        const metrics = this.manager.getHouseholdRegistry().households
+            .map(household => this.manager.getHouseholdMetric(household.id));
+        const baselines = new Map();
+        const add = (metric, time, value) => {
+            if (!baselines.has(metric)) {
+                baselines.set(metric, { week: new Map(), day: new Map() });
+            }
+            const { week, day } = baselines.get(metric);
+            [[week, time.getDay() * 24 + time.getHours()], [day, time.getHours()]].forEach(([slots, slot]) => {
+                const stats = slots.get(slot) || { count: 0, sum: 0, sumSquares: 0 };
+                stats.count++;
+                stats.sum += value;
+                stats.sumSquares += value * value;
+                slots.set(slot, stats);
+            });
+        };
+
+        buckets.forEach(({ start, values }) => {
+            const time = new Date(start);
+            // Backfilled history has no per-household breakdown, so those buckets are skipped
+            metrics.filter(metric => typeof values[metric] === 'number').forEach(metric => add(metric, time, values[metric]));
+            Object.keys(ANOMALY_GENERATORS).forEach(source => {
+                const expected = values[`${source}Expected`];
+                if (typeof expected === 'number' && expected >= this.config.minExpectedKw) {
+                    add(source, time, (values[source] || 0) / expected);
+                }
+            });
+        });
+
+        this.baselines = baselines;
+        this.builtAt = now.getTime();
+    }
+
+    /**
+     * Usual level of a metric at a time: { mean, std, count, byWeek }, from its hour-of-week slot
+     * when that has enough history, else its hour-of-day slot; null while neither has
+     */
+    getBaseline(metric, time) {
+        const baseline = this.baselines.get(metric);
+        if (!baseline) return null;
+
+        const candidates = [
+            [baseline.week.get(time.getDay() * 24 + time.getHours()), true],
+            [baseline.day.get(time.getHours()), false]
+        ];
+        const found = candidates.find(([stats]) => stats && stats.count >= this.config.minSamples);
+        if (!found) return null;
+
+        const [{ count, sum, sumSquares }, byWeek] = found;
+        const mean = sum / count;
+        return { mean, std: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)), count, byWeek };
+    }
+
+    /**
+     * Add a reading to a metric's window and return the window average, or null while the
+     * window is too short to judge
+     */
+    observe(metric, now, value) {
+        const cutoff = now.getTime() - this.config.windowMinutes * 60 * 1000;
+        const window = (this.windows.get(metric) || []).filter(sample => sample.time > cutoff);
+        window.push({ time: now.getTime(), value });
+        this.windows.set(metric, window);
+
+        if (now.getTime() - window[0].time < this.config.minWindowMinutes * 60 * 1000) {
+            return null;
+        }
+        return window.reduce((sum, sample) => sum + sample.value, 0) / window.length;
+    }
+
+    /**
+     * Describe the time of the week a profile slot covers, e.g. "Tuesday overnight" or "overnight"
+     */
+    describeSlot(time, byWeek) {
+        const period = ANOMALY_DAY_PERIODS.find(({ until }) => time.getHours() < until).label;
+        return byWeek ? `${time.toLocaleDateString('en', { weekday: 'long' })} ${period}` : period;
+    }
+
+    /**
+     * Check this tick's readings for anomalies, raising and resolving alerts. Returns what changed.
+     */
+    check(now, data) {
+        // Profiles are learned from stored history, which is not loaded until the store has opened
+        if (!this.settings.enabled || !this.manager.isHistoryReady) return [];
+
+        if (this.builtAt === null || now.getTime() - this.builtAt >= this.config.rebuildMinutes * 60 * 1000) {
+            this.rebuildBaselines(now);
+        }
+
+        const changes = [];
+        this.manager.getHouseholdRegistry().households.forEach(household => {
+            changes.push(...this.checkHousehold(now, household));
+        });
+        if (data.generation.expected) {
+            Object.keys(ANOMALY_GENERATORS).forEach(source => {
+                changes.push(...this.checkGenerator(now, source, data.generation[source], data.generation.expected[source]));
+            });
+        }
+        return changes;
+    }
+
+    /**
+     * Compare a household's recent usage with its usual level for this time of the week
+     */
+    checkHousehold(now, household) {
+        const metric = this.manager.getHouseholdMetric(household.id);
+        const usage = this.observe(metric, now, household.currentUsage);
+        const baseline = this.getBaseline(metric, now);
+        if (usage === null || !baseline) return [];
+
+        const key = `household:${household.id}`;
+        const ratio = usage / Math.max(baseline.mean, 0.05);
+        const spread = Math.max(baseline.std, baseline.mean * 0.1, 0.05);
+        const anomalous = ratio >= this.settings.householdRatio &&
+            usage - baseline.mean >= this.config.minExcessKw &&
+            (usage - baseline.mean) / spread >= this.config.minZScore;
+
+        if (anomalous) {
+            return this.raise(key, now, 'Unusual Consumption',
+                `${household.name} using ${ratio.toFixed(1)}x its usual ${this.describeSlot(now, baseline.byWeek)} load ` +
+                `(${usage.toFixed(2)} kW against ${baseline.mean.toFixed(2)} kW usually)`);
+        }
+        return ratio < this.settings.householdRatio * this.config.clearFactor ? this.clear(key, now) : [];
+    }
+
+    /**
+     * Compare a generator's recent output with what the weather model expects, scaled by its
+     * usual ratio of actual to modelled output at this time
+     */
+    checkGenerator(now, source, actual, modelled) {
+        const output = this.observe(source, now, actual);
+        const modelledAverage = this.observe(`${source}Expected`, now, modelled);
+        if (output === null || modelledAverage === null) return [];
+
+        const key = `generator:${source}`;
+        const baseline = this.getBaseline(source, now);
+        const expected = modelledAverage * (baseline ? baseline.mean : 1);
+        if (expected < this.config.minExpectedKw) {
+            return this.clear(key, now);
+        }
+
+        const shortfall = (1 - output / expected) * 100;
+        if (shortfall >= this.settings.generationShortfall) {
+            const { label, basis } = ANOMALY_GENERATORS[source];
+            return this.raise(key, now, 'Low Generation',
+                `${label} output ${Math.round(shortfall)}% below expected for this ${basis} ` +
+                `(${output.toFixed(2)} kW against ${expected.toFixed(2)} kW expected)`);
+        }
+        return shortfall < this.settings.generationShortfall * this.config.clearFactor ? this.clear(key, now) : [];
+    }
+
+    /**
+     * Raise an anomaly alert unless one is already open or the anomaly cleared only recently
+     */
+    raise(key, now, title, message) {
+        const history = this.manager.getAlertHistory();
+        const clearedAt = this.clearedAt.get(key);
+        if (history.getOpenAlertForAnomaly(key) ||
+            (clearedAt && now.getTime() - clearedAt < this.config.cooldownMinutes * 60 * 1000)) {
+            return [];
+        }
+
+        this.manager.addAlert({ type: 'warning', title, message, anomalyKey: key }, now);
+        return [message];
+    }
+
+    /**
+     * Resolve an anomaly's open alert, if it has one
+     */
+    clear(key, now) {
+        const history = this.manager.getAlertHistory();
+        const alert = history.getOpenAlertForAnomaly(key);
+        if (!alert) return [];
+
+        history.resolve(alert.id, ALERT_SYSTEM_USER, 'Back to normal', now);
+        this.clearedAt.set(key, now.getTime());
+        return [`${alert.title} cleared`];
+    }
+
+    /**
+     * What has been learned: households and generators with a profile, and the hourly buckets behind it
+     */
+    getStatus() {
+        const learned = Array.from(this.baselines.entries()).map(([metric, { day }]) => ({
+            metric,
+            buckets: Array.from(day.values()).reduce((sum, stats) => sum + stats.count, 0)
+        }));
+
+        return {
+            households: learned.filter(({ metric }) => !ANOMALY_GENERATORS[metric]).length,
+            generators: learned.filter(({ metric }) => ANOMALY_GENERATORS[metric]).map(({ metric }) => metric),
+            hours: Math.max(0, ...learned.map(({ buckets }) => buckets)),
+            builtAt: this.builtAt
+        };
+    }
+}
+
+// Export for external access
+window.ANOMALY_DAY_PERIODS = ANOMALY_DAY_PERIODS;
+window.DEFAULT_ANOMALY_SETTINGS = DEFAULT_ANOMALY_SETTINGS;
+window.ANOMALY_GENERATORS = ANOMALY_GENERATORS;
+window.AnomalyDetector = AnomalyDetector;
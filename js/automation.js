@@ -0,0 +1,329 @@
+/**
+ * Automation Rules Module
+ * Rules combine triggers (conditions) with AND/OR and run their actions once each time
+ * the combination becomes true. Rules are evaluated by the data manager on every tick.
+ */
+
+// Actions a rule can run
+const AUTOMATION_ACTIONS = {
+    device: 'Switch device',
+    energyLimit: 'Change energy limit',
+    loadPriority: 'Set load priority',
+    notify: 'Send notification'
+};
+
+const AUTOMATION_ENERGY_LIMITS = {
+    maxGridImport: { label: 'Max grid import', unit: 'kW', min: 0, max: 20 },
+    batteryDischargeLimit: { label: 'Battery discharge limit', unit: '%', min: 10, max: 80 }
+};
+
+const LOAD_PRIORITIES = {
+    essential: 'Essential Only',
+    normal: 'Normal',
+    comfort: 'Comfort'
+};
+
+const DEFAULT_AUTOMATION_RULES = [
+    {
+        id: 1,
+        name: 'Protect battery during outage',
+        enabled: true,
+        match: 'all',
+        triggers: [
+            { type: 'gridOutage' },
+            { type: 'metric', metric: 'batteryLevel', comparator: '<', value: 40 }
+        ],
+        actions: [
+            { type: 'loadPriority', value: 'essential' },
+            { type: 'notify', severity: 'warning', message: 'Grid outage with battery below 40%. Switched to essential loads only.' }
+        ]
+    },
+    {
+        id: 2,
+        name: 'Use solar surplus',
+        enabled: false,
+        match: 'all',
+        triggers: [
+            { type: 'metric', metric: 'solarSurplus', comparator: '>', value: 3 },
+            { type: 'metric', metric: 'batteryLevel', comparator: '>', value: 80 }
+        ],
+        actions: [
+            { type: 'device', householdId: 'house3', deviceId: 'pool-pump', status: 'on' }
+        ]
+    }
+];
+
+class AutomationEngine {
+    /**
+     * manager is the data manager the rules act on (registry, controls and alerts)
+     */
+    constructor(manager, storageKey = 'energyAutomationRules') {
+        this.manager = manager;
+        this.storageKey = storageKey;
+        this.conditions = new ConditionEvaluator();
+        this.rules = [];
+        this.load();
+    }
+
+    /**
+     * Load rules from localStorage, falling back to the defaults
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading automation rules:', error);
+        }
+
+        const rules = Array.isArray(saved) ? saved : JSON.parse(JSON.stringify(DEFAULT_AUTOMATION_RULES));
+        this.rules = rules.map(rule => ({
+            lastTriggered: null,
+            triggered: false,
+            ...rule
+        }));
+    }
+
+    /**
+     * Save rules
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+    }
+
+    /**
+     * Check a rule definition; throws with the first problem found
+     */
+    validateRule(rule) {
+        if (!rule.name || !String(rule.name).trim()) {
+            throw new Error('Rule name is required');
+        }
+        if (rule.match !== 'all' && rule.match !== 'any') {
+            throw new Error('Choose whether all or any triggers must match');
+        }
+        if (!Array.isArray(rule.triggers) || rule.triggers.length === 0) {
+            throw new Error('Add at least one trigger');
+        }
+        rule.triggers.forEach(trigger => this.conditions.validate(trigger));
+
+        if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+            throw new Error('Add at least one action');
+        }
+        rule.actions.forEach(action => this.validateAction(action));
+    }
+
+    /**
+     * Check an action is well formed; throws with the problem found
+     */
+    validateAction(action) {
+        switch (action.type) {
+            case 'device':
+                if (!this.manager.getHouseholdRegistry().getDevice(action.householdId, action.deviceId)) {
+                    throw new Error(`Device ${action.householdId}/${action.deviceId} does not exist`);
+                }
+                if (!['on', 'off', 'toggle'].includes(action.status)) {
+                    throw new Error(`Unknown device action: ${action.status}`);
+                }
+                break;
+            case 'energyLimit': {
+                const limit = AUTOMATION_ENERGY_LIMITS[action.setting];
+                if (!limit) {
+                    throw new Error(`Unknown energy limit: ${action.setting}`);
+                }
+                if (typeof action.value !== 'number' || isNaN(action.value) ||
+                    action.value < limit.min || action.value > limit.max) {
+                    throw new Error(`${limit.label} must be between ${limit.min} and ${limit.max} ${limit.unit}`);
+                }
+                break;
+            }
+            case 'loadPriority':
+                if (!LOAD_PRIORITIES[action.value]) {
+                    throw new Error(`Unknown load priority: ${action.value}`);
+                }
+                break;
+            case 'notify':
+                if (!ALERT_SEVERITIES.includes(action.severity)) {
+                    throw new Error(`Unknown notification severity: ${action.severity}`);
+                }
+                if (!action.message || !String(action.message).trim()) {
+                    throw new Error('A notification needs a message');
+                }
+                break;
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    }
+
+    /**
+     * Get rules
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Find a rule by id
+     */
+    getRule(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId) || null;
+    }
+
+    /**
+     * Add a rule after validating it
+     */
+    addRule(rule) {
+        this.validateRule(rule);
+
+        const newRule = {
+            id: Date.now(),
+            enabled: true,
+            ...rule,
+            lastTriggered: null,
+            triggered: false
+        };
+        this.rules.push(newRule);
+        this.save();
+        return newRule;
+    }
+
+    /**
+     * Replace a rule's definition; it fires again if its triggers already hold
+     */
+    updateRule(ruleId, changes) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            throw new Error(`Unknown rule: ${ruleId}`);
+        }
+        this.validateRule({ ...rule, ...changes });
+
+        Object.assign(rule, changes, { triggered: false });
+        this.save();
+        return rule;
+    }
+
+    /**
+     * Delete a rule
+     */
+    removeRule(ruleId) {
+        const index = this.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) return false;
+
+        this.rules.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Enable or disable a rule
+     */
+    setEnabled(ruleId, enabled) {
+        const rule = this.getRule(ruleId);
+        if (!rule) return false;
+
+        rule.enabled = enabled;
+        rule.triggered = false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Evaluate every enabled rule against the condition context (see EnergyDataManager.getConditionContext)
+     * and run the actions of rules whose triggers have just become true. Returns what fired.
+     */
+    evaluate(context) {
+        const fired = [];
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+
+            const met = rule.match === 'any' ?
+                this.conditions.evaluateAny(rule.triggers, context) :
+                this.conditions.evaluateAll(rule.triggers, context);
+
+            if (met && !rule.triggered) {
+                rule.actions.forEach(action => this.runAction(action, rule));
+                rule.lastTriggered = context.now.toISOString();
+                fired.push(`${rule.name} triggered`);
+            }
+            rule.triggered = met;
+        });
+
+        if (fired.length > 0) {
+            this.save();
+        }
+        return fired;
+    }
+
+    /**
+     * Run one action of a rule. A failing action is logged and does not stop the others.
+     */
+    runAction(action, rule) {
+        try {
+            switch (action.type) {
+                case 'device': {
+                    const registry = this.manager.getHouseholdRegistry();
+                    const device = registry.getDevice(action.householdId, action.deviceId);
+                    const status = action.status === 'toggle' ? (device.status === 'on' ? 'off' : 'on') : action.status;
+                    registry.updateDevice(action.householdId, action.deviceId, { status });
+                    break;
+                }
+                case 'energyLimit':
+                    this.manager.updateControlSetting('energyLimits', action.setting, action.value);
+                    break;
+                case 'loadPriority':
+                    this.manager.updateControlSetting('energyLimits', 'loadPriority', action.value);
+                    break;
+                case 'notify':
+                    this.manager.addAlert({
+                        type: action.severity,
+                        title: rule.name,
+                        message: action.message
+                    });
+                    break;
+            }
+        } catch (error) {
+            console.error(`Automation rule "${rule.name}" could not run ${action.type} action:`, error);
+        }
+    }
+
+    /**
+     * Describe a rule's triggers, e.g. "Grid is unavailable and Battery charge < 40 %"
+     */
+    describeTriggers(rule) {
+        return rule.triggers.map(trigger => this.conditions.describe(trigger))
+            .join(rule.match === 'any' ? ' or ' : ' and ');
+    }
+
+    /**
+     * Describe a rule's actions
+     */
+    describeActions(rule) {
+        const registry = this.manager.getHouseholdRegistry();
+
+        return rule.actions.map(action => {
+            switch (action.type) {
+                case 'device': {
+                    const device = registry.getDevice(action.householdId, action.deviceId);
+                    const name = device ? device.name : `${action.householdId}/${action.deviceId} (removed)`;
+                    return action.status === 'toggle' ? `Toggle ${name}` : `Switch ${name} ${action.status}`;
+                }
+                case 'energyLimit': {
+                    const limit = AUTOMATION_ENERGY_LIMITS[action.setting];
+                    return `Set ${limit.label.toLowerCase()} to ${action.value} ${limit.unit}`;
+                }
+                case 'loadPriority':
+                    return `Set load priority to ${LOAD_PRIORITIES[action.value]}`;
+                case 'notify':
+                    return `Send ${action.severity} notification`;
+                default:
+                    return action.type;
+            }
+        }).join(', ');
+    }
+}
+
+// Export for external access
+window.AUTOMATION_ACTIONS = AUTOMATION_ACTIONS;
+window.AUTOMATION_ENERGY_LIMITS = AUTOMATION_ENERGY_LIMITS;
+window.LOAD_PRIORITIES = LOAD_PRIORITIES;
+window.AutomationEngine = AutomationEngine;
@@ -0,0 +1,178 @@
+/**
+ * Battery Model Module
+ * Simulates a battery bank with capacity, round-trip efficiency, C-rate limits,
+ * an SoC-dependent voltage curve, temperature effects and cycle counting
+ */
+
+// Open-circuit cell voltage by state of charge for an LFP cell
+const BATTERY_OCV_CURVE = [
+    [0, 2.8],
+    [0.05, 3.05],
+    [0.1, 3.18],
+    [0.2, 3.24],
+    [0.5, 3.29],
+    [0.8, 3.32],
+    [0.9, 3.34],
+    [0.97, 3.4],
+    [1, 3.5]
+];
+
+class BatteryModel {
+    constructor(config = {}, state = {}) {
+        this.config = {
+            capacityKwh: 20,
+            maxChargeKw: 5,
+            maxDischargeKw: 6,
+            roundTripEfficiency: 0.9,
+            cellsInSeries: 15,
+            internalResistance: 0.05, // ohms, whole pack
+            ...config
+        };
+
+        this.state = {
+            soc: 0.75,
+            temperature: 25,
+            cycles: 0,
+            throughputKwh: 0,
+            ...state
+        };
+        this.lastPower = 0;
+    }
+
+    /**
+     * Update configuration, keeping the current state
+     */
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Interpolate the pack open-circuit voltage for a state of charge
+     */
+    getOpenCircuitVoltage(soc) {
+        const curve = BATTERY_OCV_CURVE;
+        let cellVoltage = curve[curve.length - 1][1];
+
+        for (let i = 1; i < curve.length; i++) {
+            const [socHigh, vHigh] = curve[i];
+            if (soc <= socHigh) {
+                const [socLow, vLow] = curve[i - 1];
+                cellVoltage = vLow + ((soc - socLow) / (socHigh - socLow)) * (vHigh - vLow);
+                break;
+            }
+        }
+
+        return cellVoltage * this.config.cellsInSeries;
+    }
+
+    /**
+     * Usable capacity fraction at a temperature (cold cells deliver less)
+     */
+    getCapacityFactor(temperature) {
+        if (temperature >= 10) return 1;
+        return Math.max(0.6, 1 - (10 - temperature) * 0.012);
+    }
+
+    /**
+     * Power limit fraction at a temperature (charging is curtailed when cold, both when hot)
+     */
+    getPowerFactor(temperature, charging) {
+        if (temperature > 45) return 0.5;
+        if (charging && temperature < 5) return temperature <= 0 ? 0 : 0.3;
+        return 1;
+    }
+
+    /**
+     * Advance the model by dtHours with a requested power at the terminals
+     * (positive to charge, negative to discharge). Returns the power actually delivered.
+     * Limits: { chargingEnabled, minSocPercent, ambientTemperature, fault }
+     */
+    step(requestedKw, dtHours, limits = {}) {
+        const {
+            chargingEnabled = true,
+            minSocPercent = 0,
+            ambientTemperature = 25,
+            fault = false
+        } = limits;
+        const { capacityKwh, maxChargeKw, maxDischargeKw, roundTripEfficiency } = this.config;
+
+        // Split round-trip losses evenly between charge and discharge
+        const oneWayEfficiency = Math.sqrt(roundTripEfficiency);
+        const usableCapacity = capacityKwh * this.getCapacityFactor(this.state.temperature);
+        let power = 0;
+
+        // A faulted battery is isolated. With no elapsed time only the power limits apply;
+        // the energy limits need a duration.
+        if (!fault && requestedKw > 0 && chargingEnabled) {
+            // Taper charge power above 90% SoC
+            const taper = this.state.soc > 0.9 ? Math.max(0.1, (1 - this.state.soc) * 10) : 1;
+            const limit = maxChargeKw * taper * this.getPowerFactor(this.state.temperature, true);
+            const headroomKwh = (1 - this.state.soc) * usableCapacity;
+            const headroomKw = dtHours > 0 ? headroomKwh / (oneWayEfficiency * dtHours) : 
+                (headroomKwh > 0 ? Infinity : 0);
+            power = Math.min(requestedKw, limit, headroomKw);
+            this.state.soc += (power * dtHours * oneWayEfficiency) / usableCapacity;
+        } else if (!fault && requestedKw < 0) {
+            const limit = maxDischargeKw * this.getPowerFactor(this.state.temperature, false);
+            const availableKwh = Math.max(0, this.state.soc - minSocPercent / 100) * usableCapacity;
+            const availableKw = dtHours > 0 ? (availableKwh * oneWayEfficiency) / dtHours : 
+                (availableKwh > 0 ? Infinity : 0);
+            power = -Math.min(-requestedKw, limit, availableKw);
+
+            const drawnKwh = (-power * dtHours) / oneWayEfficiency;
+            this.state.soc -= drawnKwh / usableCapacity;
+            this.state.throughputKwh += drawnKwh;
+            this.state.cycles = this.state.throughputKwh / capacityKwh;
+        }
+
+        this.state.soc = Math.min(1, Math.max(0, this.state.soc));
+        this.updateTemperature(power, dtHours, ambientTemperature);
+        this.lastPower = power;
+
+        return power;
+    }
+
+    /**
+     * Move pack temperature towards a target set by ambient and C-rate
+     */
+    updateTemperature(power, dtHours, ambientTemperature) {
+        const cRate = Math.abs(power) / this.config.capacityKwh;
+        const target = ambientTemperature + 20 * cRate;
+        const timeConstantHours = 0.5;
+        this.state.temperature += (target - this.state.temperature) * (1 - Math.exp(-dtHours / timeConstantHours));
+    }
+
+    /**
+     * Terminal voltage including the drop (or rise) across internal resistance
+     */
+    getVoltage() {
+        const ocv = this.getOpenCircuitVoltage(this.state.soc);
+        const current = (this.lastPower * 1000) / ocv;
+        return ocv + current * this.config.internalResistance;
+    }
+
+    /**
+     * Estimated state of health from cycle count (LFP, ~80% after 4000 cycles)
+     */
+    getStateOfHealth() {
+        return Math.max(0, 100 - this.state.cycles * 0.005);
+    }
+
+    /**
+     * Get a snapshot of the battery state
+     */
+    getState() {
+        return {
+            percentage: this.state.soc * 100,
+            power: this.lastPower,
+            voltage: this.getVoltage(),
+            temperature: this.state.temperature,
+            cycles: this.state.cycles,
+            stateOfHealth: this.getStateOfHealth(),
+            capacityKwh: this.config.capacityKwh
+        };
+    }
+}
+
+// Export for external access
+window.BatteryModel = BatteryModel;
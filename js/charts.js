@@ -19,20 +19,51 @@ class ChartManager {
      * Initialize chart configurations
      */
     initializeChartConfigs() {
-        // Generation vs Consumption Chart
+        // Generation vs Consumption Chart: supply stacked by source, consumption drawn over it
         this.chartConfigs.generation = {
             type: 'line',
             data: {
                 labels: [],
                 datasets: [
                     {
-                        label: 'Generation (kW)',
+                        label: 'Solar (kW)',
+                        data: [],
+                        borderColor: '#ffc107',
+                        backgroundColor: 'rgba(255, 193, 7, 0.35)',
+                        borderWidth: 1,
+                        fill: true,
+                        tension: 0.4,
+                        stack: 'supply'
+                    },
+                    {
+                        label: 'Wind (kW)',
                         data: [],
                         borderColor: '#4caf50',
-                        backgroundColor: 'rgba(76, 175, 80, 0.1)',
-                        borderWidth: 2,
+                        backgroundColor: 'rgba(76, 175, 80, 0.35)',
+                        borderWidth: 1,
                         fill: true,
-                        tension: 0.4
+                        tension: 0.4,
+                        stack: 'supply'
+                    },
+                    {
+                        label: 'Battery Discharge (kW)',
+                        data: [],
+                        borderColor: '#9c27b0',
+                        backgroundColor: 'rgba(156, 39, 176, 0.35)',
+                        borderWidth: 1,
+                        fill: true,
+                        tension: 0.4,
+                        stack: 'supply'
+                    },
+                    {
+                        label: 'Grid Import (kW)',
+                        data: [],
+                        borderColor: '#2196f3',
+                        backgroundColor: 'rgba(33, 150, 243, 0.35)',
+                        borderWidth: 1,
+                        fill: true,
+                        tension: 0.4,
+                        stack: 'supply'
                     },
                     {
                         label: 'Consumption (kW)',
@@ -40,12 +71,22 @@ class ChartManager {
                         borderColor: '#ff7043',
                         backgroundColor: 'rgba(255, 112, 67, 0.1)',
                         borderWidth: 2,
-                        fill: true,
-                        tension: 0.4
+                        fill: false,
+                        tension: 0.4,
+                        stack: 'consumption'
                     }
                 ]
             },
-            options: this.getBaseChartOptions()
+            options: {
+                ...this.getBaseChartOptions(),
+                scales: {
+                    ...this.getBaseChartOptions().scales,
+                    y: {
+                        ...this.getBaseChartOptions().scales.y,
+                        stacked: true
+                    }
+                }
+            }
         };
 
         // Device Breakdown Chart (Doughnut)
@@ -273,6 +314,48 @@ class ChartManager {
         };
     }
 
+    /**
+     * Format an ISO timestamp as an axis label for a period, in the configured time zone
+     */
+    formatTimeLabel(timestamp, period) {
+        const date = new Date(timestamp);
+        const timeZone = window.settingsManager ? 
+            window.settingsManager.getSettings().general.timezone : undefined;
+
+        switch (period) {
+            case '24h':
+                return date.toLocaleTimeString('en-US', { 
+                    hour: '2-digit', 
+                    minute: '2-digit',
+                    hour12: false,
+                    timeZone
+                });
+            case '7d':
+                return date.toLocaleDateString('en-US', { 
+                    weekday: 'short',
+                    hour: '2-digit',
+                    timeZone
+                });
+            case '30d':
+            case '90d':
+            case '1y':
+                return date.toLocaleDateString('en-US', { 
+                    month: 'short',
+                    day: 'numeric',
+                    timeZone
+                });
+            default:
+                return date.toLocaleTimeString('en-US', { timeZone });
+        }
+    }
+
+    /**
+     * Format the timestamps of a historical series as labels
+     */
+    getTimeLabels(series, period) {
+        return series.timestamps.map(timestamp => this.formatTimeLabel(timestamp, period));
+    }
+
     /**
      * Initialize the generation vs consumption chart
      */
@@ -360,9 +443,13 @@ class ChartManager {
         const currentPeriod = period || this.currentPeriods.generation;
         const historicalData = window.energyDataManager.getHistoricalData(currentPeriod);
         
-        this.charts.generation.data.labels = historicalData.labels;
-        this.charts.generation.data.datasets[0].data = historicalData.generation;
-        this.charts.generation.data.datasets[1].data = historicalData.consumption;
+        this.charts.generation.data.labels = this.getTimeLabels(historicalData, currentPeriod);
+        const [solar, wind, batteryDischarge, gridImport, consumption] = this.charts.generation.data.datasets;
+        solar.data = historicalData.solar;
+        wind.data = historicalData.wind;
+        batteryDischarge.data = historicalData.batteryDischarge;
+        gridImport.data = historicalData.gridImport;
+        consumption.data = historicalData.consumption;
         
         this.charts.generation.update('none');
     }
@@ -399,16 +486,26 @@ class ChartManager {
     }
 
     /**
-     * Update usage history chart
+     * Update usage history chart for the site, or for the household or device picked in the Household tab
      */
     updateUsageHistoryChart(period = null) {
         if (!this.charts.usageHistory) return;
 
         const currentPeriod = period || this.currentPeriods.household;
-        const historicalData = window.energyDataManager.getHistoricalData(currentPeriod);
+        const selection = window.householdManager ? window.householdManager.getHistorySelection() : null;
+        const dataset = this.charts.usageHistory.data.datasets[0];
         
-        this.charts.usageHistory.data.labels = historicalData.labels;
-        this.charts.usageHistory.data.datasets[0].data = historicalData.consumption;
+        if (selection) {
+            const history = window.energyDataManager.getConsumerHistory(currentPeriod, selection.metric);
+            this.charts.usageHistory.data.labels = this.getTimeLabels(history, currentPeriod);
+            dataset.data = history.power;
+            dataset.label = `${selection.label} (kW)`;
+        } else {
+            const historicalData = window.energyDataManager.getHistoricalData(currentPeriod);
+            this.charts.usageHistory.data.labels = this.getTimeLabels(historicalData, currentPeriod);
+            dataset.data = historicalData.consumption;
+            dataset.label = 'Usage (kW)';
+        }
         
         this.charts.usageHistory.update();
     }
@@ -447,7 +544,7 @@ class ChartManager {
                 break;
         }
 
-        this.charts.trends.data.labels = reportData.data.labels;
+        this.charts.trends.data.labels = this.getTimeLabels(reportData.data, currentPeriod);
         this.charts.trends.data.datasets[0].data = data.map(value => Math.round(value * 100) / 100);
         this.charts.trends.data.datasets[0].label = label;
         this.charts.trends.data.datasets[0].borderColor = color;
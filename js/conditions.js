@@ -0,0 +1,218 @@
+/**
+ * Conditions Module
+ * Conditions test the live state of the site: a metric against a value ("Battery charge < 30 %"),
+ * a grid outage, the tariff period, a time window or a raised alert.
+ * Schedules use them to decide whether to act and automation rules use them as triggers.
+ */
+
+// Metrics a metric condition can test, read from the data manager's current data or, for prices,
+// the tariff at the time of evaluation
+const CONDITION_METRICS = {
+    batteryLevel: {
+        label: 'Battery charge',
+        unit: '%',
+        read: data => data.battery.percentage
+    },
+    generationSurplus: {
+        label: 'Generation surplus',
+        unit: 'kW',
+        read: data => data.generation.total - data.consumption.total
+    },
+    solarSurplus: {
+        label: 'Solar surplus',
+        unit: 'kW',
+        read: data => data.generation.solar - data.consumption.total
+    },
+    solar: {
+        label: 'Solar output',
+        unit: 'kW',
+        read: data => data.generation.solar
+    },
+    wind: {
+        label: 'Wind output',
+        unit: 'kW',
+        read: data => data.generation.wind
+    },
+    consumption: {
+        label: 'Consumption',
+        unit: 'kW',
+        read: data => data.consumption.total
+    },
+    gridImport: {
+        label: 'Grid import',
+        unit: 'kW',
+        read: data => data.grid.importPower
+    },
+    gridExport: {
+        label: 'Grid export',
+        unit: 'kW',
+        read: data => data.grid.exportPower
+    },
+    gridLoad: {
+        label: 'Grid load',
+        unit: '%',
+        read: data => data.grid.load
+    },
+    importRate: {
+        label: 'Import price',
+        unit: 'per kWh',
+        read: (data, context) => context.importRate
+    },
+    exportRate: {
+        label: 'Export price',
+        unit: 'per kWh',
+        read: (data, context) => context.exportRate
+    }
+};
+
+const CONDITION_COMPARATORS = {
+    '<': (value, target) => value < target,
+    '<=': (value, target) => value <= target,
+    '>': (value, target) => value > target,
+    '>=': (value, target) => value >= target
+};
+
+// Kinds of condition; a condition without a type is a metric condition
+const CONDITION_TYPES = {
+    metric: 'Metric',
+    gridOutage: 'Grid outage',
+    tariffPeriod: 'Tariff period',
+    timeWindow: 'Time window',
+    alert: 'Alert raised'
+};
+
+const TARIFF_PERIODS = {
+    'off-peak': 'Off-peak',
+    standard: 'Standard',
+    peak: 'Peak'
+};
+
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+class ConditionEvaluator {
+    /**
+     * Check a condition is well formed; throws with the problem found
+     */
+    validate(condition) {
+        const type = condition.type || 'metric';
+
+        switch (type) {
+            case 'metric':
+                if (!CONDITION_METRICS[condition.metric]) {
+                    throw new Error(`Unknown condition metric: ${condition.metric}`);
+                }
+                if (!CONDITION_COMPARATORS[condition.comparator]) {
+                    throw new Error(`Unknown comparator: ${condition.comparator}`);
+                }
+                if (typeof condition.value !== 'number' || isNaN(condition.value)) {
+                    throw new Error(`${CONDITION_METRICS[condition.metric].label} needs a number to compare with`);
+                }
+                break;
+            case 'gridOutage':
+                break;
+            case 'tariffPeriod':
+                if (!TARIFF_PERIODS[condition.period]) {
+                    throw new Error(`Unknown tariff period: ${condition.period}`);
+                }
+                break;
+            case 'timeWindow':
+                [condition.start, condition.end].forEach(time => {
+                    if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+                        throw new Error(`Invalid time "${time || ''}" in time window (expected HH:MM)`);
+                    }
+                });
+                break;
+            case 'alert':
+                if (condition.severity !== 'any' && !ALERT_SEVERITIES.includes(condition.severity)) {
+                    throw new Error(`Unknown alert severity: ${condition.severity}`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown condition type: ${type}`);
+        }
+    }
+
+    /**
+     * Evaluate one condition. context: { data, now, alerts, tariffPeriod, importRate, exportRate }
+     */
+    evaluate(condition, context) {
+        switch (condition.type || 'metric') {
+            case 'metric': {
+                const metric = CONDITION_METRICS[condition.metric];
+                const compare = CONDITION_COMPARATORS[condition.comparator];
+                return !!metric && !!compare && compare(metric.read(context.data, context), condition.value);
+            }
+            case 'gridOutage':
+                return !context.data.grid.available;
+            case 'tariffPeriod':
+                return context.tariffPeriod === condition.period;
+            case 'timeWindow':
+                return this.isInTimeWindow(context.now, condition.start, condition.end);
+            case 'alert':
+                return (context.alerts || []).some(alert => alert.state !== 'resolved' &&
+                    (condition.severity === 'any' || alert.type === condition.severity));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check every condition holds; an empty list always holds
+     */
+    evaluateAll(conditions = [], context) {
+        return conditions.every(condition => this.evaluate(condition, context));
+    }
+
+    /**
+     * Check at least one condition holds
+     */
+    evaluateAny(conditions = [], context) {
+        return conditions.some(condition => this.evaluate(condition, context));
+    }
+
+    /**
+     * Check whether a time falls between two "HH:MM" times; the window may run past midnight
+     */
+    isInTimeWindow(now, start, end) {
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+
+        return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    }
+
+    /**
+     * Describe a condition, e.g. "Battery charge < 30 %" or "Tariff period is Peak"
+     */
+    describe(condition) {
+        switch (condition.type || 'metric') {
+            case 'metric': {
+                const metric = CONDITION_METRICS[condition.metric];
+                if (!metric) return condition.metric;
+                return `${metric.label} ${condition.comparator} ${condition.value} ${metric.unit}`;
+            }
+            case 'gridOutage':
+                return 'Grid is unavailable';
+            case 'tariffPeriod':
+                return `Tariff period is ${TARIFF_PERIODS[condition.period] || condition.period}`;
+            case 'timeWindow':
+                return `Time is ${condition.start} - ${condition.end}`;
+            case 'alert':
+                return condition.severity === 'any' ? 'Any alert is raised' : `A ${condition.severity} alert is raised`;
+            default:
+                return condition.type;
+        }
+    }
+}
+
+// Export for external access
+window.CONDITION_METRICS = CONDITION_METRICS;
+window.CONDITION_COMPARATORS = CONDITION_COMPARATORS;
+window.CONDITION_TYPES = CONDITION_TYPES;
+window.TARIFF_PERIODS = TARIFF_PERIODS;
+window.ALERT_SEVERITIES = ALERT_SEVERITIES;
+window.ConditionEvaluator = ConditionEvaluator;
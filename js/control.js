@@ -3,6 +3,16 @@
  * Handles system controls, device management, and automated scheduling
  */
 
+// System control and energy limit inputs, and the setting each one changes
+const CONTROL_SETTINGS = {
+    'grid-toggle': ['systemControls', 'gridConnection'],
+    'auto-balance': ['systemControls', 'autoLoadBalancing'],
+    'battery-charging': ['systemControls', 'batteryCharging'],
+    'max-grid-import': ['energyLimits', 'maxGridImport'],
+    'battery-discharge-limit': ['energyLimits', 'batteryDischargeLimit'],
+    'load-priority': ['energyLimits', 'loadPriority']
+};
+
 class ControlManager {
     constructor() {
         this.isInitialized = false;
@@ -39,13 +49,39 @@ class ControlManager {
             });
         }
 
+        // Emergency modal buttons
+        const emergencyModal = document.getElementById('emergency-modal');
+        if (emergencyModal) {
+            emergencyModal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-emergency-action]');
+                if (button) {
+                    this.handleEmergencyModalAction(button.getAttribute('data-emergency-action'));
+                }
+            });
+            document.getElementById('emergency-modal-close').addEventListener('click', () => {
+                this.handleEmergencyModalAction('close');
+            });
+        }
+
         // Add schedule button
         const addScheduleBtn = document.getElementById('add-schedule');
         if (addScheduleBtn) {
             addScheduleBtn.addEventListener('click', () => {
-                this.showAddScheduleDialog();
+                this.openScheduleEditor();
             });
         }
+
+        // Add rule button
+        const addRuleBtn = document.getElementById('add-rule');
+        if (addRuleBtn) {
+            addRuleBtn.addEventListener('click', () => {
+                this.openRuleEditor();
+            });
+        }
+
+        this.setupScheduleEditor();
+        this.setupRuleEditor();
+        this.setupEvEditor();
     }
 
     /**
@@ -112,11 +148,20 @@ class ControlManager {
     }
 
     /**
-     * Update controls UI with current values
+     * Update controls UI with current values; controls held by an emergency stop are disabled
      */
     updateControlsUI() {
         if (!this.controlsData) return;
 
+        const emergency = window.energyDataManager.getEmergencyStop();
+        Object.entries(CONTROL_SETTINGS).forEach(([elementId, [category, setting]]) => {
+            const input = document.getElementById(elementId);
+            if (input) {
+                input.disabled = emergency.isControlHeld(category, setting);
+                input.title = input.disabled ? 'Held by the emergency stop until it is resumed' : '';
+            }
+        });
+
         // System controls
         const gridToggle = document.getElementById('grid-toggle');
         const autoBalance = document.getElementById('auto-balance');
@@ -155,31 +200,22 @@ class ControlManager {
      */
     updateDisplay() {
         this.updateDeviceControls();
+        this.updateLoadSheddingLog();
         this.updateSchedulesList();
+        this.updateRulesList();
     }
 
     /**
-     * Update device controls list
+     * Update device controls list, grouped by household and room/group with a toggle per group
      */
     updateDeviceControls() {
         const deviceControlList = document.getElementById('device-control-list');
         if (!deviceControlList) return;
 
         const householdData = window.energyDataManager.getHouseholdData();
-        const allDevices = [];
-
-        // Collect all devices from all households
-        householdData.households.forEach(household => {
-            household.devices.forEach(device => {
-                allDevices.push({
-                    ...device,
-                    householdId: household.id,
-                    householdName: household.name
-                });
-            });
-        });
+        const registry = window.energyDataManager.getHouseholdRegistry();
 
-        if (allDevices.length === 0) {
+        if (householdData.households.every(household => household.devices.length === 0)) {
             deviceControlList.innerHTML = `
                 <div class="empty-state">
                     <i class="fas fa-plug" style="font-size: 48px; color: #888; margin-bottom: 15px;"></i>
@@ -190,17 +226,66 @@ class ControlManager {
             return;
         }
 
-        const devicesHTML = allDevices.map(device => this.createDeviceControlHTML(device)).join('');
-        deviceControlList.innerHTML = devicesHTML;
+        const groupsHTML = householdData.households.map(household => 
+            registry.getDeviceGroups(household)
+                .filter(group => group.devices.length > 0)
+                .map(group => this.createDeviceGroupHTML(household, group))
+                .join('')
+        ).join('');
+        deviceControlList.innerHTML = groupsHTML;
 
         // Add event listeners for device controls
         deviceControlList.querySelectorAll('.device-control-toggle').forEach(toggle => {
             toggle.addEventListener('change', (e) => {
                 const householdId = e.target.getAttribute('data-household');
-                const deviceName = e.target.getAttribute('data-device');
-                this.toggleDeviceControl(householdId, deviceName);
+                const deviceId = e.target.getAttribute('data-device');
+                this.toggleDeviceControl(householdId, deviceId);
             });
         });
+
+        deviceControlList.querySelectorAll('.ev-settings-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const householdId = e.currentTarget.getAttribute('data-household');
+                const deviceId = e.currentTarget.getAttribute('data-device');
+                this.openEvEditor(householdId, deviceId);
+            });
+        });
+
+        deviceControlList.querySelectorAll('.group-control-toggle').forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                const householdId = e.target.getAttribute('data-household');
+                const groupId = e.target.getAttribute('data-group') || null;
+                this.toggleGroupControl(householdId, groupId, e.target.checked);
+            });
+        });
+    }
+
+    /**
+     * Create HTML for a room/group with its toggle (on when every device in it is on) and devices
+     */
+    createDeviceGroupHTML(household, group) {
+        const allOn = group.devices.every(device => device.status === 'on');
+        const devicesHTML = group.devices.map(device => this.createDeviceControlHTML({
+            ...device,
+            householdId: household.id,
+            householdName: household.name
+        })).join('');
+
+        return `
+            <div class="device-control-group">
+                <div class="device-control-group-header">
+                    <div class="device-name">${escapeHTML(household.name)} • ${escapeHTML(group.name)}</div>
+                    <div class="toggle-switch">
+                        <input type="checkbox" class="group-control-toggle" 
+                               data-household="${household.id}" 
+                               data-group="${group.id || ''}"
+                               ${allOn ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </div>
+                </div>
+                ${devicesHTML}
+            </div>
+        `;
     }
 
     /**
@@ -213,16 +298,26 @@ class ControlManager {
         return `
             <div class="device-control-item">
                 <div class="device-info">
-                    <div class="device-name">${device.name}</div>
+                    <div class="device-name">${escapeHTML(device.name)}</div>
                     <div class="device-status">
-                        ${device.householdName} • ${device.power} kW • 
+                        ${escapeHTML(device.householdName)} • ${device.power} kW • 
                         <span class="${priorityClass}">${device.priority} priority</span>
+                        ${device.shed ? '• <span class="device-shed">shed</span>' : ''}
                     </div>
+                    ${device.type === 'ev-charger' ? `
+                        <div class="ev-charging-status" data-ev-status="${device.householdId}/${device.id}">
+                            ${this.describeEvCharging(device.householdId, device.id)}
+                        </div>
+                        <button class="btn btn-secondary ev-settings-btn" type="button"
+                                data-household="${device.householdId}" data-device="${device.id}">
+                            <i class="fas fa-charging-station"></i> Smart Charging
+                        </button>
+                    ` : ''}
                 </div>
                 <div class="toggle-switch">
                     <input type="checkbox" class="device-control-toggle" 
                            data-household="${device.householdId}" 
-                           data-device="${device.name}"
+                           data-device="${device.id}"
                            ${device.status === 'on' ? 'checked' : ''}>
                     <span class="slider"></span>
                 </div>
@@ -230,11 +325,154 @@ class ControlManager {
         `;
     }
 
+    /**
+     * Describe a charger's smart charging state, e.g.
+     * "54% → 80% by 07:00 • 7.4 kW • Est. complete 03:15"
+     */
+    describeEvCharging(householdId, deviceId) {
+        const status = window.energyDataManager.getEvCharging().getStatus(householdId, deviceId);
+        const formatTime = date => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const mode = EV_CHARGING_MODES[status.settings.mode];
+
+        if (!status.enabled) return 'Smart charging off';
+        if (!status.pluggedIn) return `Not plugged in • ${mode} to ${status.settings.targetSoc}% by ${status.settings.departure}`;
+        if (status.soc === null) return `Plugged in • ${mode} • ${status.setpointKw} kW • Charge level not reported`;
+
+        const soc = Math.round(status.soc);
+        if (soc >= status.settings.targetSoc) return `Charged to ${soc}% (target ${status.settings.targetSoc}%)`;
+
+        const estimate = status.completion ?
+            `Est. complete ${formatTime(status.completion)}` :
+            `<span class="ev-charging-late">Only ${status.socAtDeparture}% by departure</span>`;
+        return `${soc}% → ${status.settings.targetSoc}% by ${status.settings.departure} • ${mode} • ` +
+            `${status.setpointKw > 0 ? `${status.setpointKw} kW` : 'Waiting'} • ${estimate}`;
+    }
+
+    /**
+     * Refresh the charging line on each EV charger card; called every tick so estimates stay live
+     */
+    updateEvChargingStatus() {
+        document.querySelectorAll('[data-ev-status]').forEach(element => {
+            const [householdId, deviceId] = element.getAttribute('data-ev-status').split('/');
+            element.innerHTML = this.describeEvCharging(householdId, deviceId);
+        });
+    }
+
+    /**
+     * Set up the smart charging editor
+     */
+    setupEvEditor() {
+        const form = document.getElementById('ev-form');
+        if (!form) return;
+
+        this.editingCharger = null;
+        document.getElementById('ev-mode').innerHTML = Object.entries(EV_CHARGING_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+        document.getElementById('ev-modal-close').addEventListener('click', () => this.closeEvEditor());
+        document.getElementById('ev-cancel').addEventListener('click', () => this.closeEvEditor());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEvEditor();
+        });
+    }
+
+    /**
+     * Open the smart charging editor for a charger
+     */
+    openEvEditor(householdId, deviceId) {
+        const device = window.energyDataManager.getHouseholdRegistry().getDevice(householdId, deviceId);
+        const settings = window.energyDataManager.getEvCharging().getSettings(householdId, deviceId);
+
+        this.editingCharger = { householdId, deviceId };
+        document.getElementById('ev-modal-title').textContent = `Smart Charging: ${device.name}`;
+        document.getElementById('ev-enabled').checked = settings.enabled;
+        document.getElementById('ev-mode').value = settings.mode;
+        document.getElementById('ev-target-soc').value = settings.targetSoc;
+        document.getElementById('ev-arrival').value = settings.arrival;
+        document.getElementById('ev-departure').value = settings.departure;
+        document.getElementById('ev-min-current').value = settings.minCurrent;
+        document.getElementById('ev-form-error').textContent = '';
+        document.getElementById('ev-modal').classList.add('active');
+    }
+
+    /**
+     * Close the smart charging editor without saving
+     */
+    closeEvEditor() {
+        document.getElementById('ev-modal').classList.remove('active');
+        this.editingCharger = null;
+    }
+
+    /**
+     * Validate and save the smart charging editor
+     */
+    saveEvEditor() {
+        const { householdId, deviceId } = this.editingCharger;
+
+        try {
+            window.energyDataManager.getEvCharging().updateSettings(householdId, deviceId, {
+                enabled: document.getElementById('ev-enabled').checked,
+                mode: document.getElementById('ev-mode').value,
+                targetSoc: parseFloat(document.getElementById('ev-target-soc').value),
+                arrival: document.getElementById('ev-arrival').value,
+                departure: document.getElementById('ev-departure').value,
+                minCurrent: parseFloat(document.getElementById('ev-min-current').value)
+            });
+        } catch (error) {
+            document.getElementById('ev-form-error').textContent = error.message;
+            return;
+        }
+
+        this.closeEvEditor();
+        this.updateDeviceControls();
+    }
+
+    /**
+     * Update the load shedding status line and the most recent shed/restore actions
+     */
+    updateLoadSheddingLog() {
+        const status = document.getElementById('load-shedding-status');
+        const logList = document.getElementById('load-shedding-log');
+        if (!status || !logList) return;
+
+        const shedding = window.energyDataManager.getLoadShedding();
+        const enabled = window.energyDataManager.getControlsData().systemControls.autoLoadBalancing;
+        const shedCount = shedding.getShedCount();
+
+        const essentialOnly = window.energyDataManager.getControlsData().energyLimits.loadPriority === 'essential';
+        status.textContent = !enabled ? 'Off: enable Auto Load Balancing to shed low and medium priority loads' :
+            shedCount > 0 ? `${shedCount} device${shedCount === 1 ? '' : 's'} shed${essentialOnly ? ' to keep the battery for high priority loads' : ''}` :
+            'No loads shed';
+
+        const entries = shedding.getLog().slice(0, 10);
+        logList.innerHTML = entries.length === 0 ? '<li>No shed or restore actions yet</li>' :
+            entries.map(entry => `
+                <li class="${entry.action}">
+                    <strong>${new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong>
+                    ${entry.action === 'shed' ? 'Shed' : 'Restored'} ${escapeHTML(entry.deviceName)} (${entry.power} kW): ${escapeHTML(entry.reason)}
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Switch a whole room/group on or off
+     */
+    toggleGroupControl(householdId, groupId, isOn) {
+        window.energyDataManager.setGroupStatus(householdId, groupId, isOn ? 'on' : 'off');
+        this.updateDeviceControls();
+        
+        // Update household manager if active
+        if (window.householdManager && window.householdManager.isInitialized) {
+            window.householdManager.update();
+        }
+    }
+
     /**
      * Toggle device control
      */
-    toggleDeviceControl(householdId, deviceName) {
-        window.energyDataManager.toggleDevice(householdId, deviceName);
+    toggleDeviceControl(householdId, deviceId) {
+        window.energyDataManager.toggleDevice(householdId, deviceId);
         
         // Update household manager if active
         if (window.householdManager && window.householdManager.isInitialized) {
@@ -246,15 +484,13 @@ class ControlManager {
      * Update system control
      */
     updateSystemControl(controlId, value) {
-        const controlMap = {
-            'grid-toggle': 'gridConnection',
-            'auto-balance': 'autoLoadBalancing',
-            'battery-charging': 'batteryCharging'
-        };
-
-        const controlName = controlMap[controlId];
-        if (controlName) {
-            window.energyDataManager.updateControlSetting('systemControls', controlName, value);
+        const [category, controlName] = CONTROL_SETTINGS[controlId] || [];
+        if (controlName && !window.energyDataManager.updateControlSetting(category, controlName, value)) {
+            this.showControlHeld();
+            return;
+        }
+        if (controlName === 'autoLoadBalancing') {
+            this.updateLoadSheddingLog();
         }
     }
 
@@ -262,7 +498,19 @@ class ControlManager {
      * Update energy limit
      */
     updateEnergyLimit(limitName, value) {
-        window.energyDataManager.updateControlSetting('energyLimits', limitName, value);
+        if (!window.energyDataManager.updateControlSetting('energyLimits', limitName, value)) {
+            this.showControlHeld();
+        }
+    }
+
+    /**
+     * Put back a control change refused during an emergency stop and offer the resume steps
+     */
+    showControlHeld() {
+        this.updateControlsUI();
+        if (window.energyDataManager.getEmergencyStop().isActive()) {
+            this.showEmergencyResume();
+        }
     }
 
     /**
@@ -291,29 +539,93 @@ class ControlManager {
         // Add event listeners for schedule toggles
         scheduleList.querySelectorAll('.schedule-toggle-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const scheduleId = parseInt(e.target.getAttribute('data-schedule-id'));
+                const scheduleId = parseInt(e.currentTarget.getAttribute('data-schedule-id'));
                 this.toggleSchedule(scheduleId);
             });
         });
+
+        // Edit, duplicate and delete buttons
+        scheduleList.querySelectorAll('.schedule-action-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const scheduleId = parseInt(e.currentTarget.getAttribute('data-schedule-id'));
+                this.handleScheduleAction(e.currentTarget.getAttribute('data-action'), scheduleId);
+            });
+        });
     }
 
     /**
-     * Create HTML for schedule
+     * Edit, duplicate or delete a schedule from its list item
+     */
+    handleScheduleAction(action, scheduleId) {
+        const engine = window.energyDataManager.getScheduleEngine();
+        const schedule = engine.getSchedule(scheduleId);
+        if (!schedule) return;
+
+        switch (action) {
+            case 'edit':
+                this.openScheduleEditor(schedule);
+                break;
+            case 'duplicate':
+                this.openScheduleEditor({ ...schedule, name: `${schedule.name} (copy)` }, true);
+                break;
+            case 'delete':
+                if (confirm(`Delete schedule "${schedule.name}"?`)) {
+                    engine.removeSchedule(scheduleId);
+                    this.updateDisplay();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Create HTML for schedule, with when it last ran and when it runs next
      */
     createScheduleHTML(schedule) {
+        const engine = window.energyDataManager.getScheduleEngine();
+        const now = new Date();
+        const formatRun = date => date.toLocaleString([], {
+            weekday: 'short', hour: '2-digit', minute: '2-digit'
+        });
+
+        let nextRun = 'Paused';
+        if (schedule.running) {
+            // The window may already have closed if the next tick has not finished the schedule yet
+            const end = engine.getWindowEnd(schedule, now);
+            nextRun = end ? `Running until ${formatRun(end)}` : 'Finishing';
+        } else if (schedule.active && engine.isInWindow(schedule, now)) {
+            nextRun = 'Waiting for conditions';
+        } else if (schedule.active) {
+            const next = engine.getNextRun(schedule, now);
+            nextRun = next ? formatRun(next) : 'Never';
+        }
+
         return `
-            <div class="schedule-item">
+            <div class="schedule-item ${schedule.running ? 'running' : ''}">
                 <div class="schedule-header">
-                    <span class="schedule-name">${schedule.name}</span>
+                    <span class="schedule-name">${escapeHTML(schedule.name)}</span>
                     <button class="schedule-toggle-btn ${schedule.active ? 'active' : ''}" 
                             data-schedule-id="${schedule.id}">
                         <i class="fas ${schedule.active ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
                     </button>
                 </div>
                 <div class="schedule-details">
-                    <div><strong>Time:</strong> ${schedule.time}</div>
-                    <div><strong>Action:</strong> ${schedule.action}</div>
-                    <div><strong>Conditions:</strong> ${schedule.conditions}</div>
+                    <div><strong>Time:</strong> ${engine.describeTime(schedule.start)} - ${engine.describeTime(schedule.end)}, ${engine.describeRecurrence(schedule)}</div>
+                    <div><strong>Targets:</strong> ${escapeHTML(engine.describeTargets(schedule.targets))}</div>
+                    <div><strong>Action:</strong> ${engine.describeAction(schedule.action)}</div>
+                    <div><strong>Conditions:</strong> ${engine.describeConditions(schedule.conditions)}</div>
+                    <div><strong>Last run:</strong> ${schedule.lastRun ? formatRun(new Date(schedule.lastRun)) : 'Never'}</div>
+                    <div><strong>Next run:</strong> ${nextRun}</div>
+                </div>
+                <div class="schedule-actions">
+                    <button class="btn btn-secondary schedule-action-btn" data-action="edit" data-schedule-id="${schedule.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-secondary schedule-action-btn" data-action="duplicate" data-schedule-id="${schedule.id}">
+                        <i class="fas fa-copy"></i> Duplicate
+                    </button>
+                    <button class="btn btn-danger schedule-action-btn" data-action="delete" data-schedule-id="${schedule.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
                 </div>
             </div>
         `;
@@ -328,58 +640,733 @@ class ControlManager {
     }
 
     /**
-     * Handle emergency stop
+     * Handle emergency stop: confirm before stopping, or show the resume steps if already stopped
      */
     handleEmergencyStop() {
-        if (confirm('Are you sure you want to trigger an emergency stop? This will shut down all non-essential systems.')) {
-            // Update all system controls to safe state
-            window.energyDataManager.updateControlSetting('systemControls', 'gridConnection', false);
-            window.energyDataManager.updateControlSetting('systemControls', 'autoLoadBalancing', false);
-            
-            // Turn off all non-essential devices
-            const householdData = window.energyDataManager.getHouseholdData();
-            householdData.households.forEach(household => {
-                household.devices.forEach(device => {
-                    if (device.priority === 'low') {
-                        device.status = 'off';
-                    }
-                });
-            });
+        if (window.energyDataManager.getEmergencyStop().isActive()) {
+            this.showEmergencyResume();
+            return;
+        }
 
-            // Update UI
-            this.updateControlsUI();
-            this.updateDisplay();
-            
-            // Show confirmation
-            alert('Emergency stop activated. All non-essential systems have been shut down.');
+        document.getElementById('emergency-modal-title').textContent = 'Emergency Stop';
+        document.getElementById('emergency-modal-body').innerHTML = `
+            <p>An emergency stop will:</p>
+            <ul class="emergency-effects">
+                <li>Disconnect the grid and turn off auto load balancing</li>
+                <li>Hold the grid, battery and energy limit settings until they are resumed</li>
+                <li>Switch off all low priority devices</li>
+                <li>Finish running schedules, then pause schedules, load shedding and automation rules</li>
+                <li>Hold smart EV chargers at 0 kW until automations resume</li>
+            </ul>
+            <p>The current settings and device states are saved so you can resume step by step.</p>
+            <div class="modal-actions">
+                <button class="btn btn-secondary" data-emergency-action="close" type="button">Cancel</button>
+                <button class="btn btn-danger" data-emergency-action="confirm" type="button">Stop Now</button>
+            </div>
+        `;
+        document.getElementById('emergency-modal').classList.add('active');
+    }
+
+    /**
+     * Show the guided resume: each step, which are done and a button to apply the next one
+     */
+    showEmergencyResume() {
+        const emergency = window.energyDataManager.getEmergencyStop();
+        const body = document.getElementById('emergency-modal-body');
+        const next = emergency.getNextStep();
+
+        document.getElementById('emergency-modal-title').textContent = 'Resume from Emergency Stop';
+        if (!next) {
+            body.innerHTML = `
+                <p>No emergency stop is active. All settings and devices are running normally.</p>
+                <div class="modal-actions">
+                    <button class="btn btn-primary" data-emergency-action="close" type="button">Close</button>
+                </div>
+            `;
+        } else {
+            const state = emergency.getState();
+            const stepsHTML = emergency.getSteps().map(step => `
+                <li class="resume-step ${step.done ? 'done' : ''} ${step.next ? 'next' : ''}">
+                    <i class="fas ${step.done ? 'fa-check-circle' : 'fa-circle'}"></i>
+                    <div>
+                        <strong>${step.label}</strong>${['high', 'medium', 'low'].includes(step.id) ? ` (${step.devices} devices)` : ''}
+                        <p>${step.description}</p>
+                    </div>
+                </li>
+            `).join('');
+
+            body.innerHTML = `
+                <p>${state.reason} at ${new Date(state.since).toLocaleString()}.</p>
+                <ol class="resume-steps">${stepsHTML}</ol>
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-emergency-action="close" type="button">Close</button>
+                    <button class="btn btn-primary" data-emergency-action="resume-step" type="button">${next.label}</button>
+                </div>
+            `;
+        }
+        document.getElementById('emergency-modal').classList.add('active');
+    }
+
+    /**
+     * Handle buttons in the emergency modal
+     */
+    handleEmergencyModalAction(action) {
+        const emergency = window.energyDataManager.getEmergencyStop();
+
+        switch (action) {
+            case 'confirm':
+                emergency.trigger();
+                this.update();
+                this.showEmergencyResume();
+                break;
+            case 'resume-step':
+                emergency.resumeNextStep();
+                this.update();
+                if (emergency.isActive()) {
+                    this.showEmergencyResume();
+                } else {
+                    document.getElementById('emergency-modal').classList.remove('active');
+                }
+                break;
+            case 'close':
+                document.getElementById('emergency-modal').classList.remove('active');
+                break;
+        }
+
+        if (window.dashboard) {
+            window.dashboard.updateEmergencyBanner();
+            window.dashboard.updateAlertBadge();
+        }
+    }
+
+    /**
+     * Setup the schedule editor modal: static options and form listeners
+     */
+    setupScheduleEditor() {
+        const form = document.getElementById('schedule-form');
+        if (!form) return;
+
+        this.editingScheduleId = null;
+        this.editorDates = [];
+
+        document.getElementById('schedule-recurrence').innerHTML = Object.entries(SCHEDULE_RECURRENCES)
+            .map(([value, recurrence]) => `<option value="${value}">${recurrence.label}</option>`).join('');
+        document.getElementById('schedule-action').innerHTML = Object.entries(SCHEDULE_ACTIONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        // Monday first reads more naturally in a week picker
+        document.getElementById('schedule-days').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+            <label class="schedule-days-option">
+                <input type="checkbox" value="${day}"> ${SCHEDULE_DAY_NAMES[day]}
+            </label>
+        `).join('');
+
+        document.querySelectorAll('#schedule-modal .time-anchor').forEach(select => {
+            select.addEventListener('change', () => this.updateScheduleEditorVisibility());
+        });
+        document.getElementById('schedule-recurrence').addEventListener('change', () => {
+            const preset = SCHEDULE_RECURRENCES[document.getElementById('schedule-recurrence').value].days;
+            if (preset) {
+                this.setScheduleEditorDays(preset);
+            }
+            this.updateScheduleEditorVisibility();
+        });
+        document.getElementById('schedule-action').addEventListener('change', () => this.updateScheduleEditorVisibility());
+
+        document.getElementById('schedule-add-date').addEventListener('click', () => {
+            const date = document.getElementById('schedule-date-input').value;
+            if (date && !this.editorDates.includes(date)) {
+                this.editorDates.push(date);
+                this.editorDates.sort();
+                this.renderScheduleEditorDates();
+            }
+        });
+        document.getElementById('schedule-dates').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-date]');
+            if (button) {
+                this.editorDates = this.editorDates.filter(date => date !== button.getAttribute('data-date'));
+                this.renderScheduleEditorDates();
+            }
+        });
+
+        this.setupBuilderList(document.getElementById('schedule-conditions'), 'condition');
+        document.getElementById('schedule-add-condition').addEventListener('click', () => {
+            this.addConditionRow(document.getElementById('schedule-conditions'));
+        });
+
+        document.getElementById('schedule-modal-close').addEventListener('click', () => this.closeScheduleEditor());
+        document.getElementById('schedule-cancel').addEventListener('click', () => this.closeScheduleEditor());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveScheduleEditor();
+        });
+    }
+
+    /**
+     * Open the schedule editor, empty for a new schedule or filled from an existing one.
+     * A duplicate is filled from its source but saved as a new schedule.
+     */
+    openScheduleEditor(schedule = null, duplicate = false) {
+        const engine = window.energyDataManager.getScheduleEngine();
+        const source = schedule || {
+            name: '',
+            start: '22:00',
+            end: '06:00',
+            recurrence: 'daily',
+            days: SCHEDULE_RECURRENCES.daily.days,
+            dates: [],
+            targets: [],
+            action: { type: 'on' },
+            conditions: []
+        };
+
+        this.editingScheduleId = schedule && !duplicate ? schedule.id : null;
+        document.getElementById('schedule-modal-title').textContent =
+            this.editingScheduleId ? 'Edit Schedule' : 'Add Schedule';
+        document.getElementById('schedule-name').value = source.name;
+        this.setScheduleEditorTime('start', engine.parseTime(source.start));
+        this.setScheduleEditorTime('end', engine.parseTime(source.end));
+        document.getElementById('schedule-recurrence').value = source.recurrence;
+        this.setScheduleEditorDays(source.days || []);
+        this.editorDates = [...(source.dates || [])];
+        this.renderScheduleEditorDates();
+
+        this.renderScheduleEditorTargets(source.targets);
+        document.getElementById('schedule-action').value = source.action.type;
+        document.getElementById('schedule-limit').value = source.action.limitKw !== undefined ? source.action.limitKw : '';
+
+        document.getElementById('schedule-conditions').innerHTML = '';
+        (source.conditions || []).forEach(condition =>
+            this.addConditionRow(document.getElementById('schedule-conditions'), condition));
+
+        document.getElementById('schedule-form-error').textContent = '';
+        this.updateScheduleEditorVisibility();
+        document.getElementById('schedule-modal').classList.add('active');
+        document.getElementById('schedule-name').focus();
+    }
+
+    /**
+     * Close the schedule editor without saving
+     */
+    closeScheduleEditor() {
+        document.getElementById('schedule-modal').classList.remove('active');
+        this.editingScheduleId = null;
+    }
+
+    /**
+     * Show only the inputs that apply to the chosen time anchors, recurrence and action
+     */
+    updateScheduleEditorVisibility() {
+        document.querySelectorAll('#schedule-modal .time-anchor').forEach(select => {
+            const isTime = select.value === 'time';
+            document.getElementById(select.getAttribute('data-time')).style.display = isTime ? '' : 'none';
+            document.getElementById(select.getAttribute('data-offset')).style.display = isTime ? 'none' : '';
+        });
+
+        const recurrence = document.getElementById('schedule-recurrence').value;
+        document.getElementById('schedule-days').style.display = recurrence === 'dates' ? 'none' : '';
+        document.getElementById('schedule-dates-row').style.display = recurrence === 'dates' ? '' : 'none';
+        document.getElementById('schedule-limit').style.display =
+            document.getElementById('schedule-action').value === 'limit' ? '' : 'none';
+    }
+
+    /**
+     * Fill a start or end time input group from a parsed schedule time
+     */
+    setScheduleEditorTime(which, { anchor, minutes }) {
+        const pad = value => String(value).padStart(2, '0');
+        document.getElementById(`schedule-${which}-anchor`).value = anchor;
+        document.getElementById(`schedule-${which}-time`).value =
+            anchor === 'time' ? `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}` : '';
+        document.getElementById(`schedule-${which}-offset`).value = anchor === 'time' ? '' : minutes;
+    }
+
+    /**
+     * Read a start or end time input group as a schedule time ("HH:MM" or "sunset+30")
+     */
+    getScheduleEditorTime(which) {
+        const anchor = document.getElementById(`schedule-${which}-anchor`).value;
+        if (anchor === 'time') {
+            return document.getElementById(`schedule-${which}-time`).value;
         }
+
+        const offset = parseInt(document.getElementById(`schedule-${which}-offset`).value) || 0;
+        return offset === 0 ? anchor : `${anchor}${offset > 0 ? '+' : '-'}${Math.abs(offset)}`;
+    }
+
+    /**
+     * Tick the day checkboxes for the given days
+     */
+    setScheduleEditorDays(days) {
+        document.querySelectorAll('#schedule-days input').forEach(input => {
+            input.checked = days.includes(parseInt(input.value));
+        });
+    }
+
+    /**
+     * Render the chosen specific dates with remove buttons
+     */
+    renderScheduleEditorDates() {
+        document.getElementById('schedule-dates').innerHTML = this.editorDates.map(date => `
+            <span class="schedule-date-chip">${date}<button type="button" data-date="${date}">&times;</button></span>
+        `).join('');
+    }
+
+    /**
+     * Render target checkboxes for every household's groups and devices, and each priority
+     */
+    renderScheduleEditorTargets(selected = []) {
+        const selectedKeys = selected.map(target => this.getScheduleTargetKey(target));
+        const option = (target, label) => {
+            const key = this.getScheduleTargetKey(target);
+            return `<label><input type="checkbox" value="${key}" ${selectedKeys.includes(key) ? 'checked' : ''}> ${escapeHTML(label)}</label>`;
+        };
+
+        const registry = window.energyDataManager.getHouseholdRegistry();
+        const households = registry.households.map(household => `
+            <h4>${escapeHTML(household.name)}</h4>
+            ${household.groups.map(group => option({ type: 'group', householdId: household.id, groupId: group.id }, `${group.name} (group)`)).join('')}
+            ${household.devices.map(device => option({ type: 'device', householdId: household.id, deviceId: device.id }, device.name)).join('')}
+        `).join('');
+        const priorities = DEVICE_PRIORITIES.map(priority => option({ type: 'priority', priority }, `All ${priority} priority`)).join('');
+
+        document.getElementById('schedule-targets').innerHTML = `${households}<h4>By priority</h4>${priorities}`;
+    }
+
+    /**
+     * Key identifying a target, e.g. "device:house2/ev", "group:house1/upstairs" or "priority:low"
+     */
+    getScheduleTargetKey(target) {
+        switch (target.type) {
+            case 'device':
+                return `device:${target.householdId}/${target.deviceId}`;
+            case 'group':
+                return `group:${target.householdId}/${target.groupId}`;
+            default:
+                return `priority:${target.priority}`;
+        }
+    }
+
+    /**
+     * Wire up a list of condition or action rows: switching a row's type re-renders its fields
+     * and the row's remove button deletes it. kind is 'condition' or 'action'.
+     */
+    setupBuilderList(container, kind) {
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains(`${kind}-type`)) {
+                const row = e.target.closest(`.${kind}-row`);
+                const render = kind === 'condition' ? this.renderConditionFields : this.renderActionFields;
+                row.querySelector(`.${kind}-fields`).innerHTML = render.call(this, { type: e.target.value });
+            }
+        });
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-row-btn');
+            if (button) {
+                button.closest(`.${kind}-row`).remove();
+            }
+        });
     }
 
     /**
-     * Show add schedule dialog
+     * Build <option> tags from { value: label } pairs, selecting one value
      */
-    showAddScheduleDialog() {
-        const name = prompt('Enter schedule name:');
-        if (!name) return;
+    buildOptions(options, selected) {
+        return Object.entries(options).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+    }
+
+    /**
+     * Append a condition row to a condition builder (schedule conditions or rule triggers)
+     */
+    addConditionRow(container, condition = { type: 'metric' }) {
+        const type = condition.type || 'metric';
+        const row = document.createElement('div');
+        row.className = 'condition-row';
+        row.innerHTML = `
+            <select class="condition-type">${this.buildOptions(CONDITION_TYPES, type)}</select>
+            <span class="condition-fields">${this.renderConditionFields({ ...condition, type })}</span>
+            <button class="btn btn-secondary remove-row-btn" type="button"><i class="fas fa-times"></i></button>
+        `;
+        container.appendChild(row);
+    }
 
-        const time = prompt('Enter time range (e.g., "22:00 - 06:00"):');
-        if (!time) return;
+    /**
+     * Inputs for a condition of a given type, filled from the condition
+     */
+    renderConditionFields(condition) {
+        switch (condition.type) {
+            case 'metric': {
+                const metrics = Object.fromEntries(Object.entries(CONDITION_METRICS)
+                    .map(([value, metric]) => [value, `${metric.label} (${metric.unit})`]));
+                const comparators = Object.fromEntries(Object.keys(CONDITION_COMPARATORS).map(value => [value, value]));
+                return `
+                    <select class="condition-metric">${this.buildOptions(metrics, condition.metric)}</select>
+                    <select class="condition-comparator">${this.buildOptions(comparators, condition.comparator || '<')}</select>
+                    <input type="number" class="condition-value" step="any" value="${condition.value !== undefined ? condition.value : 30}">
+                `;
+            }
+            case 'tariffPeriod':
+                return `<select class="condition-period">${this.buildOptions(TARIFF_PERIODS, condition.period || 'peak')}</select>`;
+            case 'timeWindow':
+                return `
+                    <input type="time" class="condition-start" value="${condition.start || '09:00'}">
+                    <input type="time" class="condition-end" value="${condition.end || '17:00'}">
+                `;
+            case 'alert': {
+                const severities = { any: 'Any severity', ...Object.fromEntries(ALERT_SEVERITIES.map(severity => [severity, severity])) };
+                return `<select class="condition-severity">${this.buildOptions(severities, condition.severity || 'any')}</select>`;
+            }
+            default:
+                return '';
+        }
+    }
 
-        const action = prompt('Enter action (e.g., "Charge EV"):');
-        if (!action) return;
+    /**
+     * Read a condition row back into a condition
+     */
+    readConditionRow(row) {
+        const type = row.querySelector('.condition-type').value;
+        const value = selector => row.querySelector(selector).value;
 
-        const conditions = prompt('Enter conditions (e.g., "Low grid rates"):');
-        if (!conditions) return;
+        switch (type) {
+            case 'metric':
+                return {
+                    type,
+                    metric: value('.condition-metric'),
+                    comparator: value('.condition-comparator'),
+                    value: parseFloat(value('.condition-value'))
+                };
+            case 'tariffPeriod':
+                return { type, period: value('.condition-period') };
+            case 'timeWindow':
+                return { type, start: value('.condition-start'), end: value('.condition-end') };
+            case 'alert':
+                return { type, severity: value('.condition-severity') };
+            default:
+                return { type };
+        }
+    }
 
-        const newSchedule = {
-            name,
-            time,
+    /**
+     * Read the editor form into a schedule definition
+     */
+    readScheduleEditor() {
+        const recurrence = document.getElementById('schedule-recurrence').value;
+        const actionType = document.getElementById('schedule-action').value;
+        const action = actionType === 'limit' ?
+            { type: 'limit', limitKw: parseFloat(document.getElementById('schedule-limit').value) } : { type: actionType };
+
+        return {
+            name: document.getElementById('schedule-name').value.trim(),
+            start: this.getScheduleEditorTime('start'),
+            end: this.getScheduleEditorTime('end'),
+            recurrence,
+            days: Array.from(document.querySelectorAll('#schedule-days input'))
+                .filter(input => input.checked)
+                .map(input => parseInt(input.value)),
+            dates: recurrence === 'dates' ? [...this.editorDates] : [],
+            targets: this.parseScheduleTargets(Array.from(document.querySelectorAll('#schedule-targets input'))
+                .filter(input => input.checked)
+                .map(input => input.value)),
             action,
-            conditions
+            conditions: Array.from(document.querySelectorAll('#schedule-conditions .condition-row'))
+                .map(row => this.readConditionRow(row))
         };
+    }
 
-        window.energyDataManager.addSchedule(newSchedule);
-        this.updateSchedulesList();
+    /**
+     * Validate and save the editor form, keeping the editor open with the error when invalid
+     */
+    saveScheduleEditor() {
+        const schedule = this.readScheduleEditor();
+
+        try {
+            if (this.editingScheduleId) {
+                window.energyDataManager.getScheduleEngine().updateSchedule(this.editingScheduleId, schedule);
+            } else {
+                window.energyDataManager.addSchedule(schedule);
+            }
+        } catch (error) {
+            document.getElementById('schedule-form-error').textContent = error.message;
+            return;
+        }
+
+        this.closeScheduleEditor();
+        this.updateDisplay();
+    }
+
+    /**
+     * Parse target keys such as "device:house2/ev" into schedule targets
+     */
+    parseScheduleTargets(keys) {
+        return keys.map(key => {
+            const [type, ref = ''] = key.split(':');
+            const [householdId, id] = ref.split('/');
+
+            switch (type) {
+                case 'device':
+                    return { type, householdId, deviceId: id };
+                case 'group':
+                    return { type, householdId, groupId: id };
+                default:
+                    return { type, priority: ref };
+            }
+        });
+    }
+
+    /**
+     * Update automation rules list
+     */
+    updateRulesList() {
+        const ruleList = document.getElementById('rule-list');
+        if (!ruleList) return;
+
+        const rules = window.energyDataManager.getAutomationEngine().getRules();
+
+        if (rules.length === 0) {
+            ruleList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-robot" style="font-size: 48px; color: #888; margin-bottom: 15px;"></i>
+                    <h3>No automation rules</h3>
+                    <p>Create rules that react to battery, generation, grid and tariff conditions.</p>
+                </div>
+            `;
+            return;
+        }
+
+        ruleList.innerHTML = rules.map(rule => this.createRuleHTML(rule)).join('');
+
+        ruleList.querySelectorAll('[data-rule-id]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const ruleId = parseInt(e.currentTarget.getAttribute('data-rule-id'));
+                this.handleRuleAction(e.currentTarget.getAttribute('data-action'), ruleId);
+            });
+        });
+    }
+
+    /**
+     * Create HTML for an automation rule
+     */
+    createRuleHTML(rule) {
+        const engine = window.energyDataManager.getAutomationEngine();
+        const lastTriggered = rule.lastTriggered ?
+            new Date(rule.lastTriggered).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : 'Never';
+
+        return `
+            <div class="rule-item ${rule.enabled && rule.triggered ? 'triggered' : ''}">
+                <div class="rule-header">
+                    <span class="rule-name">${escapeHTML(rule.name)}</span>
+                    <button class="schedule-toggle-btn ${rule.enabled ? 'active' : ''}" data-action="toggle" data-rule-id="${rule.id}">
+                        <i class="fas ${rule.enabled ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                    </button>
+                </div>
+                <div class="rule-details">
+                    <div><strong>When:</strong> ${engine.describeTriggers(rule)}</div>
+                    <div><strong>Then:</strong> ${escapeHTML(engine.describeActions(rule))}</div>
+                    <div><strong>Last triggered:</strong> ${lastTriggered}</div>
+                </div>
+                <div class="rule-actions">
+                    <button class="btn btn-secondary" data-action="edit" data-rule-id="${rule.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-danger" data-action="delete" data-rule-id="${rule.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Enable/disable, edit or delete a rule from its list item
+     */
+    handleRuleAction(action, ruleId) {
+        const engine = window.energyDataManager.getAutomationEngine();
+        const rule = engine.getRule(ruleId);
+        if (!rule) return;
+
+        switch (action) {
+            case 'toggle':
+                engine.setEnabled(ruleId, !rule.enabled);
+                this.updateRulesList();
+                break;
+            case 'edit':
+                this.openRuleEditor(rule);
+                break;
+            case 'delete':
+                if (confirm(`Delete rule "${rule.name}"?`)) {
+                    engine.removeRule(ruleId);
+                    this.updateRulesList();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Setup the automation rule editor modal
+     */
+    setupRuleEditor() {
+        const form = document.getElementById('rule-form');
+        if (!form) return;
+
+        this.editingRuleId = null;
+        const triggers = document.getElementById('rule-triggers');
+        const actions = document.getElementById('rule-actions');
+
+        this.setupBuilderList(triggers, 'condition');
+        this.setupBuilderList(actions, 'action');
+        document.getElementById('rule-add-trigger').addEventListener('click', () => this.addConditionRow(triggers));
+        document.getElementById('rule-add-action').addEventListener('click', () => this.addActionRow(actions));
+
+        document.getElementById('rule-modal-close').addEventListener('click', () => this.closeRuleEditor());
+        document.getElementById('rule-cancel').addEventListener('click', () => this.closeRuleEditor());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRuleEditor();
+        });
+    }
+
+    /**
+     * Open the rule editor, empty for a new rule or filled from an existing one
+     */
+    openRuleEditor(rule = null) {
+        const triggers = document.getElementById('rule-triggers');
+        const actions = document.getElementById('rule-actions');
+
+        this.editingRuleId = rule ? rule.id : null;
+        document.getElementById('rule-modal-title').textContent = rule ? 'Edit Rule' : 'Add Rule';
+        document.getElementById('rule-name').value = rule ? rule.name : '';
+        document.getElementById('rule-match').value = rule ? rule.match : 'all';
+
+        triggers.innerHTML = '';
+        actions.innerHTML = '';
+        if (rule) {
+            rule.triggers.forEach(trigger => this.addConditionRow(triggers, trigger));
+            rule.actions.forEach(action => this.addActionRow(actions, action));
+        } else {
+            this.addConditionRow(triggers);
+            this.addActionRow(actions);
+        }
+
+        document.getElementById('rule-form-error').textContent = '';
+        document.getElementById('rule-modal').classList.add('active');
+        document.getElementById('rule-name').focus();
+    }
+
+    /**
+     * Close the rule editor without saving
+     */
+    closeRuleEditor() {
+        document.getElementById('rule-modal').classList.remove('active');
+        this.editingRuleId = null;
+    }
+
+    /**
+     * Append an action row to the rule editor
+     */
+    addActionRow(container, action = { type: 'device' }) {
+        const row = document.createElement('div');
+        row.className = 'action-row';
+        row.innerHTML = `
+            <select class="action-type">${this.buildOptions(AUTOMATION_ACTIONS, action.type)}</select>
+            <span class="action-fields">${this.renderActionFields(action)}</span>
+            <button class="btn btn-secondary remove-row-btn" type="button"><i class="fas fa-times"></i></button>
+        `;
+        container.appendChild(row);
+    }
+
+    /**
+     * Inputs for an action of a given type, filled from the action
+     */
+    renderActionFields(action) {
+        switch (action.type) {
+            case 'device': {
+                const registry = window.energyDataManager.getHouseholdRegistry();
+                const selected = `${action.householdId}/${action.deviceId}`;
+                const devices = registry.households.map(household => `
+                    <optgroup label="${escapeHTML(household.name)}">
+                        ${household.devices.map(device => `
+                            <option value="${household.id}/${device.id}" ${`${household.id}/${device.id}` === selected ? 'selected' : ''}>${escapeHTML(device.name)}</option>
+                        `).join('')}
+                    </optgroup>
+                `).join('');
+                const statuses = { on: 'On', off: 'Off', toggle: 'Toggle' };
+                return `
+                    <select class="action-device">${devices}</select>
+                    <select class="action-status">${this.buildOptions(statuses, action.status || 'on')}</select>
+                `;
+            }
+            case 'energyLimit': {
+                const limits = Object.fromEntries(Object.entries(AUTOMATION_ENERGY_LIMITS)
+                    .map(([value, limit]) => [value, `${limit.label} (${limit.unit})`]));
+                return `
+                    <select class="action-setting">${this.buildOptions(limits, action.setting)}</select>
+                    <input type="number" class="action-value" step="any" value="${action.value !== undefined ? action.value : 10}">
+                `;
+            }
+            case 'loadPriority':
+                return `<select class="action-priority">${this.buildOptions(LOAD_PRIORITIES, action.value || 'essential')}</select>`;
+            case 'notify': {
+                const severities = Object.fromEntries(ALERT_SEVERITIES.map(severity => [severity, severity]));
+                return `
+                    <select class="action-severity">${this.buildOptions(severities, action.severity || 'info')}</select>
+                    <input type="text" class="action-message" placeholder="Message" value="${escapeHTML(action.message || '')}">
+                `;
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Read an action row back into an action
+     */
+    readActionRow(row) {
+        const type = row.querySelector('.action-type').value;
+        const value = selector => row.querySelector(selector).value;
+
+        switch (type) {
+            case 'device': {
+                const [householdId, deviceId] = value('.action-device').split('/');
+                return { type, householdId, deviceId, status: value('.action-status') };
+            }
+            case 'energyLimit':
+                return { type, setting: value('.action-setting'), value: parseFloat(value('.action-value')) };
+            case 'loadPriority':
+                return { type, value: value('.action-priority') };
+            case 'notify':
+                return { type, severity: value('.action-severity'), message: value('.action-message').trim() };
+            default:
+                return { type };
+        }
+    }
+
+    /**
+     * Validate and save the rule editor, keeping it open with the error when invalid
+     */
+    saveRuleEditor() {
+        const engine = window.energyDataManager.getAutomationEngine();
+        const rule = {
+            name: document.getElementById('rule-name').value.trim(),
+            match: document.getElementById('rule-match').value,
+            triggers: Array.from(document.querySelectorAll('#rule-triggers .condition-row'))
+                .map(row => this.readConditionRow(row)),
+            actions: Array.from(document.querySelectorAll('#rule-actions .action-row'))
+                .map(row => this.readActionRow(row))
+        };
+
+        try {
+            if (this.editingRuleId) {
+                engine.updateRule(this.editingRuleId, rule);
+            } else {
+                engine.addRule(rule);
+            }
+        } catch (error) {
+            document.getElementById('rule-form-error').textContent = error.message;
+            return;
+        }
+
+        this.closeRuleEditor();
+        this.updateRulesList();
     }
 
     /**
@@ -415,5 +1402,8 @@ class ControlManager {
     }
 }
 
+// Export for external access
+window.CONTROL_SETTINGS = CONTROL_SETTINGS;
+
 // Create global instance
 window.controlManager = new ControlManager();
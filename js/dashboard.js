@@ -173,6 +173,15 @@ class Dashboard {
         window.addEventListener('beforeunload', () => {
             this.cleanup();
         });
+
+        // Emergency banner resume button opens the guided resume
+        const resumeBtn = document.getElementById('emergency-resume-btn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => {
+                window.controlManager.initialize();
+                window.controlManager.showEmergencyResume();
+            });
+        }
     }
 
     /**
@@ -232,6 +241,18 @@ class Dashboard {
             this.updateQuickSummary(currentData.dailySummary);
             this.updateLastUpdatedTime();
             this.updateAlertBadge();
+            this.updateEmergencyBanner();
+            if (window.alertsManager) {
+                window.alertsManager.update();
+            }
+            
+            // Schedules and automation rules that acted this tick changed devices or controls
+            if (window.energyDataManager.lastControlChanges.length > 0 &&
+                window.controlManager && window.controlManager.isInitialized) {
+                window.controlManager.update();
+            } else if (window.controlManager && window.controlManager.isInitialized) {
+                window.controlManager.updateEvChargingStatus();
+            }
             
             // Update charts
             if (window.chartManager) {
@@ -284,7 +305,9 @@ class Dashboard {
             levelBar: document.getElementById('battery-level-bar'),
             health: document.getElementById('battery-health'),
             voltage: document.getElementById('battery-voltage'),
-            temp: document.getElementById('battery-temp')
+            temp: document.getElementById('battery-temp'),
+            power: document.getElementById('battery-power'),
+            cycles: document.getElementById('battery-cycles')
         };
 
         if (elements.percentage) {
@@ -319,6 +342,17 @@ class Dashboard {
             elements.temp.textContent = `${batteryData.temperature}°C`;
             this.animateUpdate(elements.temp);
         }
+
+        if (elements.power) {
+            // Positive power is charging, negative is discharging
+            const direction = batteryData.power > 0 ? 'charging' : batteryData.power < 0 ? 'discharging' : 'idle';
+            elements.power.textContent = `${Math.abs(batteryData.power)} kW ${direction}`;
+            this.animateUpdate(elements.power);
+        }
+
+        if (elements.cycles) {
+            elements.cycles.textContent = `${batteryData.cycles} (SoH ${batteryData.stateOfHealth}%)`;
+        }
     }
 
     /**
@@ -329,11 +363,19 @@ class Dashboard {
             indicator: document.getElementById('grid-status-indicator'),
             statusText: document.getElementById('grid-status-text'),
             loadBar: document.getElementById('grid-load-bar'),
-            loadPercentage: document.getElementById('grid-load-percentage')
+            loadPercentage: document.getElementById('grid-load-percentage'),
+            importPower: document.getElementById('grid-import'),
+            exportPower: document.getElementById('grid-export'),
+            importedToday: document.getElementById('grid-imported-today'),
+            exportedToday: document.getElementById('grid-exported-today')
         };
 
         if (elements.statusText) {
-            elements.statusText.textContent = gridData.status;
+            if (!gridData.available) {
+                elements.statusText.textContent = 'OUTAGE';
+            } else {
+                elements.statusText.textContent = gridData.connected ? gridData.status : 'DISCONNECTED';
+            }
             this.animateUpdate(elements.statusText);
         }
 
@@ -355,6 +397,24 @@ class Dashboard {
             elements.loadPercentage.textContent = `${gridData.load}%`;
             this.animateUpdate(elements.loadPercentage);
         }
+
+        if (elements.importPower) {
+            elements.importPower.textContent = `${gridData.importPower} kW`;
+            this.animateUpdate(elements.importPower);
+        }
+
+        if (elements.exportPower) {
+            elements.exportPower.textContent = `${gridData.exportPower} kW`;
+            this.animateUpdate(elements.exportPower);
+        }
+
+        if (elements.importedToday) {
+            elements.importedToday.textContent = `${gridData.importedToday} kWh today`;
+        }
+
+        if (elements.exportedToday) {
+            elements.exportedToday.textContent = `${gridData.exportedToday} kWh today`;
+        }
     }
 
     /**
@@ -389,13 +449,30 @@ class Dashboard {
     updateAlertBadge() {
         const badge = document.getElementById('alert-count');
         if (badge) {
-            const alerts = window.energyDataManager.getAlertsData();
-            const activeAlerts = alerts.filter(alert => !alert.dismissed);
+            // Acknowledged and snoozed alerts are still open but do not need attention now
+            const history = window.energyDataManager.getAlertHistory();
+            const activeAlerts = history.getAlerts().filter(alert => alert.state === 'raised' && !history.isSnoozed(alert));
             badge.textContent = activeAlerts.length;
             badge.style.display = activeAlerts.length > 0 ? 'block' : 'none';
         }
     }
 
+    /**
+     * Show the emergency banner while an emergency stop is in force
+     */
+    updateEmergencyBanner() {
+        const banner = document.getElementById('emergency-banner');
+        if (!banner) return;
+
+        const emergency = window.energyDataManager.getEmergencyStop().getState();
+        banner.classList.toggle('active', emergency.active);
+        if (emergency.active) {
+            const since = new Date(emergency.since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            document.getElementById('emergency-banner-text').textContent =
+                `Emergency stop active since ${since}: automations paused. ${emergency.completedSteps.length} of ${EMERGENCY_RESUME_STEPS.length} resume steps done.`;
+        }
+    }
+
     /**
      * Update last updated timestamp
      */
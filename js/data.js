@@ -3,6 +3,21 @@
  * Handles all data operations with support for historical data and multiple time periods
  */
 
+// Chart periods and the time-series resolution that backs each of them
+const HISTORY_PERIODS = {
+    '24h': { resolution: '30m', points: 48 },
+    '7d': { resolution: 'hourly', points: 168 },
+    '30d': { resolution: 'hourly', points: 720 },
+    '90d': { resolution: 'daily', points: 90 },
+    '1y': { resolution: 'daily', points: 365 }
+};
+
+// Metrics kept as historical series; each also gets a matching *Energy (kWh) series
+const HISTORY_METRICS = [
+    'generation', 'consumption', 'solar', 'wind',
+    'batteryCharge', 'batteryDischarge', 'gridImport', 'gridExport'
+];
+
 class EnergyDataManager {
     constructor() {
         this.currentData = {
@@ -20,11 +35,23 @@ class EnergyDataManager {
                 percentage: 75,
                 health: 'Good',
                 voltage: 0,
-                temperature: 0
+                temperature: 0,
+                power: 0,
+                cycles: 0,
+                stateOfHealth: 100,
+                capacity: 0
             },
             grid: {
                 status: 'OFF',
-                load: 0
+                connected: true,
+                available: true,
+                load: 0,
+                power: 0,
+                importPower: 0,
+                exportPower: 0,
+                unservedPower: 0,
+                importedToday: 0,
+                exportedToday: 0
             },
             dailySummary: {
                 totalGenerated: 0,
@@ -33,54 +60,25 @@ class EnergyDataManager {
             }
         };
         
-        this.historicalData = {
-            '24h': { labels: [], generation: [], consumption: [] },
-            '7d': { labels: [], generation: [], consumption: [] },
-            '30d': { labels: [], generation: [], consumption: [] }
-        };
+        this.historicalData = {};
+        Object.keys(HISTORY_PERIODS).forEach(period => {
+            this.historicalData[period] = this.buildHistorySeries([]);
+        });
+        this.timeSeriesStore = new TimeSeriesStore();
+        this.energyIntegrator = new EnergyIntegrator();
+        this.batteryModel = new BatteryModel({}, this.loadBatteryState());
+        this.lastUpdateTime = null;
 
+        this.profileLibrary = new DeviceProfileLibrary();
+        this.householdRegistry = new HouseholdRegistry();
         this.householdData = {
-            households: [
-                {
-                    id: 'house1',
-                    name: 'House 1',
-                    status: 'Active',
-                    currentUsage: 0,
-                    devices: [
-                        { name: 'HVAC', power: 0, status: 'on', priority: 'high' },
-                        { name: 'Water Heater', power: 0, status: 'on', priority: 'medium' },
-                        { name: 'Refrigerator', power: 0.8, status: 'on', priority: 'high' },
-                        { name: 'Lighting', power: 0, status: 'on', priority: 'low' }
-                    ]
-                },
-                {
-                    id: 'house2',
-                    name: 'House 2',
-                    status: 'Active',
-                    currentUsage: 0,
-                    devices: [
-                        { name: 'HVAC', power: 0, status: 'on', priority: 'high' },
-                        { name: 'Electric Vehicle', power: 0, status: 'off', priority: 'low' },
-                        { name: 'Washer/Dryer', power: 0, status: 'off', priority: 'low' },
-                        { name: 'Kitchen Appliances', power: 0, status: 'on', priority: 'medium' }
-                    ]
-                },
-                {
-                    id: 'house3',
-                    name: 'House 3',
-                    status: 'Active',
-                    currentUsage: 0,
-                    devices: [
-                        { name: 'Heat Pump', power: 0, status: 'on', priority: 'high' },
-                        { name: 'Pool Pump', power: 0, status: 'off', priority: 'low' },
-                        { name: 'Electronics', power: 0, status: 'on', priority: 'medium' },
-                        { name: 'Outdoor Lighting', power: 0, status: 'auto', priority: 'low' }
-                    ]
-                }
-            ]
+            households: this.householdRegistry.households
         };
 
-        this.alertsData = [];
+        this.alertHistory = new AlertHistory();
+        this.alertRules = null;
+        // Alerts raised, or back from a snooze, that have not been notified yet (see takeUnnotifiedAlerts)
+        this.unnotifiedAlerts = [];
         this.controlsData = {
             systemControls: {
                 gridConnection: true,
@@ -94,113 +92,181 @@ class EnergyDataManager {
             }
         };
 
-        this.schedules = [
-            {
-                id: 1,
-                name: 'Night Charging',
-                active: true,
-                time: '22:00 - 06:00',
-                action: 'Charge EV',
-                conditions: 'Low grid rates'
-            },
-            {
-                id: 2,
-                name: 'Peak Shaving',
-                active: true,
-                time: '16:00 - 20:00',
-                action: 'Reduce non-essential loads',
-                conditions: 'High grid rates'
-            }
-        ];
+        this.tariff = new TariffModel();
+
+        // Site location for sunrise/sunset-relative schedule times
+        this.siteModel = new SiteGenerationModel();
+        this.scheduleEngine = new ScheduleEngine(this.householdRegistry, date => this.siteModel.getSunTimes(date));
+        this.automationEngine = new AutomationEngine(this);
+        this.loadShedding = new LoadSheddingController(this);
+        this.evCharging = new EvChargingController(this);
+        this.emergencyStop = new EmergencyStop(this);
+        this.anomalyDetector = new AnomalyDetector(this);
+        // Schedule, load shedding, EV charging and rule actions from the latest tick, so views can refresh
+        this.lastControlChanges = [];
+
+        this.dataSource = null;
+        this.dataSourceType = null;
+        this.siteConfig = {};
+        this.setDataSource('simulator');
+        // The simulator runs until the settings apply the configured source; nothing is recorded
+        // to history before then
+        this.isDataSourceConfigured = false;
+        this.dataSourceConfigured = new Promise(resolve => {
+            this.resolveDataSourceConfigured = resolve;
+        });
         
-        this.initializeHistoricalData();
-        this.generateAlerts();
+        // Set once the store is open and its history loaded, so history-based views and detection can wait for it
+        this.isHistoryReady = false;
+        this.historyReady = this.initializeHistoricalData();
     }
 
     /**
-     * Initialize historical data for all time periods
+     * Switch the adapter that supplies live readings
      */
-    initializeHistoricalData() {
-        this.initializePeriodData('24h', 48, 30); // 48 points, 30 min intervals
-        this.initializePeriodData('7d', 168, 60); // 168 points, 1 hour intervals  
-        this.initializePeriodData('30d', 720, 60); // 720 points, 1 hour intervals
+    setDataSource(type, options = {}) {
+        const AdapterClass = window.dataSourceAdapters && window.dataSourceAdapters[type];
+        if (!AdapterClass) {
+            console.error(`Unknown data source type: ${type}`);
+            return false;
+        }
+
+        if (this.dataSource) {
+            this.dataSource.disconnect();
+        }
+
+        this.dataSource = new AdapterClass(options);
+        this.dataSourceType = type;
+        // A seeded simulator run starts from a fresh battery and leaves the saved one alone
+        this.batteryModel = new BatteryModel(this.batteryModel.config, this.isSeededRun() ? {} : this.loadBatteryState());
+        if (this.dataSource.configureSite) {
+            this.dataSource.configureSite(this.siteConfig);
+        }
+        this.dataSource.connect();
+        if (this.resolveDataSourceConfigured) {
+            this.isDataSourceConfigured = true;
+            this.resolveDataSourceConfigured();
+        }
+        return true;
     }
 
     /**
-     * Initialize data for a specific time period
+     * Check whether the source is a seeded simulator run, which is kept apart from saved state so it can be reproduced
      */
-    initializePeriodData(period, points, intervalMinutes) {
-        const now = new Date();
-        const labels = [];
-        const generation = [];
-        const consumption = [];
+    isSeededRun() {
+        return !!this.dataSource.seeded;
+    }
+
+    /**
+     * Update the site model (location, PV array and turbine) used by sources that simulate generation
+     */
+    configureSite(config) {
+        this.siteConfig = { ...this.siteConfig, ...config };
+        this.siteModel.configure(this.siteConfig);
+        if (this.dataSource.configureSite) {
+            this.dataSource.configureSite(this.siteConfig);
+        }
+    }
+
+    /**
+     * Get data source status
+     */
+    getDataSourceStatus() {
+        return {
+            type: this.dataSourceType,
+            ...this.dataSource.getStatus()
+        };
+    }
+
+    /**
+     * Open the time-series store, backfilling simulated history on first run when the configured
+     * source is the simulator. A real site's history starts empty rather than with simulated data,
+     * and a seeded run keeps its history in memory, backfilled from its seed.
+     */
+    async initializeHistoricalData() {
+        await this.dataSourceConfigured;
+        if (!this.isSeededRun()) {
+            await this.timeSeriesStore.open();
+        }
+        // The simulator needs its weather file before it can backfill
+        await this.dataSource.ready;
         
-        for (let i = points - 1; i >= 0; i--) {
-            const time = new Date(now.getTime() - (i * intervalMinutes * 60 * 1000));
-            labels.push(this.formatTimeForPeriod(time, period));
-            
-            // Generate realistic patterns based on time
-            const hour = time.getHours();
-            const day = time.getDay();
-            
-            // Solar generation pattern
-            let solarGen = 0;
-            if (hour >= 6 && hour <= 18) {
-                const solarFactor = Math.sin(((hour - 6) / 12) * Math.PI);
-                solarGen = solarFactor * (8 + Math.random() * 4);
-            }
-            
-            // Wind generation (more variable)
-            const windGen = 3 + Math.random() * 6;
-            
-            const totalGen = solarGen + windGen;
-            generation.push(Math.round(totalGen * 100) / 100);
+        if (!this.timeSeriesStore.hasStoredHistory() && this.dataSource.sampleHistory) {
+            this.backfillHistory(30);
+        }
+        
+        // Carry today's energy totals across reloads
+        const dayStart = this.energyIntegrator.getDayStart(Date.now());
+        this.energyIntegrator.restoreTotals(dayStart, this.timeSeriesStore.getBucketTotals('daily', dayStart));
+        
+        this.refreshHistoricalData();
+        this.isHistoryReady = true;
+    }
+
+    /**
+     * Record simulated half-hourly samples for the given number of past days
+     */
+    backfillHistory(days) {
+        const intervalMs = 30 * 60 * 1000;
+        const end = this.timeSeriesStore.getBucketStart('30m', Date.now());
+        
+        const intervalHours = intervalMs / (60 * 60 * 1000);
+        
+        for (let time = end - days * 24 * 60 * 60 * 1000; time < end; time += intervalMs) {
+            const sample = this.dataSource.sampleHistory(new Date(time));
             
-            // Consumption pattern (higher during peak hours and weekdays)
-            let consumptionBase = 4;
-            if (day >= 1 && day <= 5) { // Weekdays
-                if ((hour >= 7 && hour <= 9) || (hour >= 18 && hour <= 22)) {
-                    consumptionBase = 8;
-                } else if (hour >= 10 && hour <= 17) {
-                    consumptionBase = 6;
-                }
-            } else { // Weekends
-                if (hour >= 10 && hour <= 22) {
-                    consumptionBase = 7;
-                }
-            }
+            // Without a battery history, approximate the grid as covering the whole imbalance
+            sample.batteryCharge = 0;
+            sample.batteryDischarge = 0;
+            sample.gridImport = Math.max(0, sample.consumption - sample.generation);
+            sample.gridExport = Math.max(0, sample.generation - sample.consumption);
             
-            const totalCons = consumptionBase + Math.random() * 3;
-            consumption.push(Math.round(totalCons * 100) / 100);
+            const energy = {};
+            Object.entries(sample).forEach(([metric, power]) => {
+                energy[metric] = power * intervalHours;
+            });
+            this.timeSeriesStore.record(time, sample, energy);
         }
+        this.timeSeriesStore.prune();
+    }
+
+    /**
+     * Rebuild the per-period chart series from the time-series store.
+     * Each series carries the ISO start time of its buckets; formatting labels is left to the charts.
+     * generation/consumption are average kW per bucket, the *Energy series are kWh per bucket.
+     */
+    refreshHistoricalData() {
+        const now = Date.now();
         
-        this.historicalData[period] = { labels, generation, consumption };
-    }
-
-    /**
-     * Format time based on period
-     */
-    formatTimeForPeriod(date, period) {
-        switch (period) {
-            case '24h':
-                return date.toLocaleTimeString('en-US', { 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    hour12: false 
-                });
-            case '7d':
-                return date.toLocaleDateString('en-US', { 
-                    weekday: 'short',
-                    hour: '2-digit'
-                });
-            case '30d':
-                return date.toLocaleDateString('en-US', { 
-                    month: 'short',
-                    day: 'numeric'
-                });
-            default:
-                return date.toLocaleTimeString();
-        }
+        Object.entries(HISTORY_PERIODS).forEach(([period, { resolution, points }]) => {
+            const since = now - points * TIME_SERIES_RESOLUTIONS[resolution];
+            const series = this.timeSeriesStore.getSeries(resolution, since);
+            this.historicalData[period] = this.buildHistorySeries(series);
+        });
+    }
+
+    /**
+     * Turn store buckets into parallel arrays of timestamps, average kW and kWh per metric
+     */
+    buildHistorySeries(buckets) {
+        const round = value => Math.round((value || 0) * 100) / 100;
+        const series = {
+            timestamps: buckets.map(point => new Date(point.start).toISOString())
+        };
+        
+        HISTORY_METRICS.forEach(metric => {
+            series[metric] = buckets.map(point => round(point.values[metric]));
+            series[`${metric}Energy`] = buckets.map(point => round(point.energy[metric]));
+        });
+        
+        return series;
+    }
+
+    /**
+     * Set how many days of history the store keeps
+     */
+    setRetentionPeriod(days) {
+        this.timeSeriesStore.setRetention(days);
     }
 
     /**
@@ -208,59 +274,85 @@ class EnergyDataManager {
      */
     generateCurrentData() {
         const now = new Date();
-        const hour = now.getHours();
-        const day = now.getDay();
-        
-        // Solar generation based on time of day
-        let solar = 0;
-        if (hour >= 6 && hour <= 18) {
-            const solarFactor = Math.sin(((hour - 6) / 12) * Math.PI);
-            solar = solarFactor * (8 + Math.random() * 4);
-        }
+        const dtHours = this.getElapsedHours(now);
         
-        // Wind generation (more random)
-        const wind = 3 + Math.random() * 6;
+        // Generation comes from the active data source; hold the last values while it has nothing
+        const reading = this.dataSource.read(now);
+        const solar = reading ? reading.generation.solar : this.currentData.generation.solar;
+        const wind = reading ? reading.generation.wind : this.currentData.generation.wind;
+        const conditions = this.getSiteConditions(reading);
+        // What the site model expects from the reading's weather, for anomaly detection
+        const expected = reading && reading.weather ?
+            this.anomalyDetector.getExpectedGeneration(reading.modelTime || now, reading.weather) : null;
+        
+        // Schedules and load shedding switch devices and set power limits, and smart charging sets EV
+        // charge rates, before consumption is modelled. Automations are paused during an emergency stop,
+        // which holds smart-charged EVs at 0 kW.
+        const automationsPaused = this.emergencyStop.isActive();
+        const scheduleChanges = automationsPaused ? [] : this.scheduleEngine.apply(now, this.getConditionContext(now));
+        const sheddingChanges = automationsPaused ? [] : this.loadShedding.apply(now, this.currentData);
+        const chargingChanges = automationsPaused ? this.evCharging.hold() :
+            this.evCharging.apply(now, this.currentData, reading);
         
         // Update household consumption
-        this.updateHouseholdConsumption(hour, day);
+        this.updateHouseholdConsumption(now, reading ? reading.households : null, conditions, dtHours);
         
         const totalGeneration = solar + wind;
         const totalConsumption = this.getTotalHouseholdConsumption();
         
-        // Battery calculations
+        // Battery calculations: the battery absorbs surplus and covers deficit within its limits
         const netEnergy = totalGeneration - totalConsumption;
-        let batteryPercentage = this.currentData.battery.percentage;
-        
-        if (netEnergy > 0) {
-            // Charging
-            batteryPercentage = Math.min(100, batteryPercentage + (netEnergy * 0.1));
-        } else if (netEnergy < 0) {
-            // Discharging
-            batteryPercentage = Math.max(0, batteryPercentage + (netEnergy * 0.1));
-        }
+        this.batteryModel.step(netEnergy, dtHours, {
+            chargingEnabled: this.controlsData.systemControls.batteryCharging,
+            minSocPercent: this.controlsData.energyLimits.batteryDischargeLimit,
+            ambientTemperature: conditions.ambientTemperature,
+            fault: conditions.batteryFault
+        });
+        this.saveBatteryState();
         
-        // Grid status based on battery and consumption
-        const gridStatus = batteryPercentage < this.controlsData.energyLimits.batteryDischargeLimit || 
-                          totalConsumption > totalGeneration + 2 ? 'ON' : 'OFF';
-        const gridLoad = gridStatus === 'ON' ? Math.min(100, Math.abs(netEnergy) * 10) : 0;
+        const batteryState = this.batteryModel.getState();
+        const batteryPercentage = batteryState.percentage;
+        
+        // Whatever the battery cannot absorb or supply flows through the grid
+        const grid = this.calculateGridFlow(netEnergy - batteryState.power, conditions.gridAvailable);
         
         // Battery health based on usage patterns
         let batteryHealth = 'Good';
-        if (batteryPercentage < 10) {
+        if (conditions.batteryFault || batteryPercentage < 10) {
             batteryHealth = 'Critical';
         } else if (batteryPercentage < 30) {
             batteryHealth = 'Warning';
         }
         
+        // Integrate power into today's energy totals
+        const energy = this.energyIntegrator.addSample(now, {
+            ...this.getConsumerPowers(),
+            generation: totalGeneration,
+            consumption: totalConsumption,
+            solar,
+            wind,
+            batteryCharge: Math.max(0, batteryState.power),
+            batteryDischarge: Math.max(0, -batteryState.power),
+            gridImport: grid.importPower,
+            gridExport: grid.exportPower
+        });
+        const energyToday = this.energyIntegrator.getTotals();
+        const generatedToday = energyToday.generation || 0;
+        const consumedToday = energyToday.consumption || 0;
+        
         // Daily summary calculations
-        const efficiency = totalGeneration > 0 ? Math.min(100, (totalGeneration / totalConsumption) * 100) : 0;
+        const efficiency = consumedToday > 0 ? Math.min(100, (generatedToday / consumedToday) * 100) : 0;
         
         this.currentData = {
             timestamp: now,
             generation: {
                 solar: Math.round(solar * 100) / 100,
                 wind: Math.round(wind * 100) / 100,
-                total: Math.round(totalGeneration * 100) / 100
+                total: Math.round(totalGeneration * 100) / 100,
+                expected: expected ? {
+                    solar: Math.round(expected.solar * 100) / 100,
+                    wind: Math.round(expected.wind * 100) / 100
+                } : null
             },
             consumption: {
                 households: Math.round(totalConsumption * 100) / 100,
@@ -269,64 +361,282 @@ class EnergyDataManager {
             battery: {
                 percentage: Math.round(batteryPercentage),
                 health: batteryHealth,
-                voltage: Math.round((48 + (batteryPercentage / 100) * 6) * 10) / 10,
-                temperature: Math.round((25 + Math.random() * 10) * 10) / 10
+                voltage: Math.round(batteryState.voltage * 10) / 10,
+                temperature: Math.round(batteryState.temperature * 10) / 10,
+                power: Math.round(batteryState.power * 100) / 100,
+                cycles: Math.round(batteryState.cycles * 10) / 10,
+                stateOfHealth: Math.round(batteryState.stateOfHealth * 10) / 10,
+                capacity: batteryState.capacityKwh
             },
             grid: {
-                status: gridStatus,
-                load: Math.round(gridLoad)
+                status: grid.status,
+                connected: grid.connected,
+                available: grid.available,
+                load: Math.round(grid.load),
+                power: Math.round((grid.importPower - grid.exportPower) * 100) / 100,
+                importPower: Math.round(grid.importPower * 100) / 100,
+                exportPower: Math.round(grid.exportPower * 100) / 100,
+                unservedPower: Math.round(grid.unservedPower * 100) / 100,
+                importedToday: Math.round((energyToday.gridImport || 0) * 100) / 100,
+                exportedToday: Math.round((energyToday.gridExport || 0) * 100) / 100
             },
             dailySummary: {
-                totalGenerated: Math.round((this.currentData.dailySummary.totalGenerated + (totalGeneration / 48)) * 100) / 100,
-                totalConsumed: Math.round((this.currentData.dailySummary.totalConsumed + (totalConsumption / 48)) * 100) / 100,
+                totalGenerated: Math.round(generatedToday * 100) / 100,
+                totalConsumed: Math.round(consumedToday * 100) / 100,
                 efficiency: Math.round(efficiency)
             }
         };
         
         // Update historical data
-        this.updateHistoricalData();
+        if (this.isDataSourceConfigured) {
+            this.updateHistoricalData(energy);
+        }
+        
+        // Check alert rules and look for unusual usage and generation
+        this.checkAlerts(now);
+        this.anomalyDetector.check(now, this.currentData);
+        
+        // Automation rules see this tick's data; their actions take effect from the next tick
+        this.lastControlChanges = [
+            ...scheduleChanges,
+            ...sheddingChanges,
+            ...chargingChanges,
+            ...(automationsPaused ? [] : this.automationEngine.evaluate(this.getConditionContext(now)))
+        ];
+    }
+
+    /**
+     * Everything schedule conditions and automation triggers can test
+     */
+    getConditionContext(now) {
+        return {
+            data: this.currentData,
+            now,
+            alerts: this.alertHistory.getAlerts(),
+            tariffPeriod: this.tariff.getPeriod(now),
+            importRate: this.tariff.getImportRate(now),
+            exportRate: this.tariff.getExportRate(now)
+        };
+    }
+
+    /**
+     * Tariff period at a time (off-peak, standard or peak)
+     */
+    getTariffPeriod(now) {
+        return this.tariff.getPeriod(now);
+    }
+
+    /**
+     * Get the time-of-use tariff
+     */
+    getTariff() {
+        return this.tariff;
+    }
+
+    /**
+     * Buckets to price a period with, and the days they cover (daily charges apply to those days only).
+     * Daily buckets are too coarse for time-of-use bands, so long periods are priced from hourly buckets.
+     */
+    getCostBuckets(period) {
+        const { resolution, points } = HISTORY_PERIODS[period] || HISTORY_PERIODS['24h'];
+        const now = Date.now();
+        const span = points * TIME_SERIES_RESOLUTIONS[resolution];
+        const costResolution = resolution === 'daily' ? 'hourly' : resolution;
+        const buckets = this.timeSeriesStore.getSeries(costResolution, now - span);
+        const covered = buckets.length > 0 ? Math.min(span, now - buckets[0].start) : 0;
+
+        return { buckets, days: covered / TIME_SERIES_RESOLUTIONS.daily };
+    }
+
+    /**
+     * Site energy costs over a period under the tariff:
+     * { importCost, exportCredit, fixedCharges, total, gridOnlyCost, savings }.
+     * gridOnlyCost is what all consumption would have cost from the grid; savings is the difference.
+     */
+    getCostSummary(period = '7d') {
+        const { buckets, days } = this.getCostBuckets(period);
+        const round = value => Math.round(value * 100) / 100;
+        let gridOnlyCost = 0;
+        let importCost = 0;
+        let exportCredit = 0;
+
+        buckets.forEach(bucket => {
+            const time = new Date(bucket.start);
+            const importRate = this.tariff.getImportRate(time);
+            gridOnlyCost += (bucket.energy.consumption || 0) * importRate;
+            importCost += (bucket.energy.gridImport || 0) * importRate;
+            exportCredit += (bucket.energy.gridExport || 0) * this.tariff.getExportRate(time);
+        });
+
+        const fixedCharges = this.tariff.getDailyCharge() * days * this.householdData.households.length;
+        return {
+            importCost: round(importCost),
+            exportCredit: round(exportCredit),
+            fixedCharges: round(fixedCharges),
+            total: round(importCost - exportCredit + fixedCharges),
+            gridOnlyCost: round(gridOnlyCost + fixedCharges),
+            savings: round(gridOnlyCost - importCost + exportCredit)
+        };
+    }
+
+    /**
+     * Each household's bill over a period: the site's grid import cost and export credit in each
+     * bucket are shared in proportion to household consumption, plus the daily charge.
+     * Backfilled history has no per-household breakdown, so those buckets are not billed.
+     */
+    getHouseholdBills(period = '7d') {
+        const { buckets, days } = this.getCostBuckets(period);
+        const round = value => Math.round(value * 100) / 100;
+        const households = this.householdData.households;
+        const bills = households.map(household => ({
+            householdId: household.id,
+            name: household.name,
+            energy: 0,
+            energyCost: 0,
+            exportCredit: 0,
+            fixedCharges: this.tariff.getDailyCharge() * days
+        }));
+
+        buckets.forEach(bucket => {
+            const usage = households.map(household => bucket.energy[this.getHouseholdMetric(household.id)] || 0);
+            const totalUsage = usage.reduce((a, b) => a + b, 0);
+            if (totalUsage <= 0) return;
+
+            const time = new Date(bucket.start);
+            const importCost = (bucket.energy.gridImport || 0) * this.tariff.getImportRate(time);
+            const exportCredit = (bucket.energy.gridExport || 0) * this.tariff.getExportRate(time);
+            usage.forEach((energy, index) => {
+                const share = energy / totalUsage;
+                bills[index].energy += energy;
+                bills[index].energyCost += importCost * share;
+                bills[index].exportCredit += exportCredit * share;
+            });
+        });
+
+        return bills.map(bill => ({
+            ...bill,
+            energy: round(bill.energy),
+            energyCost: round(bill.energyCost),
+            exportCredit: round(bill.exportCredit),
+            fixedCharges: round(bill.fixedCharges),
+            total: round(bill.energyCost - bill.exportCredit + bill.fixedCharges)
+        }));
+    }
+
+    /**
+     * Next random number, from the data source's seeded stream when it has one
+     */
+    random() {
+        return this.dataSource.random ? this.dataSource.random() : Math.random();
+    }
+
+    /**
+     * Site conditions reported with a reading (scenario effects from the simulator), with defaults
+     */
+    getSiteConditions(reading) {
+        return {
+            ambientTemperature: 25,
+            loadFactor: 1,
+            coolingLoadFactor: 1,
+            gridAvailable: true,
+            batteryFault: false,
+            ...(reading && reading.conditions ? reading.conditions : {})
+        };
+    }
+
+    /**
+     * Split the remaining power balance (positive surplus, negative deficit) into grid export and import.
+     * Import is hard-capped at maxGridImport; demand beyond the cap is reported as unserved.
+     */
+    calculateGridFlow(balance, gridAvailable = true) {
+        const connected = this.controlsData.systemControls.gridConnection && gridAvailable;
+        const maxImport = this.controlsData.energyLimits.maxGridImport;
+        const deficit = Math.max(0, -balance);
+        const surplus = Math.max(0, balance);
+        
+        const importPower = connected ? Math.min(deficit, maxImport) : 0;
+        const exportPower = connected ? surplus : 0;
+        const unservedPower = deficit - importPower;
         
-        // Check for new alerts
-        this.checkAlerts();
+        // Load is the share of the allowed import capacity in use
+        let load = 0;
+        if (importPower > 0) {
+            load = maxImport > 0 ? Math.min(100, (importPower / maxImport) * 100) : 100;
+        }
+        
+        return {
+            connected,
+            available: gridAvailable,
+            status: importPower > 0.01 || exportPower > 0.01 ? 'ON' : 'OFF',
+            importPower,
+            exportPower,
+            unservedPower,
+            load
+        };
     }
 
     /**
-     * Update household consumption based on time patterns
+     * Hours since the previous tick; long pauses are not simulated
      */
-    updateHouseholdConsumption(hour, day) {
+    getElapsedHours(now) {
+        const elapsed = this.lastUpdateTime ? now - this.lastUpdateTime : 0;
+        this.lastUpdateTime = now;
+        
+        if (elapsed <= 0 || elapsed > 15 * 60 * 1000) return 0;
+        return elapsed / (60 * 60 * 1000);
+    }
+
+    /**
+     * Load persisted battery state (SoC, temperature, cycle count)
+     */
+    loadBatteryState() {
+        try {
+            return JSON.parse(localStorage.getItem('energyBatteryState')) || {};
+        } catch (error) {
+            console.error('Error loading battery state:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist battery state so charge and cycle count survive reloads
+     */
+    saveBatteryState() {
+        if (this.isSeededRun()) return;
+        localStorage.setItem('energyBatteryState', JSON.stringify(this.batteryModel.state));
+    }
+
+    /**
+     * Update battery model configuration
+     */
+    configureBattery(config) {
+        this.batteryModel.configure(config);
+    }
+
+    /**
+     * Update household consumption from each device's power profile.
+     * Metered devices take their value from the reading and hold their last value while it has none.
+     */
+    updateHouseholdConsumption(now, meteredHouseholds = null, conditions = this.getSiteConditions(null), dtHours = 0) {
+        const context = { conditions, dtHours, random: () => this.random() };
+        
         this.householdData.households.forEach(household => {
             let totalUsage = 0;
+            const metered = meteredHouseholds ? meteredHouseholds[household.id] || {} : {};
             
             household.devices.forEach(device => {
-                if (device.status === 'on') {
-                    switch (device.name) {
-                        case 'HVAC':
-                        case 'Heat Pump':
-                            device.power = 2.5 + Math.random() * 2;
-                            if (hour >= 22 || hour <= 6) device.power *= 0.7;
-                            break;
-                        case 'Water Heater':
-                            device.power = (hour >= 6 && hour <= 8) || (hour >= 18 && hour <= 20) ? 
-                                          3 + Math.random() * 1 : 0.5;
-                            break;
-                        case 'Electric Vehicle':
-                            device.power = (hour >= 22 || hour <= 6) && device.status === 'on' ? 
-                                          6 + Math.random() * 2 : 0;
-                            break;
-                        case 'Lighting':
-                            device.power = (hour <= 7 || hour >= 18) ? 0.5 + Math.random() * 0.3 : 0.1;
-                            break;
-                        case 'Pool Pump':
-                            device.power = hour >= 10 && hour <= 16 ? 1.5 : 0;
-                            break;
-                        default:
-                            device.power = 0.5 + Math.random() * 1;
+                if (device.meteringSource === 'metered') {
+                    if (typeof metered[device.id] === 'number') {
+                        device.power = metered[device.id];
                     }
-                } else if (device.status === 'auto') {
-                    // Auto devices like outdoor lighting
-                    device.power = (hour <= 7 || hour >= 18) ? 0.3 : 0;
-                } else {
+                } else if (device.status === 'off' || device.shed) {
                     device.power = 0;
+                } else {
+                    // 'on' and 'auto' devices both follow their profile
+                    device.power = this.profileLibrary.getPower(device, now, context) * conditions.loadFactor;
+                    if (typeof device.powerLimit === 'number') {
+                        device.power = Math.min(device.power, device.powerLimit);
+                    }
                 }
                 
                 totalUsage += device.power;
@@ -336,6 +646,20 @@ class EnergyDataManager {
         });
     }
 
+    /**
+     * Get the device profile library
+     */
+    getProfileLibrary() {
+        return this.profileLibrary;
+    }
+
+    /**
+     * Get the household registry for adding, editing and removing households and devices
+     */
+    getHouseholdRegistry() {
+        return this.householdRegistry;
+    }
+
     /**
      * Get total household consumption
      */
@@ -346,151 +670,121 @@ class EnergyDataManager {
     }
 
     /**
-     * Update historical data with current values
+     * Time-series metric name for a household's consumption
      */
-    updateHistoricalData() {
-        const currentTime = this.currentData.timestamp;
-        
-        // Update 24h data every 30 minutes
-        if (this.shouldUpdateData('24h', currentTime)) {
-            this.addDataPoint('24h', currentTime);
-        }
-        
-        // Update 7d data every hour
-        if (this.shouldUpdateData('7d', currentTime)) {
-            this.addDataPoint('7d', currentTime);
-        }
-        
-        // Update 30d data every hour
-        if (this.shouldUpdateData('30d', currentTime)) {
-            this.addDataPoint('30d', currentTime);
-        }
+    getHouseholdMetric(householdId) {
+        return `household:${householdId}`;
     }
 
     /**
-     * Check if data should be updated for a period
+     * Time-series metric name for a device's consumption
      */
-    shouldUpdateData(period, currentTime) {
-        const data = this.historicalData[period];
-        if (data.labels.length === 0) return true;
-        
-        const lastTime = new Date(data.labels[data.labels.length - 1]);
-        const timeDiff = currentTime - lastTime;
-        
-        switch (period) {
-            case '24h':
-                return timeDiff >= 30 * 60 * 1000; // 30 minutes
-            case '7d':
-            case '30d':
-                return timeDiff >= 60 * 60 * 1000; // 1 hour
-            default:
-                return false;
-        }
+    getDeviceMetric(householdId, deviceId) {
+        return `device:${householdId}:${deviceId}`;
     }
 
     /**
-     * Add new data point to historical data
+     * Current power (kW) of every household and device, keyed by metric name
      */
-    addDataPoint(period, time) {
-        const data = this.historicalData[period];
-        const maxPoints = period === '24h' ? 48 : period === '7d' ? 168 : 720;
-        
-        // Remove oldest data point if at limit
-        if (data.labels.length >= maxPoints) {
-            data.labels.shift();
-            data.generation.shift();
-            data.consumption.shift();
-        }
+    getConsumerPowers() {
+        const powers = {};
+        this.householdData.households.forEach(household => {
+            powers[this.getHouseholdMetric(household.id)] = household.currentUsage;
+            household.devices.forEach(device => {
+                powers[this.getDeviceMetric(household.id, device.id)] = device.power;
+            });
+        });
+        return powers;
+    }
+
+    /**
+     * Get the history of one household or device metric for a period:
+     * { timestamps, power (average kW per bucket), energy (kWh per bucket) }.
+     * Backfilled history has no per-consumer breakdown, so those buckets read as zero.
+     */
+    getConsumerHistory(period, metric) {
+        const { resolution, points } = HISTORY_PERIODS[period] || HISTORY_PERIODS['24h'];
+        const since = Date.now() - points * TIME_SERIES_RESOLUTIONS[resolution];
+        const buckets = this.timeSeriesStore.getSeries(resolution, since);
+        const round = value => Math.round((value || 0) * 100) / 100;
         
-        data.labels.push(this.formatTimeForPeriod(time, period));
-        data.generation.push(this.currentData.generation.total);
-        data.consumption.push(this.currentData.consumption.total);
+        return {
+            timestamps: buckets.map(point => new Date(point.start).toISOString()),
+            power: buckets.map(point => round(point.values[metric])),
+            energy: buckets.map(point => round(point.energy[metric]))
+        };
     }
 
     /**
-     * Generate alerts based on current conditions
+     * Total energy (kWh) of a household or device metric over a period
      */
-    generateAlerts() {
-        this.alertsData = [
-            {
-                id: 1,
-                type: 'warning',
-                title: 'Low Battery Alert',
-                message: 'Battery level is below 25%. Consider reducing non-essential loads.',
-                timestamp: new Date(Date.now() - 5 * 60 * 1000),
-                dismissed: false
-            },
-            {
-                id: 2,
-                type: 'info',
-                title: 'Maintenance Reminder',
-                message: 'Solar panel cleaning recommended. Last cleaning: 30 days ago.',
-                timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000),
-                dismissed: false
-            },
-            {
-                id: 3,
-                type: 'critical',
-                title: 'Grid Connection Lost',
-                message: 'Grid connection has been lost. System running on battery power.',
-                timestamp: new Date(Date.now() - 10 * 60 * 1000),
-                dismissed: true
-            }
-        ];
+    getConsumerEnergy(period, metric) {
+        const total = this.getConsumerHistory(period, metric).energy.reduce((a, b) => a + b, 0);
+        return Math.round(total * 100) / 100;
     }
 
     /**
-     * Check for new alerts based on current conditions
+     * Record current values and the energy since the last tick in the time-series store
      */
-    checkAlerts() {
-        const alerts = [];
+    updateHistoricalData(energy = {}) {
+        const { generation, consumption, battery, grid } = this.currentData;
         
-        // Check battery level
-        if (this.currentData.battery.percentage < 20) {
-            alerts.push({
-                id: Date.now(),
-                type: 'critical',
-                title: 'Critical Battery Level',
-                message: `Battery level is ${this.currentData.battery.percentage}%. Immediate action required.`,
-                timestamp: new Date(),
-                dismissed: false
-            });
-        } else if (this.currentData.battery.percentage < 30) {
-            alerts.push({
-                id: Date.now() + 1,
-                type: 'warning',
-                title: 'Low Battery Warning',
-                message: `Battery level is ${this.currentData.battery.percentage}%. Consider reducing loads.`,
-                timestamp: new Date(),
-                dismissed: false
-            });
-        }
+        this.timeSeriesStore.record(this.currentData.timestamp, {
+            ...this.getConsumerPowers(),
+            generation: generation.total,
+            consumption: consumption.total,
+            solar: generation.solar,
+            wind: generation.wind,
+            batteryCharge: Math.max(0, battery.power),
+            batteryDischarge: Math.max(0, -battery.power),
+            gridImport: grid.importPower,
+            gridExport: grid.exportPower,
+            ...(generation.expected ? {
+                solarExpected: generation.expected.solar,
+                windExpected: generation.expected.wind
+            } : {})
+        }, energy);
         
-        // Check grid load
-        if (this.currentData.grid.load > 80) {
-            alerts.push({
-                id: Date.now() + 2,
-                type: 'warning',
-                title: 'High Grid Load',
-                message: `Grid load is ${this.currentData.grid.load}%. System under stress.`,
-                timestamp: new Date(),
-                dismissed: false
-            });
-        }
-        
-        // Add new alerts if they don't already exist
-        alerts.forEach(newAlert => {
-            const exists = this.alertsData.some(alert => 
-                alert.title === newAlert.title && 
-                Math.abs(alert.timestamp - newAlert.timestamp) < 5 * 60 * 1000
-            );
-            if (!exists) {
-                this.alertsData.unshift(newAlert);
+        this.refreshHistoricalData();
+    }
+
+    /**
+     * Use the alerts subsystem's rule set to raise alerts (set by AlertsManager)
+     */
+    setAlertRuleSet(ruleSet) {
+        this.alertRules = ruleSet;
+    }
+
+    /**
+     * Raise alerts for rules whose thresholds have been crossed for long enough, and resolve
+     * open rule alerts once their condition no longer holds
+     */
+    checkAlerts(now = new Date()) {
+        if (!this.alertRules) return;
+
+        const { raised } = this.alertRules.evaluate(this.getConditionContext(now));
+        raised.forEach(({ rule, message }) => {
+            // A rule that is still open (e.g. raised before a reload) is not raised twice
+            if (!this.alertHistory.getOpenAlertForRule(rule.id)) {
+                this.addAlert({ type: rule.severity, title: rule.name, message, ruleId: rule.id }, now);
             }
         });
-        
-        // Keep only last 50 alerts
-        this.alertsData = this.alertsData.slice(0, 50);
+
+        // Also covers rules disabled, deleted or edited while their alert was open
+        this.alertHistory.getOpenAlerts()
+            .filter(alert => alert.ruleId && !this.alertRules.isHolding(alert.ruleId))
+            .forEach(alert => this.alertHistory.resolve(alert.id, ALERT_SYSTEM_USER, 'Condition cleared', now));
+
+        this.unnotifiedAlerts.push(...this.alertHistory.wakeSnoozed(now));
+    }
+
+    /**
+     * Hand over the alerts waiting to be notified, emptying the queue
+     */
+    takeUnnotifiedAlerts() {
+        const alerts = this.unnotifiedAlerts;
+        this.unnotifiedAlerts = [];
+        return alerts;
     }
 
     /**
@@ -504,7 +798,7 @@ class EnergyDataManager {
      * Get historical data for charts
      */
     getHistoricalData(period = '24h') {
-        return { ...this.historicalData[period] };
+        return { ...(this.historicalData[period] || this.historicalData['24h']) };
     }
 
     /**
@@ -515,10 +809,31 @@ class EnergyDataManager {
     }
 
     /**
-     * Get alerts data
+     * Get alerts data: the alert history, newest first
      */
     getAlertsData() {
-        return [...this.alertsData];
+        return [...this.alertHistory.getAlerts()];
+    }
+
+    /**
+     * Get the anomaly detector
+     */
+    getAnomalyDetector() {
+        return this.anomalyDetector;
+    }
+
+    /**
+     * Get the alert history
+     */
+    getAlertHistory() {
+        return this.alertHistory;
+    }
+
+    /**
+     * Search the alert history ({ state, type, query }, see AlertHistory.search)
+     */
+    searchAlerts(filters) {
+        return this.alertHistory.search(filters);
     }
 
     /**
@@ -532,13 +847,52 @@ class EnergyDataManager {
      * Get schedules data
      */
     getSchedulesData() {
-        return [...this.schedules];
+        return [...this.scheduleEngine.getSchedules()];
+    }
+
+    /**
+     * Get the schedule engine
+     */
+    getScheduleEngine() {
+        return this.scheduleEngine;
+    }
+
+    /**
+     * Get the emergency stop
+     */
+    getEmergencyStop() {
+        return this.emergencyStop;
+    }
+
+    /**
+     * Get the EV smart charging controller
+     */
+    getEvCharging() {
+        return this.evCharging;
+    }
+
+    /**
+     * Get the load shedding controller
+     */
+    getLoadShedding() {
+        return this.loadShedding;
+    }
+
+    /**
+     * Get the automation rule engine
+     */
+    getAutomationEngine() {
+        return this.automationEngine;
     }
 
     /**
      * Update control setting
      */
     updateControlSetting(category, setting, value) {
+        // Settings held by an emergency stop only change through its resume steps
+        if (this.emergencyStop.isControlHeld(category, setting)) {
+            return false;
+        }
         if (this.controlsData[category] && this.controlsData[category].hasOwnProperty(setting)) {
             this.controlsData[category][setting] = value;
             return true;
@@ -547,62 +901,92 @@ class EnergyDataManager {
     }
 
     /**
-     * Toggle device status
+     * Switch every device in a household group on or off (groupId null means ungrouped devices)
      */
-    toggleDevice(householdId, deviceName) {
-        const household = this.householdData.households.find(h => h.id === householdId);
-        if (household) {
-            const device = household.devices.find(d => d.name === deviceName);
-            if (device) {
-                device.status = device.status === 'on' ? 'off' : 'on';
-                return true;
-            }
-        }
-        return false;
+    setGroupStatus(householdId, groupId, status) {
+        const household = this.householdRegistry.getHousehold(householdId);
+        if (!household) return false;
+
+        const section = this.householdRegistry.getDeviceGroups(household).find(group => group.id === groupId);
+        if (!section) return false;
+
+        section.devices.forEach(device => {
+            this.householdRegistry.updateDevice(householdId, device.id, { status });
+        });
+        return true;
     }
 
     /**
-     * Dismiss alert
+     * Toggle device status
      */
-    dismissAlert(alertId) {
-        const alert = this.alertsData.find(a => a.id === alertId);
-        if (alert) {
-            alert.dismissed = true;
+    toggleDevice(householdId, deviceId) {
+        const device = this.householdRegistry.getDevice(householdId, deviceId);
+        if (device) {
+            this.householdRegistry.updateDevice(householdId, deviceId, {
+                status: device.status === 'on' ? 'off' : 'on'
+            });
             return true;
         }
         return false;
     }
 
     /**
-     * Clear all dismissed alerts
+     * Acknowledge a raised alert on behalf of a user
+     */
+    acknowledgeAlert(alertId, user) {
+        return this.alertHistory.acknowledge(alertId, user);
+    }
+
+    /**
+     * Resolve an open alert on behalf of a user
+     */
+    resolveAlert(alertId, user) {
+        return this.alertHistory.resolve(alertId, user);
+    }
+
+    /**
+     * Resolve every open alert on behalf of a user
      */
-    clearDismissedAlerts() {
-        this.alertsData = this.alertsData.filter(alert => !alert.dismissed);
+    resolveAllAlerts(user) {
+        return this.alertHistory.resolveAll(user);
+    }
+
+    /**
+     * Raise an alert ({ type, title, message, ruleId? })
+     */
+    addAlert(alert, now = new Date()) {
+        const newAlert = this.alertHistory.add(alert, now);
+        this.unnotifiedAlerts.push(newAlert);
+        return newAlert;
+    }
+
+    /**
+     * Snooze an open alert (see ALERT_SNOOZE_OPTIONS) on behalf of a user
+     */
+    snoozeAlert(alertId, option, user) {
+        return this.alertHistory.snooze(alertId, option, user);
+    }
+
+    /**
+     * End an alert's snooze
+     */
+    unsnoozeAlert(alertId) {
+        return this.alertHistory.unsnooze(alertId);
     }
 
     /**
      * Add new schedule
      */
     addSchedule(schedule) {
-        const newSchedule = {
-            id: Date.now(),
-            ...schedule,
-            active: true
-        };
-        this.schedules.push(newSchedule);
-        return newSchedule;
+        return this.scheduleEngine.addSchedule(schedule);
     }
 
     /**
      * Toggle schedule
      */
     toggleSchedule(scheduleId) {
-        const schedule = this.schedules.find(s => s.id === scheduleId);
-        if (schedule) {
-            schedule.active = !schedule.active;
-            return true;
-        }
-        return false;
+        const schedule = this.scheduleEngine.getSchedules().find(s => s.id === scheduleId);
+        return schedule ? this.scheduleEngine.setActive(scheduleId, !schedule.active) : false;
     }
 
     /**
@@ -610,14 +994,18 @@ class EnergyDataManager {
      */
     getReportData(period = '7d') {
         const data = this.getHistoricalData(period);
+        const pointCount = data.generation.length || 1;
         
         // Calculate statistics
-        const avgGeneration = data.generation.reduce((a, b) => a + b, 0) / data.generation.length;
-        const avgConsumption = data.consumption.reduce((a, b) => a + b, 0) / data.consumption.length;
+        const avgGeneration = data.generation.reduce((a, b) => a + b, 0) / pointCount;
+        const avgConsumption = data.consumption.reduce((a, b) => a + b, 0) / pointCount;
         const efficiency = avgGeneration > 0 ? (avgGeneration / avgConsumption) * 100 : 0;
         
-        const peakGeneration = Math.max(...data.generation);
-        const peakConsumption = Math.max(...data.consumption);
+        const peakGeneration = Math.max(0, ...data.generation);
+        const peakConsumption = Math.max(0, ...data.consumption);
+        
+        // Energy over the period in kWh for a metric
+        const total = metric => Math.round(data[`${metric}Energy`].reduce((a, b) => a + b, 0) * 100) / 100;
         
         return {
             period,
@@ -628,8 +1016,15 @@ class EnergyDataManager {
                 efficiency: Math.round(efficiency),
                 peakGeneration: Math.round(peakGeneration * 100) / 100,
                 peakConsumption: Math.round(peakConsumption * 100) / 100,
-                totalGeneration: Math.round(data.generation.reduce((a, b) => a + b, 0) * 100) / 100,
-                totalConsumption: Math.round(data.consumption.reduce((a, b) => a + b, 0) * 100) / 100
+                totalGeneration: total('generation'),
+                totalConsumption: total('consumption'),
+                totalSolar: total('solar'),
+                totalWind: total('wind'),
+                totalBatteryCharge: total('batteryCharge'),
+                totalBatteryDischarge: total('batteryDischarge'),
+                totalGridImport: total('gridImport'),
+                totalGridExport: total('gridExport'),
+                peakGridImport: Math.round(Math.max(0, ...data.gridImport) * 100) / 100
             }
         };
     }
@@ -0,0 +1,242 @@
+/**
+ * Emergency Stop Module
+ * An emergency stop snapshots every control setting and device state, puts the site into
+ * emergency mode (grid disconnected, low priority loads off, automations paused) and
+ * restores the snapshot through a sequence of resume steps. Until its resume step is applied,
+ * each control the stop restores is held and cannot be changed.
+ */
+
+// Resume steps, applied in this order
+const EMERGENCY_RESUME_STEPS = [
+    {
+        id: 'grid',
+        label: 'Reconnect grid',
+        description: 'Restore the grid connection setting from before the stop.'
+    },
+    {
+        id: 'battery',
+        label: 'Restore battery and energy limits',
+        description: 'Restore battery charging, max grid import, discharge limit and load priority.'
+    },
+    {
+        id: 'high',
+        label: 'Restore high priority devices',
+        description: 'Switch high priority devices back to their state before the stop.'
+    },
+    {
+        id: 'medium',
+        label: 'Restore medium priority devices',
+        description: 'Switch medium priority devices back to their state before the stop.'
+    },
+    {
+        id: 'low',
+        label: 'Restore low priority devices',
+        description: 'Switch low priority devices back to their state before the stop.'
+    },
+    {
+        id: 'automations',
+        label: 'Resume automations',
+        description: 'Restore auto load balancing and let schedules, smart EV charging and automation rules run again.'
+    }
+];
+
+// Controls held during a stop, by the resume step that hands each one back
+const EMERGENCY_HELD_CONTROLS = {
+    'systemControls.gridConnection': 'grid',
+    'systemControls.batteryCharging': 'battery',
+    'energyLimits.maxGridImport': 'battery',
+    'energyLimits.batteryDischargeLimit': 'battery',
+    'energyLimits.loadPriority': 'battery',
+    'systemControls.autoLoadBalancing': 'automations'
+};
+
+class EmergencyStop {
+    /**
+     * manager is the data manager whose controls and devices are stopped and restored
+     */
+    constructor(manager, storageKey = 'energyEmergencyState') {
+        this.manager = manager;
+        this.storageKey = storageKey;
+        this.state = { active: false, since: null, reason: null, snapshot: null, completedSteps: [] };
+        this.load();
+    }
+
+    /**
+     * Load emergency state; a stop that was active when the page closed is still in force
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.active) {
+                this.state = saved;
+                this.applyStopControls();
+            }
+        } catch (error) {
+            console.error('Error loading emergency state:', error);
+        }
+    }
+
+    /**
+     * Save emergency state
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+
+    /**
+     * Check whether the site is in emergency mode
+     */
+    isActive() {
+        return this.state.active;
+    }
+
+    /**
+     * Check whether a control setting is held by the stop until its resume step
+     */
+    isControlHeld(category, setting) {
+        const step = EMERGENCY_HELD_CONTROLS[`${category}.${setting}`];
+        return this.state.active && !!step && !this.state.completedSteps.includes(step);
+    }
+
+    /**
+     * Get emergency state ({ active, since, reason, completedSteps })
+     */
+    getState() {
+        return { ...this.state };
+    }
+
+    /**
+     * Snapshot the current state and stop: grid off, load balancing off, low priority devices off
+     */
+    trigger(reason = 'Manual emergency stop') {
+        if (this.state.active) return false;
+
+        const registry = this.manager.getHouseholdRegistry();
+        const now = new Date();
+
+        // Shed loads are released and running schedules finished first so the snapshot holds the
+        // states the user chose; schedules are paused until automations resume
+        this.manager.getLoadShedding().restoreAll(now, 'Emergency stop');
+        this.manager.getScheduleEngine().finishAll();
+
+        this.state = {
+            active: true,
+            since: now.toISOString(),
+            reason,
+            snapshot: {
+                controls: JSON.parse(JSON.stringify(this.manager.controlsData)),
+                devices: registry.households.flatMap(household => household.devices.map(device => ({
+                    householdId: household.id,
+                    deviceId: device.id,
+                    priority: device.priority,
+                    status: device.status
+                })))
+            },
+            completedSteps: []
+        };
+
+        this.applyStopControls();
+        registry.households.forEach(household => {
+            household.devices.forEach(device => {
+                if (device.priority === 'low') {
+                    registry.updateDevice(household.id, device.id, { status: 'off' });
+                }
+            });
+        });
+
+        this.save();
+        this.manager.addAlert({
+            type: 'critical',
+            title: 'Emergency Stop Activated',
+            message: `${reason}. Grid disconnected, low priority loads off and automations paused.`
+        });
+        return true;
+    }
+
+    /**
+     * Put the system controls into their emergency state
+     */
+    applyStopControls() {
+        const controls = this.manager.controlsData.systemControls;
+        controls.gridConnection = this.state.completedSteps.includes('grid') ?
+            this.state.snapshot.controls.systemControls.gridConnection : false;
+        controls.autoLoadBalancing = false;
+    }
+
+    /**
+     * Resume steps with whether each is done, the devices it restores and whether it is next
+     */
+    getSteps() {
+        const next = this.getNextStep();
+
+        return EMERGENCY_RESUME_STEPS.map(step => ({
+            ...step,
+            done: this.state.completedSteps.includes(step.id),
+            next: next !== null && next.id === step.id,
+            devices: this.state.snapshot ?
+                this.state.snapshot.devices.filter(device => device.priority === step.id).length : 0
+        }));
+    }
+
+    /**
+     * The next resume step to apply, or null when not stopped
+     */
+    getNextStep() {
+        if (!this.state.active) return null;
+        return EMERGENCY_RESUME_STEPS.find(step => !this.state.completedSteps.includes(step.id)) || null;
+    }
+
+    /**
+     * Apply the next resume step. The last step leaves emergency mode.
+     * Returns the step applied, or null when there is nothing to resume.
+     */
+    resumeNextStep() {
+        const step = this.getNextStep();
+        if (!step) return null;
+
+        const { controls, devices } = this.state.snapshot;
+        const liveControls = this.manager.controlsData;
+        const registry = this.manager.getHouseholdRegistry();
+
+        switch (step.id) {
+            case 'grid':
+                liveControls.systemControls.gridConnection = controls.systemControls.gridConnection;
+                break;
+            case 'battery':
+                liveControls.systemControls.batteryCharging = controls.systemControls.batteryCharging;
+                Object.assign(liveControls.energyLimits, controls.energyLimits);
+                break;
+            case 'high':
+            case 'medium':
+            case 'low':
+                // Devices removed since the stop are skipped
+                devices.filter(device => device.priority === step.id).forEach(device => {
+                    if (registry.getDevice(device.householdId, device.deviceId)) {
+                        registry.updateDevice(device.householdId, device.deviceId, { status: device.status });
+                    }
+                });
+                break;
+            case 'automations':
+                liveControls.systemControls.autoLoadBalancing = controls.systemControls.autoLoadBalancing;
+                break;
+        }
+
+        this.state.completedSteps.push(step.id);
+        if (step.id === 'automations') {
+            this.state = { active: false, since: null, reason: null, snapshot: null, completedSteps: [] };
+            this.manager.addAlert({
+                type: 'info',
+                title: 'Emergency Stop Cleared',
+                message: 'All settings and devices restored. Automations are running again.'
+            });
+        }
+
+        this.save();
+        return step;
+    }
+}
+
+// Export for external access
+window.EMERGENCY_RESUME_STEPS = EMERGENCY_RESUME_STEPS;
+window.EMERGENCY_HELD_CONTROLS = EMERGENCY_HELD_CONTROLS;
+window.EmergencyStop = EmergencyStop;
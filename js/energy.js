@@ -0,0 +1,79 @@
+/**
+ * Energy Accounting Module
+ * Integrates power samples (kW) into energy (kWh) using the real time between samples
+ */
+
+class EnergyIntegrator {
+    constructor(options = {}) {
+        // Gaps longer than this (e.g. while updates were paused) are not integrated
+        this.maxGapMs = options.maxGapMs || 15 * 60 * 1000;
+        this.lastSample = null;
+        this.dayStart = null;
+        this.totals = {};
+    }
+
+    /**
+     * Get the local midnight that starts the day containing a time
+     */
+    getDayStart(time) {
+        const date = new Date(time);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    /**
+     * Add a sample of power values ({ metric: kW }) and return the energy ({ metric: kWh })
+     * accumulated since the previous sample, using the trapezoidal rule.
+     * Totals reset at local midnight; an interval that spans midnight counts towards the new day.
+     */
+    addSample(timestamp, powers) {
+        const time = new Date(timestamp).getTime();
+        const dayStart = this.getDayStart(time);
+        const energy = {};
+
+        if (this.dayStart !== dayStart) {
+            this.dayStart = dayStart;
+            this.totals = {};
+        }
+
+        if (this.lastSample) {
+            const elapsed = time - this.lastSample.time;
+
+            if (elapsed > 0 && elapsed <= this.maxGapMs) {
+                const hours = elapsed / (60 * 60 * 1000);
+
+                Object.entries(powers).forEach(([metric, power]) => {
+                    const previous = this.lastSample.powers[metric];
+                    const average = typeof previous === 'number' ? (previous + power) / 2 : power;
+                    energy[metric] = average * hours;
+                    this.totals[metric] = (this.totals[metric] || 0) + energy[metric];
+                });
+            }
+        }
+
+        this.lastSample = { time, powers: { ...powers } };
+        return energy;
+    }
+
+    /**
+     * Restore today's totals (e.g. from stored history after a reload)
+     */
+    restoreTotals(dayStart, totals) {
+        if (dayStart !== this.getDayStart(Date.now())) return;
+
+        this.dayStart = dayStart;
+        this.totals = { ...totals };
+    }
+
+    /**
+     * Get energy totals for the current day in kWh
+     */
+    getTotals() {
+        if (this.dayStart !== this.getDayStart(Date.now())) {
+            return {};
+        }
+        return { ...this.totals };
+    }
+}
+
+// Export for external access
+window.EnergyIntegrator = EnergyIntegrator;
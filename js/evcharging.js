@@ -0,0 +1,414 @@
+/**
+ * EV Charging Module
+ * Smart charging for EV chargers: charges each vehicle to a target state of charge by its
+ * departure time using only solar surplus, the cheapest tariff periods or full power.
+ * Setpoints go to modelled chargers directly and to the active data source for real ones.
+ */
+
+const EV_CHARGING_MODES = {
+    solar: 'Solar surplus only',
+    cheapest: 'Cheapest tariff window',
+    fastest: 'Fastest'
+};
+
+const EV_CHARGER_VOLTAGE = 230;       // single phase
+const EV_PLANNING_SLOT_MINUTES = 15;
+
+const DEFAULT_EV_CHARGING = {
+    enabled: false,
+    mode: 'cheapest',
+    targetSoc: 80,      // percent
+    arrival: '18:00',   // vehicle plugged in from
+    departure: '07:00',
+    minCurrent: 6       // amps; chargers cannot charge below this
+};
+
+class EvChargingController {
+    /**
+     * manager is the data manager whose chargers, generation and tariff are used
+     */
+    constructor(manager, storageKey = 'energyEvCharging') {
+        this.manager = manager;
+        this.storageKey = storageKey;
+        // "householdId/deviceId" -> settings
+        this.settings = {};
+        // "householdId/deviceId" -> { soc, pluggedIn } last reported by a real charger
+        this.vehicles = {};
+        // "householdId/deviceId" -> setpoint last sent to the data source, so commands go out on change only
+        this.sentSetpoints = {};
+        this.load();
+    }
+
+    /**
+     * Load charger settings from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.settings = saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.error('Error loading EV charging settings:', error);
+            this.settings = {};
+        }
+    }
+
+    /**
+     * Save charger settings
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Settings for a charger, with defaults filled in
+     */
+    getSettings(householdId, deviceId) {
+        return { ...DEFAULT_EV_CHARGING, ...this.settings[`${householdId}/${deviceId}`] };
+    }
+
+    /**
+     * Change a charger's settings after validating them
+     */
+    updateSettings(householdId, deviceId, changes) {
+        const device = this.manager.getHouseholdRegistry().getDevice(householdId, deviceId);
+        if (!device || device.type !== 'ev-charger') {
+            throw new Error(`${householdId}/${deviceId} is not an EV charger`);
+        }
+
+        const settings = { ...this.getSettings(householdId, deviceId), ...changes };
+        this.validateSettings(settings, device);
+
+        this.settings[`${householdId}/${deviceId}`] = settings;
+        this.save();
+        return settings;
+    }
+
+    /**
+     * Check charger settings; throws with the first problem found
+     */
+    validateSettings(settings, device) {
+        if (!EV_CHARGING_MODES[settings.mode]) {
+            throw new Error(`Unknown charging mode: ${settings.mode}`);
+        }
+        if (typeof settings.targetSoc !== 'number' || isNaN(settings.targetSoc) ||
+            settings.targetSoc < 10 || settings.targetSoc > 100) {
+            throw new Error('Target charge must be between 10 and 100 %');
+        }
+        [['Plugged in from', settings.arrival], ['Departure', settings.departure]].forEach(([label, time]) => {
+            if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+                throw new Error(`${label} time "${time || ''}" is invalid (expected HH:MM)`);
+            }
+        });
+        if (settings.arrival === settings.departure) {
+            throw new Error('Departure must be different from the plug-in time');
+        }
+        if (typeof settings.minCurrent !== 'number' || isNaN(settings.minCurrent) ||
+            settings.minCurrent < 6 || settings.minCurrent > 32) {
+            throw new Error('Minimum charge current must be between 6 and 32 A');
+        }
+        if (this.getMinPower(settings) > device.ratedPower) {
+            throw new Error(`Minimum charge current needs more than the charger's ${device.ratedPower} kW`);
+        }
+    }
+
+    /**
+     * Every EV charger in the registry as { household, device }
+     */
+    getChargers() {
+        return this.manager.getHouseholdRegistry().households.flatMap(household => household.devices
+            .filter(device => device.type === 'ev-charger')
+            .map(device => ({ household, device })));
+    }
+
+    /**
+     * Lowest charging power in kW the minimum current allows
+     */
+    getMinPower(settings) {
+        return settings.minCurrent * EV_CHARGER_VOLTAGE / 1000;
+    }
+
+    /**
+     * Convert an "HH:MM" time to fractional hours
+     */
+    toHours(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours + minutes / 60;
+    }
+
+    /**
+     * Next departure after a time
+     */
+    getDepartureTime(now, settings) {
+        const [hours, minutes] = settings.departure.split(':').map(Number);
+        const departure = new Date(now);
+        departure.setHours(hours, minutes, 0, 0);
+        if (departure <= now) {
+            departure.setDate(departure.getDate() + 1);
+        }
+        return departure;
+    }
+
+    /**
+     * Battery size, taper and efficiency of the vehicle on a charger; modelled chargers take
+     * them from their EV profile
+     */
+    getVehicleModel(device) {
+        const profile = this.manager.getProfileLibrary().getProfile(device.profileId);
+        const ev = profile && profile.kind === 'ev' ? profile : {};
+        return {
+            batteryKwh: ev.batteryKwh || 60,
+            arrivalSoc: ev.arrivalSoc !== undefined ? ev.arrivalSoc : 0.4,
+            taperFromSoc: ev.taperFromSoc || 0.8,
+            chargeEfficiency: ev.chargeEfficiency || 0.9
+        };
+    }
+
+    /**
+     * Whether a vehicle is plugged in and its state of charge (percent, null when unknown).
+     * Metered chargers report this in readings; modelled vehicles are plugged in between
+     * the plug-in and departure times.
+     */
+    getVehicle(household, device, now, settings = this.getSettings(household.id, device.id)) {
+        if (device.meteringSource === 'metered') {
+            return this.vehicles[`${household.id}/${device.id}`] || { soc: null, pluggedIn: false };
+        }
+
+        const hour = now.getHours() + now.getMinutes() / 60;
+        const start = this.toHours(settings.arrival);
+        const end = this.toHours(settings.departure);
+        const pluggedIn = start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+        const soc = device.profileState ? device.profileState.soc : this.getVehicleModel(device).arrivalSoc;
+
+        return { soc: pluggedIn ? soc * 100 : null, pluggedIn };
+    }
+
+    /**
+     * Remember vehicle states reported with a reading:
+     * reading.vehicles = { [householdId]: { [deviceId]: { soc, pluggedIn } } }
+     */
+    updateVehicles(reading) {
+        if (!reading || !reading.vehicles) return;
+
+        Object.entries(reading.vehicles).forEach(([householdId, vehicles]) => {
+            Object.entries(vehicles || {}).forEach(([deviceId, vehicle]) => {
+                this.vehicles[`${householdId}/${deviceId}`] = {
+                    soc: typeof vehicle.soc === 'number' ? vehicle.soc : null,
+                    pluggedIn: !!vehicle.pluggedIn
+                };
+            });
+        });
+    }
+
+    /**
+     * Import price for charging in a slot
+     */
+    getSlotCost(time) {
+        return this.manager.getTariff().getImportRate(time);
+    }
+
+    /**
+     * Pick the cheapest slots before departure that deliver the energy still needed.
+     * Returns the start times (ms) of the chosen slots.
+     */
+    planCheapestSlots(now, settings, device, soc) {
+        const model = this.getVehicleModel(device);
+        const slotMs = EV_PLANNING_SLOT_MINUTES * 60 * 1000;
+        const departure = this.getDepartureTime(now, settings).getTime();
+        const neededKwh = Math.max(0, (settings.targetSoc - (soc || 0)) / 100 * model.batteryKwh);
+        const slotKwh = device.ratedPower * model.chargeEfficiency * EV_PLANNING_SLOT_MINUTES / 60;
+
+        const slots = [];
+        for (let start = Math.floor(now.getTime() / slotMs) * slotMs; start < departure; start += slotMs) {
+            slots.push({ start, cost: this.getSlotCost(new Date(Math.max(start, now.getTime()))) });
+        }
+
+        // Cheapest first, earlier first among equals; one spare slot covers the taper
+        const count = Math.ceil(neededKwh / slotKwh) + (neededKwh > 0 ? 1 : 0);
+        return new Set(slots
+            .sort((a, b) => a.cost - b.cost || a.start - b.start)
+            .slice(0, count)
+            .map(slot => slot.start));
+    }
+
+    /**
+     * Charging power for a charger now, in kW
+     */
+    getSetpoint(now, data, household, device, settings, vehicle) {
+        if (!vehicle.pluggedIn || device.status === 'off' || device.shed) return 0;
+        if (vehicle.soc !== null && vehicle.soc >= settings.targetSoc) return 0;
+
+        switch (settings.mode) {
+            case 'fastest':
+                return device.ratedPower;
+            case 'solar': {
+                // Surplus left over by everything else on site, from the previous tick
+                const surplus = data.generation.total - (data.consumption.total - (device.power || 0));
+                const power = Math.min(device.ratedPower, surplus);
+                return power >= this.getMinPower(settings) ? power : 0;
+            }
+            case 'cheapest': {
+                const slotMs = EV_PLANNING_SLOT_MINUTES * 60 * 1000;
+                const currentSlot = Math.floor(now.getTime() / slotMs) * slotMs;
+                return this.planCheapestSlots(now, settings, device, vehicle.soc).has(currentSlot) ? device.ratedPower : 0;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Work out every charger's setpoint for this tick from the previous tick's data, apply it to
+     * modelled chargers and send it to the data source. Returns chargers that started or stopped.
+     */
+    apply(now, data, reading) {
+        this.updateVehicles(reading);
+        const changes = [];
+
+        this.getChargers().forEach(({ household, device }) => {
+            const key = `${household.id}/${device.id}`;
+            const settings = this.getSettings(household.id, device.id);
+
+            if (!settings.enabled) {
+                if (device.smartCharging) {
+                    device.smartCharging = null;
+                    this.sendSetpoint(household, device, null);
+                }
+                return;
+            }
+
+            const vehicle = this.getVehicle(household, device, now, settings);
+            const setpoint = Math.round(this.getSetpoint(now, data, household, device, settings, vehicle) * 10) / 10;
+            const previous = device.smartCharging ? device.smartCharging.setpointKw : null;
+
+            device.smartCharging = {
+                setpointKw: setpoint,
+                targetSoc: settings.targetSoc / 100,
+                arrivalHour: this.toHours(settings.arrival),
+                departureHour: this.toHours(settings.departure)
+            };
+
+            if (this.sentSetpoints[key] !== setpoint) {
+                this.sendSetpoint(household, device, setpoint);
+            }
+            if (previous !== null && (previous > 0) !== (setpoint > 0)) {
+                changes.push(setpoint > 0 ?
+                    `${household.name} ${device.name} started charging at ${setpoint} kW` :
+                    `${household.name} ${device.name} stopped charging`);
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Hold every smart-charged charger at 0 kW, used while automations are paused by an emergency
+     * stop. apply() takes over again on the next tick after the stop. Returns chargers that stopped.
+     */
+    hold() {
+        const changes = [];
+
+        this.getChargers().forEach(({ household, device }) => {
+            const key = `${household.id}/${device.id}`;
+            if (!device.smartCharging) return;
+
+            const previous = device.smartCharging.setpointKw;
+            device.smartCharging = { ...device.smartCharging, setpointKw: 0 };
+
+            if (this.sentSetpoints[key] !== 0) {
+                this.sendSetpoint(household, device, 0);
+            }
+            if (previous > 0) {
+                changes.push(`${household.name} ${device.name} stopped charging`);
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Send a charge rate to the data source; null hands control back to the charger
+     */
+    sendSetpoint(household, device, setpointKw) {
+        const key = `${household.id}/${device.id}`;
+        this.sentSetpoints[key] = setpointKw;
+
+        this.manager.dataSource.sendCommand({
+            type: 'evChargeRate',
+            householdId: household.id,
+            deviceId: device.id,
+            powerKw: setpointKw,
+            currentA: setpointKw === null ? null : Math.round(setpointKw * 1000 / EV_CHARGER_VOLTAGE)
+        }).then(delivered => {
+            if (!delivered) {
+                console.warn(`Charge rate for ${key} was not delivered to the data source`);
+            }
+        });
+    }
+
+    /**
+     * Charging state of a charger for display: { enabled, settings, pluggedIn, soc, setpointKw,
+     * departure, completion, socAtDeparture }. completion is null when the target will not be
+     * reached before departure.
+     */
+    getStatus(householdId, deviceId, now = new Date()) {
+        const registry = this.manager.getHouseholdRegistry();
+        const household = registry.getHousehold(householdId);
+        const device = registry.getDevice(householdId, deviceId);
+        const settings = this.getSettings(householdId, deviceId);
+        const status = { enabled: settings.enabled, settings };
+        if (!settings.enabled || !device) return status;
+
+        const vehicle = this.getVehicle(household, device, now, settings);
+        const departure = this.getDepartureTime(now, settings);
+        const setpointKw = device.smartCharging ? device.smartCharging.setpointKw : 0;
+
+        return {
+            ...status,
+            pluggedIn: vehicle.pluggedIn,
+            soc: vehicle.soc,
+            setpointKw,
+            departure,
+            ...(vehicle.pluggedIn && vehicle.soc !== null ?
+                this.estimateCompletion(now, departure, settings, device, vehicle.soc, setpointKw) :
+                { completion: null, socAtDeparture: null })
+        };
+    }
+
+    /**
+     * Step the charging plan forward to departure to find when the target is reached.
+     * Solar charging is assumed to continue at its current rate.
+     */
+    estimateCompletion(now, departure, settings, device, soc, setpointKw) {
+        const model = this.getVehicleModel(device);
+        const stepMs = 5 * 60 * 1000;
+        const slotMs = EV_PLANNING_SLOT_MINUTES * 60 * 1000;
+        const plan = settings.mode === 'cheapest' ? this.planCheapestSlots(now, settings, device, soc) : null;
+        let level = soc / 100;
+
+        if (soc >= settings.targetSoc) {
+            return { completion: now, socAtDeparture: soc };
+        }
+
+        for (let time = now.getTime(); time < departure.getTime(); time += stepMs) {
+            let power = settings.mode === 'solar' ? setpointKw : device.ratedPower;
+            if (plan && !plan.has(Math.floor(time / slotMs) * slotMs)) {
+                power = 0;
+            }
+            if (level > model.taperFromSoc) {
+                power = Math.min(power, device.ratedPower * Math.max(0.1, (1 - level) / (1 - model.taperFromSoc)));
+            }
+
+            level += power * (stepMs / 3600000) * model.chargeEfficiency / model.batteryKwh;
+            if (level * 100 >= settings.targetSoc) {
+                return { completion: new Date(time + stepMs), socAtDeparture: settings.targetSoc };
+            }
+        }
+
+        return { completion: null, socAtDeparture: Math.round(level * 100) };
+    }
+}
+
+// Export for external access
+window.EV_CHARGING_MODES = EV_CHARGING_MODES;
+window.DEFAULT_EV_CHARGING = DEFAULT_EV_CHARGING;
+window.EvChargingController = EvChargingController;
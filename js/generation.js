@@ -0,0 +1,164 @@
+/**
+ * Generation Model Module
+ * Computes PV output from the sun's position, a clear-sky irradiance model and cloud cover,
+ * and turbine output from wind speed through a power curve
+ */
+
+const RADIANS_PER_DEGREE = Math.PI / 180;
+
+class SiteGenerationModel {
+    constructor(config = {}) {
+        this.config = {
+            latitude: 51.5,
+            longitude: -0.12,
+            solarKwp: 12,
+            tilt: 35,           // degrees from horizontal
+            azimuth: 180,       // degrees clockwise from north (180 = south facing)
+            systemLosses: 0.14, // wiring, inverter, soiling
+            albedo: 0.2,
+            turbineRatedKw: 10,
+            hubHeight: 20,      // metres; weather wind speed is at 10 m
+            cutInSpeed: 3,
+            ratedSpeed: 12,
+            cutOutSpeed: 25,
+            ...config
+        };
+    }
+
+    /**
+     * Update configuration
+     */
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Solar declination (degrees) and equation of time (minutes) for the day containing a time
+     */
+    getDayAngles(time) {
+        const yearStart = Date.UTC(time.getUTCFullYear(), 0, 1);
+        const dayOfYear = Math.floor((time.getTime() - yearStart) / 86400000) + 1;
+
+        const declination = 23.45 * Math.sin(((284 + dayOfYear) / 365) * 2 * Math.PI);
+        const b = ((dayOfYear - 81) / 365) * 2 * Math.PI;
+        const equationOfTime = 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+
+        return { declination, equationOfTime };
+    }
+
+    /**
+     * Sunrise and sunset on a calendar date. Either is null when the sun does not
+     * rise or set that day (polar night or midnight sun).
+     */
+    getSunTimes(date) {
+        const { latitude, longitude } = this.config;
+        const dayStart = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const { declination, equationOfTime } = this.getDayAngles(new Date(dayStart + 12 * 3600000));
+
+        // Sunrise is when the sun's upper limb clears the horizon, allowing for refraction
+        const lat = latitude * RADIANS_PER_DEGREE;
+        const dec = declination * RADIANS_PER_DEGREE;
+        const cosHourAngle = (Math.sin(-0.833 * RADIANS_PER_DEGREE) - Math.sin(lat) * Math.sin(dec)) /
+            (Math.cos(lat) * Math.cos(dec));
+        if (cosHourAngle > 1 || cosHourAngle < -1) {
+            return { sunrise: null, sunset: null };
+        }
+
+        const halfDayHours = Math.acos(cosHourAngle) / RADIANS_PER_DEGREE / 15;
+        const solarNoonHours = 12 - longitude / 15 - equationOfTime / 60;
+
+        return {
+            sunrise: new Date(dayStart + (solarNoonHours - halfDayHours) * 3600000),
+            sunset: new Date(dayStart + (solarNoonHours + halfDayHours) * 3600000)
+        };
+    }
+
+    /**
+     * Sun position at a time: elevation and azimuth (clockwise from north) in degrees
+     */
+    getSolarPosition(time) {
+        const { latitude, longitude } = this.config;
+        const { declination, equationOfTime } = this.getDayAngles(time);
+
+        const utcHours = time.getUTCHours() + time.getUTCMinutes() / 60 + time.getUTCSeconds() / 3600;
+        const solarTime = utcHours + longitude / 15 + equationOfTime / 60;
+        const hourAngle = 15 * (solarTime - 12);
+
+        const lat = latitude * RADIANS_PER_DEGREE;
+        const dec = declination * RADIANS_PER_DEGREE;
+        const ha = hourAngle * RADIANS_PER_DEGREE;
+
+        const cosZenith = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(ha);
+        const elevation = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / RADIANS_PER_DEGREE;
+        const azimuthFromSouth = Math.atan2(Math.sin(ha), Math.cos(ha) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat));
+        const azimuth = (azimuthFromSouth / RADIANS_PER_DEGREE + 180) % 360;
+
+        return { elevation, azimuth };
+    }
+
+    /**
+     * Global, direct-normal and diffuse irradiance (W/m²) for a sun elevation and cloud cover (0-1).
+     * Clear sky follows the Haurwitz model; clouds follow Kasten-Czeplak and shift light to diffuse.
+     */
+    getIrradiance(elevation, cloudCover) {
+        if (elevation <= 0) {
+            return { ghi: 0, dni: 0, dhi: 0 };
+        }
+
+        const cosZenith = Math.sin(elevation * RADIANS_PER_DEGREE);
+        const clearSky = 1098 * cosZenith * Math.exp(-0.057 / cosZenith);
+        const ghi = clearSky * (1 - 0.75 * Math.pow(cloudCover, 3.4));
+        const diffuseFraction = Math.min(1, 0.15 + 0.8 * cloudCover);
+        const dhi = ghi * diffuseFraction;
+        const dni = (ghi - dhi) / cosZenith;
+
+        return { ghi, dni, dhi };
+    }
+
+    /**
+     * PV output in kW at a time for the given weather
+     */
+    getSolarPower(time, weather) {
+        const { solarKwp, tilt, azimuth, systemLosses, albedo } = this.config;
+        const sun = this.getSolarPosition(time);
+        const { ghi, dni, dhi } = this.getIrradiance(sun.elevation, weather.cloudCover);
+        if (ghi === 0) return 0;
+
+        // Angle of incidence on the panel plane
+        const zenith = (90 - sun.elevation) * RADIANS_PER_DEGREE;
+        const tiltAngle = tilt * RADIANS_PER_DEGREE;
+        const relativeAzimuth = (sun.azimuth - azimuth) * RADIANS_PER_DEGREE;
+        const cosIncidence = Math.cos(zenith) * Math.cos(tiltAngle) +
+            Math.sin(zenith) * Math.sin(tiltAngle) * Math.cos(relativeAzimuth);
+
+        // Direct beam, sky diffuse and ground-reflected light
+        const planeIrradiance = dni * Math.max(0, cosIncidence) +
+            dhi * (1 + Math.cos(tiltAngle)) / 2 +
+            ghi * albedo * (1 - Math.cos(tiltAngle)) / 2;
+
+        // Cells lose about 0.4% per degree above 25°C
+        const cellTemperature = weather.temperature + (planeIrradiance / 800) * 20;
+        const temperatureFactor = 1 - 0.004 * (cellTemperature - 25);
+
+        return Math.max(0, solarKwp * (planeIrradiance / 1000) * temperatureFactor * (1 - systemLosses));
+    }
+
+    /**
+     * Turbine output in kW for the given weather
+     */
+    getWindPower(weather) {
+        const { turbineRatedKw, hubHeight, cutInSpeed, ratedSpeed, cutOutSpeed } = this.config;
+
+        // Scale 10 m wind speed to hub height with the power-law wind profile
+        const speed = weather.windSpeed * Math.pow(hubHeight / 10, 0.14);
+
+        if (speed < cutInSpeed || speed >= cutOutSpeed) return 0;
+        if (speed >= ratedSpeed) return turbineRatedKw;
+
+        const cube = value => value * value * value;
+        return turbineRatedKw * (cube(speed) - cube(cutInSpeed)) / (cube(ratedSpeed) - cube(cutInSpeed));
+    }
+}
+
+// Export for external access
+window.SiteGenerationModel = SiteGenerationModel;
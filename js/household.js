@@ -6,6 +6,9 @@
 class HouseholdManager {
     constructor() {
         this.selectedHousehold = 'all';
+        this.selectedDevice = null;
+        // Group filter matches group names across households (case-insensitive)
+        this.selectedGroup = 'all';
         this.currentChartPeriod = '24h';
         this.isInitialized = false;
     }
@@ -16,6 +19,7 @@ class HouseholdManager {
     initialize() {
         if (this.isInitialized) return;
         
+        this.populateHouseholdSelector();
         this.setupEventListeners();
         this.setupChartFilters();
         this.initializeCharts();
@@ -27,16 +31,288 @@ class HouseholdManager {
      * Setup event listeners
      */
     setupEventListeners() {
+        // Registry panel
+        const manageBtn = document.getElementById('household-manage-btn');
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => {
+                this.toggleRegistryPanel();
+            });
+        }
+        this.setupRegistryPanel();
+
+        // Room/group filter
+        const groupFilter = document.getElementById('group-filter');
+        if (groupFilter) {
+            groupFilter.addEventListener('change', (e) => {
+                this.selectedGroup = e.target.value;
+                this.updateDisplay();
+            });
+        }
+
         // Household selector
         const householdSelector = document.getElementById('household-selector');
         if (householdSelector) {
             householdSelector.addEventListener('change', (e) => {
-                this.selectedHousehold = e.target.value;
+                // Device options are "householdId/deviceId"
+                const [householdId, deviceId] = e.target.value.split('/');
+                this.selectedHousehold = householdId;
+                this.selectedDevice = deviceId || null;
                 this.updateDisplay();
             });
         }
     }
 
+    /**
+     * Show or hide the household and device management panel
+     */
+    toggleRegistryPanel() {
+        const panel = document.getElementById('household-registry');
+        if (panel) {
+            panel.classList.toggle('active');
+            this.renderRegistryPanel();
+        }
+    }
+
+    /**
+     * Wire up the management panel; edits are applied as soon as a field changes
+     */
+    setupRegistryPanel() {
+        const addHouseholdBtn = document.getElementById('add-household-btn');
+        const newHouseholdName = document.getElementById('new-household-name');
+        if (addHouseholdBtn && newHouseholdName) {
+            addHouseholdBtn.addEventListener('click', () => {
+                this.applyRegistryChange(registry => registry.addHousehold({ name: newHouseholdName.value }));
+                newHouseholdName.value = '';
+            });
+        }
+
+        const registryList = document.getElementById('registry-list');
+        if (!registryList) return;
+
+        registryList.addEventListener('change', (e) => {
+            const householdId = e.target.getAttribute('data-household');
+            const deviceId = e.target.getAttribute('data-device');
+            const groupId = e.target.getAttribute('data-group');
+            const field = e.target.getAttribute('data-field');
+            if (!householdId || !field) return;
+
+            this.applyRegistryChange(registry => {
+                if (groupId) {
+                    registry.updateGroup(householdId, groupId, { [field]: e.target.value });
+                } else if (deviceId) {
+                    registry.updateDevice(householdId, deviceId, { [field]: e.target.value });
+                } else {
+                    registry.updateHousehold(householdId, { [field]: e.target.value });
+                }
+            });
+        });
+
+        registryList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const householdId = button.getAttribute('data-household');
+            const deviceId = button.getAttribute('data-device');
+
+            switch (button.getAttribute('data-action')) {
+                case 'add-group': {
+                    const name = prompt('Room or group name:');
+                    if (name !== null) {
+                        this.applyRegistryChange(registry => registry.addGroup(householdId, { name }));
+                    }
+                    break;
+                }
+                case 'remove-group':
+                    if (confirm('Remove this group? Its devices become ungrouped.')) {
+                        this.applyRegistryChange(registry => 
+                            registry.removeGroup(householdId, button.getAttribute('data-group')));
+                    }
+                    break;
+                case 'add-device':
+                    this.applyRegistryChange(registry => registry.addDevice(householdId, { type: 'appliance' }));
+                    break;
+                case 'remove-device':
+                    if (confirm('Remove this device? Its history is kept but no longer shown.')) {
+                        this.applyRegistryChange(registry => registry.removeDevice(householdId, deviceId));
+                    }
+                    break;
+                case 'remove-household':
+                    if (confirm('Remove this household and all of its devices?')) {
+                        this.applyRegistryChange(registry => registry.removeHousehold(householdId));
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Run a registry change, report validation errors, and refresh everything that lists devices
+     */
+    applyRegistryChange(change) {
+        try {
+            change(window.energyDataManager.getHouseholdRegistry());
+        } catch (error) {
+            alert(error.message);
+        }
+
+        const householdData = window.energyDataManager.getHouseholdData();
+        if (this.selectedHousehold !== 'all' && !householdData.households.some(h => h.id === this.selectedHousehold)) {
+            this.selectedHousehold = 'all';
+            this.selectedDevice = null;
+        }
+
+        this.renderRegistryPanel();
+        this.populateHouseholdSelector();
+        this.updateDisplay();
+
+        if (window.controlManager && window.controlManager.isInitialized) {
+            window.controlManager.updateDeviceControls();
+        }
+    }
+
+    /**
+     * Render the editable list of households and devices
+     */
+    renderRegistryPanel() {
+        const registryList = document.getElementById('registry-list');
+        if (!registryList) return;
+
+        const options = (values, selected, label = value => value) => values.map(value => `
+            <option value="${escapeHTML(value)}" ${value === selected ? 'selected' : ''}>${escapeHTML(label(value))}</option>
+        `).join('');
+
+        const profileLibrary = window.energyDataManager.getProfileLibrary();
+        const profileIds = profileLibrary.getProfiles().map(profile => profile.id);
+        const householdData = window.energyDataManager.getHouseholdData();
+        registryList.innerHTML = householdData.households.map(household => `
+            <div class="registry-household">
+                <div class="registry-household-header">
+                    <input type="text" value="${escapeHTML(household.name)}" data-household="${household.id}" data-field="name">
+                    <button class="btn btn-secondary" data-action="add-group" data-household="${household.id}">
+                        <i class="fas fa-plus"></i> Group
+                    </button>
+                    <button class="btn btn-secondary" data-action="add-device" data-household="${household.id}">
+                        <i class="fas fa-plus"></i> Device
+                    </button>
+                    <button class="btn btn-danger" data-action="remove-household" data-household="${household.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="registry-groups">
+                    ${household.groups.map(group => `
+                        <div class="registry-group">
+                            <input type="text" value="${escapeHTML(group.name)}" data-household="${household.id}" 
+                                   data-group="${group.id}" data-field="name">
+                            <button class="btn btn-danger" data-action="remove-group" 
+                                    data-household="${household.id}" data-group="${group.id}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                ${household.devices.map(device => `
+                    <div class="registry-device">
+                        <input type="text" value="${escapeHTML(device.name)}" data-household="${household.id}" 
+                               data-device="${device.id}" data-field="name">
+                        <select data-household="${household.id}" data-device="${device.id}" data-field="groupId">
+                            ${options(['', ...household.groups.map(group => group.id)], device.groupId || '', 
+                                id => id ? household.groups.find(group => group.id === id).name : 'Ungrouped')}
+                        </select>
+                        <select data-household="${household.id}" data-device="${device.id}" data-field="type">
+                            ${options(Object.keys(DEVICE_TYPES), device.type, type => DEVICE_TYPES[type].name)}
+                        </select>
+                        <select data-household="${household.id}" data-device="${device.id}" data-field="profileId">
+                            ${options(profileIds.includes(device.profileId) ? profileIds : [...profileIds, device.profileId], 
+                                device.profileId, id => profileLibrary.getProfile(id) ? profileLibrary.getProfile(id).name : `${id} (missing)`)}
+                        </select>
+                        <input type="number" value="${device.ratedPower}" min="0.1" step="0.1" title="Rated power (kW)"
+                               data-household="${household.id}" data-device="${device.id}" data-field="ratedPower">
+                        <select data-household="${household.id}" data-device="${device.id}" data-field="priority">
+                            ${options(DEVICE_PRIORITIES, device.priority, priority => `${priority} priority`)}
+                        </select>
+                        <select data-household="${household.id}" data-device="${device.id}" data-field="meteringSource">
+                            ${options(METERING_SOURCES, device.meteringSource)}
+                        </select>
+                        <button class="btn btn-danger" data-action="remove-device" 
+                                data-household="${household.id}" data-device="${device.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill the household selector with each household and its devices
+     */
+    populateHouseholdSelector() {
+        const householdSelector = document.getElementById('household-selector');
+        if (!householdSelector) return;
+
+        const householdData = window.energyDataManager.getHouseholdData();
+        const groups = householdData.households.map(household => `
+            <optgroup label="${escapeHTML(household.name)}">
+                <option value="${household.id}">${escapeHTML(household.name)} (all devices)</option>
+                ${household.devices.map(device => `
+                    <option value="${household.id}/${device.id}">${escapeHTML(device.name)}</option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+
+        const selected = this.selectedDevice ? 
+            `${this.selectedHousehold}/${this.selectedDevice}` : this.selectedHousehold;
+        householdSelector.innerHTML = `<option value="all">All Households</option>${groups}`;
+        householdSelector.value = selected;
+        this.populateGroupFilter();
+    }
+
+    /**
+     * Fill the room/group filter with the group names used across households
+     */
+    populateGroupFilter() {
+        const groupFilter = document.getElementById('group-filter');
+        if (!groupFilter) return;
+
+        const householdData = window.energyDataManager.getHouseholdData();
+        const names = new Map();
+        householdData.households.forEach(household => {
+            household.groups.forEach(group => names.set(group.name.toLowerCase(), group.name));
+        });
+
+        if (this.selectedGroup !== 'all' && !names.has(this.selectedGroup)) {
+            this.selectedGroup = 'all';
+        }
+
+        groupFilter.innerHTML = '<option value="all">All Rooms</option>' + 
+            Array.from(names.entries()).map(([key, name]) => `<option value="${escapeHTML(key)}">${escapeHTML(name)}</option>`).join('');
+        groupFilter.value = this.selectedGroup;
+    }
+
+    /**
+     * Get the household or device whose history the usage chart shows, or null for the site total
+     */
+    getHistorySelection() {
+        if (this.selectedHousehold === 'all') return null;
+
+        const householdData = window.energyDataManager.getHouseholdData();
+        const household = householdData.households.find(h => h.id === this.selectedHousehold);
+        if (!household) return null;
+
+        const device = this.selectedDevice && household.devices.find(d => d.id === this.selectedDevice);
+        if (device) {
+            return {
+                label: `${household.name} ${device.name}`,
+                metric: window.energyDataManager.getDeviceMetric(household.id, device.id)
+            };
+        }
+
+        return {
+            label: household.name,
+            metric: window.energyDataManager.getHouseholdMetric(household.id)
+        };
+    }
+
     /**
      * Setup chart filter buttons
      */
@@ -127,59 +403,97 @@ class HouseholdManager {
             return;
         }
 
-        const cardsHTML = households.map(household => this.createHouseholdCardHTML(household)).join('');
+        const bills = window.energyDataManager.getHouseholdBills(this.currentChartPeriod);
+        const cardsHTML = households.map(household => this.createHouseholdCardHTML(
+            household, bills.find(bill => bill.householdId === household.id))).join('');
         householdCards.innerHTML = cardsHTML;
 
         // Add device toggle event listeners
         householdCards.querySelectorAll('.device-toggle').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const householdId = e.target.getAttribute('data-household');
-                const deviceName = e.target.getAttribute('data-device');
-                this.toggleDevice(householdId, deviceName, e.target);
+                const deviceId = e.target.getAttribute('data-device');
+                this.toggleDevice(householdId, deviceId, e.target);
             });
         });
     }
 
     /**
-     * Create HTML for household card
+     * Create HTML for household card, with its bill for the chart period and devices listed under
+     * their room/group with a subtotal for each
      */
-    createHouseholdCardHTML(household) {
-        const devicesList = household.devices.map(device => `
-            <div class="device-item">
-                <div class="device-info">
-                    <span class="device-name">${device.name}</span>
-                    <span class="device-power">${device.power} kW</span>
-                </div>
-                <button class="device-toggle ${device.status}" 
-                        data-household="${household.id}" 
-                        data-device="${device.name}">
-                    <i class="fas ${device.status === 'on' ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
-                </button>
-            </div>
-        `).join('');
+    createHouseholdCardHTML(household, bill = null) {
+        const registry = window.energyDataManager.getHouseholdRegistry();
+        const tariff = window.energyDataManager.getTariff();
+        const groupsHTML = registry.getDeviceGroups(household)
+            .filter(group => group.devices.length > 0)
+            .map(group => {
+                const subtotal = group.devices.reduce((sum, device) => sum + device.power, 0);
+                const devicesList = group.devices.map(device => `
+                    <div class="device-item">
+                        <div class="device-info">
+                            <span class="device-name">${escapeHTML(device.name)}</span>
+                            <span class="device-power">${Math.round(device.power * 100) / 100} kW</span>
+                        </div>
+                        <button class="device-toggle ${device.status}" 
+                                data-household="${household.id}" 
+                                data-device="${device.id}">
+                            <i class="fas ${device.status === 'on' ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                        </button>
+                    </div>
+                `).join('');
+
+                return `
+                    <div class="device-group">
+                        <div class="device-group-header">
+                            <span>${escapeHTML(group.name)}</span>
+                            <span>${Math.round(subtotal * 100) / 100} kW</span>
+                        </div>
+                        ${devicesList}
+                    </div>
+                `;
+            }).join('');
 
         return `
             <div class="household-card">
                 <div class="household-header">
-                    <h4 class="household-name">${household.name}</h4>
+                    <h4 class="household-name">${escapeHTML(household.name)}</h4>
                     <span class="household-status ${household.status.toLowerCase()}">${household.status}</span>
                 </div>
                 <div class="household-usage">${household.currentUsage} kW</div>
+                ${bill ? `
+                    <div class="household-bill" title="Energy ${tariff.formatMoney(bill.energyCost)}, export credit ${tariff.formatMoney(bill.exportCredit)}, daily charges ${tariff.formatMoney(bill.fixedCharges)}">
+                        Bill (${this.currentChartPeriod}): ${tariff.formatMoney(bill.total)} for ${bill.energy} kWh
+                    </div>
+                ` : ''}
                 <div class="device-list">
-                    ${devicesList}
+                    ${groupsHTML}
                 </div>
             </div>
         `;
     }
 
     /**
-     * Get filtered households based on selection
+     * Get filtered households based on selection. With a room/group selected, each household is
+     * narrowed to that group's devices (usage becomes the group subtotal) and households without it are dropped.
      */
     getFilteredHouseholds(households) {
-        if (this.selectedHousehold === 'all') {
-            return households;
+        const selected = this.selectedHousehold === 'all' ? 
+            households : households.filter(h => h.id === this.selectedHousehold);
+        if (this.selectedGroup === 'all') {
+            return selected;
         }
-        return households.filter(h => h.id === this.selectedHousehold);
+
+        return selected
+            .map(household => {
+                const groupIds = household.groups
+                    .filter(group => group.name.toLowerCase() === this.selectedGroup)
+                    .map(group => group.id);
+                const devices = household.devices.filter(device => groupIds.includes(device.groupId));
+                const usage = devices.reduce((sum, device) => sum + device.power, 0);
+                return { ...household, devices, currentUsage: Math.round(usage * 100) / 100 };
+            })
+            .filter(household => household.devices.length > 0);
     }
 
     /**
@@ -202,8 +516,8 @@ class HouseholdManager {
     /**
      * Toggle device status
      */
-    toggleDevice(householdId, deviceName, button) {
-        const success = window.energyDataManager.toggleDevice(householdId, deviceName);
+    toggleDevice(householdId, deviceId, button) {
+        const success = window.energyDataManager.toggleDevice(householdId, deviceId);
         
         if (success) {
             // Update button appearance
@@ -258,13 +572,27 @@ class HouseholdManager {
     }
 
     /**
-     * Get household statistics
+     * Get household statistics, with per-household and per-device energy (kWh) over a chart period
      */
-    getStatistics() {
-        const householdData = window.energyDataManager.getHouseholdData();
+    getStatistics(period = this.currentChartPeriod) {
+        const dataManager = window.energyDataManager;
+        const householdData = dataManager.getHouseholdData();
         const households = householdData.households;
         
+        const deviceEnergy = [];
+        households.forEach(household => {
+            household.devices.forEach(device => {
+                deviceEnergy.push({
+                    householdId: household.id,
+                    deviceId: device.id,
+                    name: device.name,
+                    energy: dataManager.getConsumerEnergy(period, dataManager.getDeviceMetric(household.id, device.id))
+                });
+            });
+        });
+        
         const stats = {
+            period,
             totalHouseholds: households.length,
             totalDevices: households.reduce((sum, h) => sum + h.devices.length, 0),
             activeDevices: this.countActiveDevices(households),
@@ -272,16 +600,22 @@ class HouseholdManager {
             averageUsagePerHousehold: this.getTotalUsage(households) / households.length,
             highestUsageHousehold: households.reduce((max, h) => 
                 h.currentUsage > max.currentUsage ? h : max, households[0]),
-            deviceTypes: this.getDeviceTypeStats(households)
+            householdEnergy: households.map(household => ({
+                householdId: household.id,
+                name: household.name,
+                energy: dataManager.getConsumerEnergy(period, dataManager.getHouseholdMetric(household.id))
+            })),
+            deviceEnergy,
+            deviceTypes: this.getDeviceTypeStats(households, deviceEnergy)
         };
         
         return stats;
     }
 
     /**
-     * Get device type statistics
+     * Get device type statistics (energy totals come from getStatistics' per-device list)
      */
-    getDeviceTypeStats(households) {
+    getDeviceTypeStats(households, deviceEnergy = []) {
         const deviceStats = {};
         
         households.forEach(household => {
@@ -290,6 +624,7 @@ class HouseholdManager {
                     deviceStats[device.name] = {
                         count: 0,
                         totalPower: 0,
+                        totalEnergy: 0,
                         activeCount: 0
                     };
                 }
@@ -302,6 +637,10 @@ class HouseholdManager {
             });
         });
         
+        deviceEnergy.forEach(({ name, energy }) => {
+            deviceStats[name].totalEnergy = Math.round((deviceStats[name].totalEnergy + energy) * 100) / 100;
+        });
+        
         return deviceStats;
     }
 
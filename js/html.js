@@ -0,0 +1,20 @@
+/**
+ * HTML Helpers Module
+ * Markup is built from template strings throughout the dashboard; anything a user can type
+ * (names, notes) or that comes from outside (readings, server replies) is escaped on the way in
+ */
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for external access
+window.escapeHTML = escapeHTML;
@@ -0,0 +1,245 @@
+/**
+ * Load Shedding Module
+ * When auto load balancing is on, sheds low then medium priority devices while demand exceeds
+ * what the site can supply (the battery adds nothing once it is at its discharge limit), and
+ * restores them with hysteresis once there is room again and the battery has recovered.
+ * The load priority setting narrows or widens what is shed. Every shed and restore is logged.
+ */
+
+// Priorities that may be shed, in the order they are shed; high priority loads are never shed
+const SHEDDABLE_PRIORITIES = ['low', 'medium'];
+
+// What each load priority setting (energyLimits.loadPriority) means for shedding: the priorities
+// that may be shed, and whether the battery is kept for high priority loads. Essential Only sheds
+// every low and medium load as soon as generation and the grid cannot cover demand, rather than
+// just enough once the battery cannot cover it either.
+const LOAD_PRIORITY_SHEDDING = {
+    essential: { sheddable: ['low', 'medium'], reserveBattery: true },
+    normal: { sheddable: ['low', 'medium'], reserveBattery: false },
+    comfort: { sheddable: ['low'], reserveBattery: false }
+};
+
+class LoadSheddingController {
+    /**
+     * manager is the data manager whose devices, controls and battery are balanced
+     */
+    constructor(manager, config = {}, storageKey = 'energyLoadSheddingLog') {
+        this.manager = manager;
+        this.storageKey = storageKey;
+        this.config = {
+            restoreMarginKw: 1,     // spare supply needed beyond a device's load before restoring it
+            restoreSocMargin: 5,    // battery must be this many points above its discharge limit
+            minShedMinutes: 5,      // a shed device stays off at least this long
+            maxLogEntries: 200,
+            ...config
+        };
+        // "householdId/deviceId" -> { since, power, reason }
+        this.shed = new Map();
+        this.log = [];
+        this.loadLog();
+    }
+
+    /**
+     * Load the action log from localStorage
+     */
+    loadLog() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.log = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading load shedding log:', error);
+            this.log = [];
+        }
+    }
+
+    /**
+     * Save the action log, keeping the newest entries
+     */
+    saveLog() {
+        this.log = this.log.slice(0, this.config.maxLogEntries);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.log));
+    }
+
+    /**
+     * Get the action log, newest first
+     */
+    getLog() {
+        return this.log;
+    }
+
+    /**
+     * Number of devices currently shed
+     */
+    getShedCount() {
+        return this.shed.size;
+    }
+
+    /**
+     * Supply the site can draw on: generation, grid import up to its limit and the battery
+     * while it is above its discharge limit. Returns { supply, gridSupply, batteryAtLimit }, where
+     * gridSupply leaves the battery out.
+     */
+    getAvailableSupply(data, controls) {
+        const { maxGridImport, batteryDischargeLimit } = controls.energyLimits;
+        const gridImport = data.grid.available && controls.systemControls.gridConnection ? maxGridImport : 0;
+        const batteryAtLimit = data.battery.percentage <= batteryDischargeLimit;
+        const battery = batteryAtLimit ? 0 : this.manager.batteryModel.config.maxDischargeKw;
+        const gridSupply = data.generation.total + gridImport;
+
+        return { supply: gridSupply + battery, gridSupply, batteryAtLimit };
+    }
+
+    /**
+     * Shed or restore devices for this tick from the previous tick's data. Runs before consumption
+     * is modelled, so shed devices draw nothing from this tick on. Returns what changed.
+     */
+    apply(now, data) {
+        const controls = this.manager.controlsData;
+
+        if (!controls.systemControls.autoLoadBalancing) {
+            return this.restoreAll(now, 'Auto load balancing turned off');
+        }
+
+        const policy = LOAD_PRIORITY_SHEDDING[controls.energyLimits.loadPriority] || LOAD_PRIORITY_SHEDDING.normal;
+        const { supply, gridSupply, batteryAtLimit } = this.getAvailableSupply(data, controls);
+        // With the battery reserved, loads are only supplied by generation and the grid
+        const available = policy.reserveBattery ? gridSupply : supply;
+        const shortfall = data.consumption.total - available;
+
+        if (shortfall > 0) {
+            const reason = policy.reserveBattery ?
+                `${LOAD_PRIORITIES[controls.energyLimits.loadPriority]}: demand ${data.consumption.total} kW over generation and grid ${available.toFixed(1)} kW` :
+                batteryAtLimit ?
+                    `Battery at discharge limit (${data.battery.percentage}%), demand ${data.consumption.total} kW over supply ${available.toFixed(1)} kW` :
+                    `Demand ${data.consumption.total} kW over supply ${available.toFixed(1)} kW`;
+            return this.shedLoads(now, policy.reserveBattery ? Infinity : shortfall, reason, policy.sheddable);
+        }
+
+        // Only restore once the battery is clear of its limit, so loads do not flap around it
+        const socClear = data.battery.percentage >= controls.energyLimits.batteryDischargeLimit + this.config.restoreSocMargin;
+        return socClear ? this.restoreLoads(now, available - data.consumption.total) : [];
+    }
+
+    /**
+     * Shed running devices of the given priorities, lowest priority and largest load first, until
+     * the shortfall is covered. An infinite shortfall sheds them all, idle ones included.
+     */
+    shedLoads(now, shortfall, reason, priorities = SHEDDABLE_PRIORITIES) {
+        const candidates = [];
+        this.manager.householdRegistry.households.forEach(household => {
+            household.devices.forEach(device => {
+                // Metered devices are switched outside this system, so shedding them would not reduce demand
+                if (priorities.includes(device.priority) && !device.shed && device.status !== 'off' &&
+                    device.meteringSource !== 'metered' && (device.power > 0 || shortfall === Infinity)) {
+                    candidates.push({ household, device });
+                }
+            });
+        });
+
+        candidates.sort((a, b) =>
+            SHEDDABLE_PRIORITIES.indexOf(a.device.priority) - SHEDDABLE_PRIORITIES.indexOf(b.device.priority) ||
+            b.device.power - a.device.power);
+
+        const changes = [];
+        let remaining = shortfall;
+        for (const { household, device } of candidates) {
+            if (remaining <= 0) break;
+
+            device.shed = true;
+            this.shed.set(`${household.id}/${device.id}`, { since: now.getTime(), power: device.power, reason });
+            this.record(now, 'shed', household, device, device.power, reason);
+            changes.push(`Shed ${household.name} ${device.name}`);
+            remaining -= device.power;
+        }
+
+        if (changes.length > 0) {
+            this.saveLog();
+        }
+        return changes;
+    }
+
+    /**
+     * Restore shed devices, highest priority first, while the headroom covers each one's load plus a margin
+     */
+    restoreLoads(now, headroom) {
+        const minShedMs = this.config.minShedMinutes * 60 * 1000;
+        const entries = Array.from(this.shed.entries())
+            .map(([key, entry]) => ({ key, ...entry, ...this.findDevice(key) }))
+            .sort((a, b) =>
+                SHEDDABLE_PRIORITIES.indexOf(b.device ? b.device.priority : 'low') -
+                SHEDDABLE_PRIORITIES.indexOf(a.device ? a.device.priority : 'low') || a.since - b.since);
+
+        const changes = [];
+        let available = headroom;
+        for (const entry of entries) {
+            if (now.getTime() - entry.since < minShedMs) continue;
+            if (available < entry.power + this.config.restoreMarginKw) break;
+
+            this.restore(now, entry, 'Supply recovered');
+            changes.push(entry.device ? `Restored ${entry.household.name} ${entry.device.name}` : `Cleared ${entry.key}`);
+            available -= entry.power;
+        }
+
+        if (changes.length > 0) {
+            this.saveLog();
+        }
+        return changes;
+    }
+
+    /**
+     * Restore every shed device at once
+     */
+    restoreAll(now, reason) {
+        const changes = Array.from(this.shed.keys()).map(key => {
+            const entry = { key, ...this.shed.get(key), ...this.findDevice(key) };
+            this.restore(now, entry, reason);
+            return entry.device ? `Restored ${entry.household.name} ${entry.device.name}` : `Cleared ${key}`;
+        });
+
+        if (changes.length > 0) {
+            this.saveLog();
+        }
+        return changes;
+    }
+
+    /**
+     * Clear one shed entry and log it; devices removed while shed are just forgotten
+     */
+    restore(now, entry, reason) {
+        this.shed.delete(entry.key);
+        if (entry.device) {
+            entry.device.shed = false;
+            this.record(now, 'restore', entry.household, entry.device, entry.power, reason);
+        }
+    }
+
+    /**
+     * Look up { household, device } for a "householdId/deviceId" key
+     */
+    findDevice(key) {
+        const [householdId, deviceId] = key.split('/');
+        const registry = this.manager.householdRegistry;
+        return { household: registry.getHousehold(householdId), device: registry.getDevice(householdId, deviceId) };
+    }
+
+    /**
+     * Add a log entry
+     */
+    record(now, action, household, device, power, reason) {
+        this.log.unshift({
+            time: now.toISOString(),
+            action,
+            householdId: household.id,
+            deviceId: device.id,
+            deviceName: `${household.name} ${device.name}`,
+            priority: device.priority,
+            power: Math.round(power * 100) / 100,
+            reason
+        });
+    }
+}
+
+// Export for external access
+window.SHEDDABLE_PRIORITIES = SHEDDABLE_PRIORITIES;
+window.LOAD_PRIORITY_SHEDDING = LOAD_PRIORITY_SHEDDING;
+window.LoadSheddingController = LoadSheddingController;
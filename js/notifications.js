@@ -0,0 +1,294 @@
+/**
+ * Notification Channels Module
+ * Sends alerts to outside services: a generic JSON webhook, email through a local SMTP relay
+ * (tools/smtp-relay.js), ntfy and Gotify. Each channel is set up for the severities it should
+ * receive. Every delivery attempt is recorded on the alert, and failed deliveries are retried
+ * with a growing delay.
+ */
+
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+// First retry delay; it doubles after every failed attempt
+const NOTIFICATION_RETRY_MINUTES = 1;
+const NOTIFICATION_TIMEOUT_MS = 15000;
+
+/**
+ * Channel types: the fields each one uses and needs, an example URL, and how an alert
+ * becomes an HTTP request
+ */
+const NOTIFICATION_CHANNEL_TYPES = {
+    webhook: {
+        label: 'Webhook (JSON)',
+        fields: ['url'],
+        required: ['url'],
+        urlExample: 'https://example.com/hooks/energy-alerts',
+        buildRequest: (channel, alert) => ({
+            url: channel.url,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                event: 'alert',
+                alert: {
+                    id: alert.id,
+                    severity: alert.type,
+                    title: alert.title,
+                    message: alert.message,
+                    state: alert.state,
+                    raisedAt: alert.timestamp.toISOString(),
+                    ruleId: alert.ruleId
+                }
+            })
+        })
+    },
+    email: {
+        label: 'Email (SMTP relay)',
+        fields: ['url', 'from', 'to'],
+        required: ['url', 'from', 'to'],
+        urlExample: 'http://localhost:8025/send',
+        buildRequest: (channel, alert) => ({
+            url: channel.url,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                from: channel.from,
+                to: channel.to.split(',').map(address => address.trim()).filter(Boolean),
+                subject: `[${alert.type.toUpperCase()}] ${alert.title}`,
+                text: `${alert.message}\n\nRaised ${alert.timestamp.toLocaleString()}`
+            })
+        })
+    },
+    ntfy: {
+        label: 'ntfy',
+        fields: ['url', 'topic', 'token'],
+        required: ['url', 'topic'],
+        urlExample: 'https://ntfy.sh',
+        // The title goes in the query rather than a header, as headers cannot carry non-Latin-1 names
+        buildRequest: (channel, alert) => ({
+            url: `${channel.url.replace(/\/+$/, '')}/${encodeURIComponent(channel.topic)}?` + new URLSearchParams({
+                title: alert.title,
+                priority: { critical: '5', warning: '4', info: '3' }[alert.type] || '3',
+                tags: alert.type
+            }),
+            method: 'POST',
+            headers: channel.token ? { 'Authorization': `Bearer ${channel.token}` } : {},
+            body: alert.message
+        })
+    },
+    gotify: {
+        label: 'Gotify',
+        fields: ['url', 'token'],
+        required: ['url', 'token'],
+        urlExample: 'http://localhost:8080',
+        buildRequest: (channel, alert) => ({
+            url: `${channel.url.replace(/\/+$/, '')}/message`,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': channel.token },
+            body: JSON.stringify({
+                title: alert.title,
+                message: alert.message,
+                priority: { critical: 8, warning: 5, info: 2 }[alert.type] || 2
+            })
+        })
+    }
+};
+
+class NotificationChannels {
+    /**
+     * history is the alert history deliveries are recorded in
+     */
+    constructor(history, storageKey = 'energyNotificationChannels') {
+        this.history = history;
+        this.storageKey = storageKey;
+        this.channels = [];
+        this.load();
+    }
+
+    /**
+     * Load channels from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.channels = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+            this.channels = [];
+        }
+    }
+
+    /**
+     * Save channels
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.channels));
+    }
+
+    /**
+     * Check a channel definition; throws with the first problem found
+     */
+    validateChannel(channel) {
+        const type = NOTIFICATION_CHANNEL_TYPES[channel.type];
+        if (!channel.name || !String(channel.name).trim()) {
+            throw new Error('Channel name is required');
+        }
+        if (!type) {
+            throw new Error(`Unknown channel type: ${channel.type}`);
+        }
+        type.required.forEach(field => {
+            if (!channel[field] || !String(channel[field]).trim()) {
+                throw new Error(`${type.label} channels need a ${field === 'url' ? 'URL' : field}`);
+            }
+        });
+        if (!/^https?:\/\//.test(channel.url)) {
+            throw new Error('URL must start with http:// or https://');
+        }
+        if (!Array.isArray(channel.severities) || channel.severities.length === 0 ||
+            channel.severities.some(severity => !ALERT_SEVERITIES.includes(severity))) {
+            throw new Error('Choose at least one severity');
+        }
+    }
+
+    /**
+     * Get channels
+     */
+    getChannels() {
+        return this.channels;
+    }
+
+    /**
+     * Find a channel by id
+     */
+    getChannel(channelId) {
+        return this.channels.find(channel => channel.id === channelId) || null;
+    }
+
+    /**
+     * Add a channel after validating it
+     */
+    addChannel(channel) {
+        this.validateChannel(channel);
+
+        const newChannel = { enabled: true, ...channel, id: `channel-${Date.now()}` };
+        this.channels.push(newChannel);
+        this.save();
+        return newChannel;
+    }
+
+    /**
+     * Change a channel
+     */
+    updateChannel(channelId, changes) {
+        const channel = this.getChannel(channelId);
+        if (!channel) {
+            throw new Error(`Unknown notification channel: ${channelId}`);
+        }
+        this.validateChannel({ ...channel, ...changes });
+
+        Object.assign(channel, changes, { id: channel.id });
+        this.save();
+        return channel;
+    }
+
+    /**
+     * Delete a channel
+     */
+    removeChannel(channelId) {
+        const before = this.channels.length;
+        this.channels = this.channels.filter(channel => channel.id !== channelId);
+        this.save();
+        return this.channels.length < before;
+    }
+
+    /**
+     * Send an alert to every enabled channel set up for its severity. accept can rule out
+     * channels, e.g. email while email alerts are switched off.
+     */
+    dispatch(alert, now = new Date(), accept = () => true) {
+        this.channels
+            .filter(channel => channel.enabled && channel.severities.includes(alert.type) && accept(channel))
+            .forEach(channel => this.deliver(channel, alert, now));
+    }
+
+    /**
+     * Send one alert to one channel and record the attempt on the alert. Times in delivery
+     * records are ISO strings.
+     */
+    async deliver(channel, alert, now = new Date()) {
+        const previous = (alert.deliveries || {})[channel.id];
+        const attempts = (previous ? previous.attempts : 0) + 1;
+        this.history.recordDelivery(alert.id, channel.id, {
+            channelName: channel.name,
+            status: 'sending',
+            attempts,
+            lastAttemptAt: now.toISOString(),
+            nextRetryAt: null,
+            error: null
+        });
+
+        const error = await this.send(channel, alert);
+        const retry = error && attempts < NOTIFICATION_MAX_ATTEMPTS;
+        this.history.recordDelivery(alert.id, channel.id, {
+            status: error ? 'failed' : 'sent',
+            error,
+            nextRetryAt: retry ?
+                new Date(now.getTime() + NOTIFICATION_RETRY_MINUTES * Math.pow(2, attempts - 1) * 60 * 1000).toISOString() : null
+        });
+        return !error;
+    }
+
+    /**
+     * Make the HTTP request for a channel. Returns null when it succeeded, or the error message.
+     */
+    async send(channel, alert) {
+        const { url, ...options } = NOTIFICATION_CHANNEL_TYPES[channel.type].buildRequest(channel, alert);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), NOTIFICATION_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return null;
+        } catch (error) {
+            console.error(`Notification to ${channel.name} failed:`, error);
+            return error.name === 'AbortError' ? 'Timed out' : error.message;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Retry failed deliveries whose retry time has come, for open alerts and channels that still exist
+     */
+    retryDue(now = new Date()) {
+        this.history.getOpenAlerts().forEach(alert => {
+            Object.entries(alert.deliveries || {}).forEach(([channelId, delivery]) => {
+                const channel = this.getChannel(channelId);
+                if (channel && delivery.status === 'failed' && delivery.nextRetryAt &&
+                    new Date(delivery.nextRetryAt) <= now) {
+                    this.deliver(channel, alert, now);
+                }
+            });
+        });
+    }
+
+    /**
+     * Send a test alert to a channel without recording it. Returns null on success or the error message.
+     */
+    sendTest(channelId) {
+        const channel = this.getChannel(channelId);
+        return this.send(channel, {
+            id: 'test',
+            type: 'info',
+            title: 'Test notification',
+            message: `Test notification for the ${channel.name} channel.`,
+            state: 'raised',
+            timestamp: new Date(),
+            ruleId: null
+        });
+    }
+}
+
+// Export for external access
+window.NOTIFICATION_CHANNEL_TYPES = NOTIFICATION_CHANNEL_TYPES;
+window.NotificationChannels = NotificationChannels;
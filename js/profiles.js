@@ -0,0 +1,489 @@
+/**
+ * Device Profiles Module
+ * A library of device power profiles defined as data. Each profile has a kind that sets how it is
+ * evaluated, and parameters expressed as fractions of the device's rated power.
+ * The library can be edited as JSON in Settings; edits are saved to localStorage.
+ */
+
+// Profile kinds and the parameters each one reads
+const PROFILE_KINDS = {
+    // windows: [{ start, end, level, jitter }] in local hours (end may wrap past midnight); base outside them
+    schedule: ['windows'],
+    // Compressor-style duty cycle with a per-device phase offset
+    cycling: ['onMinutes', 'offMinutes', 'onLevel', 'offLevel'],
+    // Programs start at startHours (on days, 0 = Sunday) and step through phases: [{ minutes, level }]
+    program: ['startHours', 'phases'],
+    // Electrical power = thermal demand from outdoor temperature / COP, capped at rated power
+    'heat-pump': ['heatingBalancePoint', 'kwThermalPerDegree', 'copAt7', 'copSlope'],
+    // Charges a vehicle battery in a window, tapering above taperFromSoc
+    ev: ['windowStart', 'windowEnd', 'batteryKwh', 'arrivalSoc', 'taperFromSoc'],
+    constant: ['level'],
+    random: ['min', 'max']
+};
+
+// Allowed [min, max] for numeric parameters, required or optional, and for the fields and items of list parameters
+const PROFILE_PARAMETER_RANGES = {
+    // Fractions of rated power
+    base: [0, 1],
+    level: [0, 1],
+    jitter: [0, 1],
+    onLevel: [0, 1],
+    offLevel: [0, 1],
+    idleLevel: [0, 1],
+    min: [0, 1],
+    max: [0, 1],
+    nightSetback: [0, 1],
+    // Local hours and days of the week (0 = Sunday)
+    start: [0, 24],
+    end: [0, 24],
+    windowStart: [0, 24],
+    windowEnd: [0, 24],
+    startHours: [0, 24],
+    days: [0, 6],
+    // Minutes
+    onMinutes: [0, 1440],
+    offMinutes: [0, 1440],
+    minutes: [0, 1440],
+    // Vehicle battery; charging tapers towards full above taperFromSoc, so it must stay below 1
+    batteryKwh: [1, 500],
+    arrivalSoc: [0, 1],
+    taperFromSoc: [0, 0.99],
+    chargeEfficiency: [0.5, 1],
+    // Heat pump: balance points in °C, thermal kW per degree and coefficients of performance
+    heatingBalancePoint: [-20, 40],
+    coolingBalancePoint: [-20, 50],
+    kwThermalPerDegree: [0, 50],
+    copAt7: [1, 10],
+    copSlope: [-1, 1],
+    coolingCopAt35: [1, 10]
+};
+
+// List parameters and the fields each item needs (null for lists of numbers)
+const PROFILE_LIST_PARAMETERS = {
+    windows: ['start', 'end', 'level'],
+    phases: ['minutes', 'level'],
+    startHours: null,
+    days: null
+};
+
+const DEFAULT_DEVICE_PROFILES = [
+    {
+        id: 'heat-pump',
+        name: 'Heat pump (COP varies with outdoor temperature)',
+        kind: 'heat-pump',
+        heatingBalancePoint: 15.5,
+        coolingBalancePoint: 24,
+        kwThermalPerDegree: 0.6,
+        copAt7: 3.5,
+        copSlope: 0.08,
+        coolingCopAt35: 3,
+        nightSetback: 0.7,
+        idleLevel: 0.03
+    },
+    {
+        id: 'water-heater',
+        name: 'Water heater (morning and evening demand)',
+        kind: 'schedule',
+        base: 0.125,
+        windows: [
+            { start: 6, end: 9, level: 0.75, jitter: 0.25 },
+            { start: 18, end: 21, level: 0.75, jitter: 0.25 }
+        ]
+    },
+    {
+        id: 'ev-taper',
+        name: 'EV overnight charging with taper',
+        kind: 'ev',
+        windowStart: 22,
+        windowEnd: 7,
+        batteryKwh: 60,
+        arrivalSoc: 0.4,
+        taperFromSoc: 0.8,
+        chargeEfficiency: 0.9
+    },
+    {
+        id: 'lighting',
+        name: 'Indoor lighting',
+        kind: 'schedule',
+        base: 0.125,
+        windows: [
+            { start: 18, end: 8, level: 0.625, jitter: 0.375 }
+        ]
+    },
+    {
+        id: 'outdoor-lighting',
+        name: 'Outdoor lighting (dusk to dawn)',
+        kind: 'schedule',
+        base: 0,
+        windows: [
+            { start: 18, end: 8, level: 1, jitter: 0 }
+        ]
+    },
+    {
+        id: 'pool-pump',
+        name: 'Pool pump (daytime filtration)',
+        kind: 'schedule',
+        base: 0,
+        windows: [
+            { start: 10, end: 17, level: 1, jitter: 0 }
+        ]
+    },
+    {
+        id: 'fridge',
+        name: 'Fridge compressor cycling',
+        kind: 'cycling',
+        onMinutes: 20,
+        offMinutes: 40,
+        onLevel: 1,
+        offLevel: 0.05
+    },
+    {
+        id: 'washer',
+        name: 'Washing machine (cotton 40°C program)',
+        kind: 'program',
+        startHours: [10],
+        days: [0, 2, 4, 6],
+        phases: [
+            { minutes: 5, level: 0.05 },
+            { minutes: 20, level: 1 },
+            { minutes: 40, level: 0.15 },
+            { minutes: 15, level: 0.35 }
+        ],
+        idleLevel: 0.002
+    },
+    {
+        id: 'dishwasher',
+        name: 'Dishwasher (eco program after dinner)',
+        kind: 'program',
+        startHours: [20.5],
+        phases: [
+            { minutes: 20, level: 1 },
+            { minutes: 30, level: 0.1 },
+            { minutes: 15, level: 1 },
+            { minutes: 30, level: 0.05 }
+        ],
+        idleLevel: 0.002
+    },
+    {
+        id: 'induction-hob',
+        name: 'Induction hob (meal times)',
+        kind: 'schedule',
+        base: 0,
+        windows: [
+            { start: 7, end: 7.5, level: 0.2, jitter: 0.2 },
+            { start: 12, end: 12.75, level: 0.25, jitter: 0.3 },
+            { start: 18, end: 19.25, level: 0.4, jitter: 0.5 }
+        ]
+    },
+    {
+        id: 'standby',
+        name: 'Standby load (rated power is the standby draw)',
+        kind: 'constant',
+        level: 1
+    },
+    {
+        id: 'general',
+        name: 'General appliance (random between a third and full rated power)',
+        kind: 'random',
+        min: 1 / 3,
+        max: 1
+    }
+];
+
+class DeviceProfileLibrary {
+    constructor(storageKey = 'energyDeviceProfiles') {
+        this.storageKey = storageKey;
+        this.profiles = [];
+        this.load();
+    }
+
+    /**
+     * Load the saved library, or the built-in profiles when nothing has been saved
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading device profiles:', error);
+        }
+
+        // Profiles saved before they were fully validated are dropped rather than left to fail on every tick
+        const valid = Array.isArray(saved) ? saved.filter((profile, index) => {
+            try {
+                this.validateProfile(profile, index);
+                return true;
+            } catch (error) {
+                console.error('Ignoring invalid device profile:', error.message);
+                return false;
+            }
+        }) : [];
+        this.profiles = valid.length > 0 ? valid : JSON.parse(JSON.stringify(DEFAULT_DEVICE_PROFILES));
+    }
+
+    /**
+     * Replace the whole library after validating every profile; throws with the first problem found
+     */
+    setProfiles(profiles) {
+        if (!Array.isArray(profiles) || profiles.length === 0) {
+            throw new Error('Profiles must be a non-empty array');
+        }
+
+        const ids = new Set();
+        profiles.forEach((profile, index) => {
+            this.validateProfile(profile, index);
+            if (ids.has(profile.id)) {
+                throw new Error(`Duplicate profile id: ${profile.id}`);
+            }
+            ids.add(profile.id);
+        });
+
+        this.profiles = profiles;
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+
+    /**
+     * Go back to the built-in profiles
+     */
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.load();
+    }
+
+    /**
+     * Check a profile has an id, a name, a known kind and the parameters that kind needs, and that
+     * every parameter it sets is well formed and in range
+     */
+    validateProfile(profile, index) {
+        const label = profile && profile.id ? `Profile "${profile.id}"` : `Profile ${index + 1}`;
+
+        if (!profile || typeof profile.id !== 'string' || !profile.id) {
+            throw new Error(`${label} needs an id`);
+        }
+        if (typeof profile.name !== 'string' || !profile.name) {
+            throw new Error(`${label} needs a name`);
+        }
+        if (!PROFILE_KINDS[profile.kind]) {
+            throw new Error(`${label} has unknown kind "${profile.kind}" (expected ${Object.keys(PROFILE_KINDS).join(', ')})`);
+        }
+
+        PROFILE_KINDS[profile.kind].forEach(param => {
+            if (profile[param] === undefined) {
+                throw new Error(`${label} is missing "${param}"`);
+            }
+        });
+        Object.entries(profile).forEach(([param, value]) => this.validateParameter(label, param, value));
+
+        if (profile.kind === 'cycling' && profile.onMinutes + profile.offMinutes <= 0) {
+            throw new Error(`${label} needs "onMinutes" or "offMinutes" above 0`);
+        }
+        if (profile.kind === 'random' && profile.min > profile.max) {
+            throw new Error(`${label} has "min" above "max"`);
+        }
+    }
+
+    /**
+     * Check one parameter: list parameters item by item, numbers against their range
+     */
+    validateParameter(label, param, value) {
+        if (!(param in PROFILE_LIST_PARAMETERS)) {
+            this.validateRange(label, param, value);
+            return;
+        }
+
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new Error(`${label} needs "${param}" as a non-empty list`);
+        }
+        const fields = PROFILE_LIST_PARAMETERS[param];
+        value.forEach((item, index) => {
+            const itemLabel = `${label} ${param}[${index}]`;
+            if (!fields) {
+                this.validateRange(itemLabel, param, item);
+                return;
+            }
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw new Error(`${itemLabel} must be an object with ${fields.join(', ')}`);
+            }
+            fields.forEach(field => {
+                if (item[field] === undefined) {
+                    throw new Error(`${itemLabel} is missing "${field}"`);
+                }
+            });
+            Object.entries(item).forEach(([field, fieldValue]) => this.validateRange(itemLabel, field, fieldValue));
+        });
+    }
+
+    /**
+     * Check a number is within its PROFILE_PARAMETER_RANGES entry (days must be whole); other parameters pass
+     */
+    validateRange(label, param, value) {
+        const range = PROFILE_PARAMETER_RANGES[param];
+        if (!range) return;
+
+        const [min, max] = range;
+        if (typeof value !== 'number' || !isFinite(value) || value < min || value > max ||
+            (param === 'days' && !Number.isInteger(value))) {
+            throw new Error(`${label} has "${param}" ${JSON.stringify(value)}, expected ${param === 'days' ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+        }
+    }
+
+    /**
+     * Get all profiles
+     */
+    getProfiles() {
+        return this.profiles;
+    }
+
+    /**
+     * Find a profile by id
+     */
+    getProfile(profileId) {
+        return this.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Power in kW a device draws at a time under its profile (unknown profiles behave as 'general').
+     * context: { conditions, random, dtHours }. Profiles that keep state (EV sessions) store it on
+     * device.profileState.
+     */
+    getPower(device, now, context) {
+        const profile = this.getProfile(device.profileId) || this.getProfile('general') || 
+            { kind: 'random', min: 1 / 3, max: 1 };
+        const rated = device.ratedPower;
+
+        switch (profile.kind) {
+            case 'schedule':
+                return rated * this.evaluateSchedule(profile, now, context.random);
+            case 'cycling':
+                return rated * this.evaluateCycling(profile, now, device);
+            case 'program':
+                return rated * this.evaluateProgram(profile, now);
+            case 'heat-pump':
+                return this.evaluateHeatPump(profile, now, rated, context);
+            case 'ev':
+                return this.evaluateEv(profile, now, device, context.dtHours);
+            case 'constant':
+                return rated * profile.level;
+            case 'random':
+                return rated * (profile.min + context.random() * (profile.max - profile.min));
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Local time of day in fractional hours
+     */
+    getHourOfDay(now) {
+        return now.getHours() + now.getMinutes() / 60;
+    }
+
+    /**
+     * Check whether an hour falls in a window that may wrap past midnight
+     */
+    isInWindow(hour, start, end) {
+        return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    /**
+     * Fraction of rated power from the window containing the current hour
+     */
+    evaluateSchedule(profile, now, random) {
+        const hour = this.getHourOfDay(now);
+        const window = profile.windows.find(w => this.isInWindow(hour, w.start, w.end));
+        if (!window) return profile.base || 0;
+        return window.level + random() * (window.jitter || 0);
+    }
+
+    /**
+     * Fraction of rated power at the current point of the duty cycle
+     */
+    evaluateCycling(profile, now, device) {
+        const periodMs = (profile.onMinutes + profile.offMinutes) * 60 * 1000;
+        // Offset each device's cycle so identical fridges do not switch in step
+        const offset = SeededRandom.hash(device.id) % periodMs;
+        const position = (now.getTime() + offset) % periodMs;
+        return position < profile.onMinutes * 60 * 1000 ? profile.onLevel : profile.offLevel;
+    }
+
+    /**
+     * Fraction of rated power for the running program phase, or idle between runs
+     */
+    evaluateProgram(profile, now) {
+        const days = profile.days || [0, 1, 2, 3, 4, 5, 6];
+        const hour = this.getHourOfDay(now);
+
+        for (const startHour of profile.startHours) {
+            if (!days.includes(now.getDay()) || hour < startHour) continue;
+
+            let elapsed = (hour - startHour) * 60;
+            for (const phase of profile.phases) {
+                if (elapsed < phase.minutes) return phase.level;
+                elapsed -= phase.minutes;
+            }
+        }
+        return profile.idleLevel || 0;
+    }
+
+    /**
+     * Electrical kW to meet heating or cooling demand at the outdoor temperature
+     */
+    evaluateHeatPump(profile, now, rated, { conditions }) {
+        const temperature = conditions.ambientTemperature;
+        const hour = now.getHours();
+        let electrical = 0;
+
+        if (temperature < profile.heatingBalancePoint) {
+            const demand = (profile.heatingBalancePoint - temperature) * profile.kwThermalPerDegree;
+            const cop = Math.min(5.5, Math.max(1.5, profile.copAt7 + profile.copSlope * (temperature - 7)));
+            electrical = demand / cop;
+        } else if (profile.coolingBalancePoint !== undefined && temperature > profile.coolingBalancePoint) {
+            const demand = (temperature - profile.coolingBalancePoint) * profile.kwThermalPerDegree *
+                conditions.coolingLoadFactor;
+            const cop = Math.max(1.5, (profile.coolingCopAt35 || 3) - 0.06 * (temperature - 35));
+            electrical = demand / cop;
+        }
+
+        if (profile.nightSetback && (hour >= 22 || hour < 6)) {
+            electrical *= profile.nightSetback;
+        }
+
+        return Math.min(rated, Math.max(rated * (profile.idleLevel || 0), electrical));
+    }
+
+    /**
+     * Charging kW for the current session, advancing the vehicle's state of charge.
+     * Under smart charging the plug-in window, target and charge rate come from device.smartCharging.
+     */
+    evaluateEv(profile, now, device, dtHours) {
+        const hour = this.getHourOfDay(now);
+        const smart = device.smartCharging;
+        const windowStart = smart ? smart.arrivalHour : profile.windowStart;
+        const windowEnd = smart ? smart.departureHour : profile.windowEnd;
+        if (!this.isInWindow(hour, windowStart, windowEnd)) {
+            device.profileState = null;
+            return 0;
+        }
+
+        // A new session starts each time the charging window opens
+        if (!device.profileState) {
+            device.profileState = { soc: profile.arrivalSoc };
+        }
+        const state = device.profileState;
+        if (state.soc >= (smart ? smart.targetSoc : 1)) return 0;
+
+        const taper = state.soc > profile.taperFromSoc ?
+            Math.max(0.1, (1 - state.soc) / (1 - profile.taperFromSoc)) : 1;
+        const power = Math.min(device.ratedPower * taper, smart ? smart.setpointKw : Infinity);
+        state.soc = Math.min(1, state.soc + (power * dtHours * (profile.chargeEfficiency || 0.9)) / profile.batteryKwh);
+
+        return power;
+    }
+}
+
+// Export for external access
+window.PROFILE_KINDS = PROFILE_KINDS;
+window.PROFILE_PARAMETER_RANGES = PROFILE_PARAMETER_RANGES;
+window.PROFILE_LIST_PARAMETERS = PROFILE_LIST_PARAMETERS;
+window.DEFAULT_DEVICE_PROFILES = DEFAULT_DEVICE_PROFILES;
+window.DeviceProfileLibrary = DeviceProfileLibrary;
@@ -0,0 +1,402 @@
+/**
+ * Household Registry Module
+ * Keeps the households and their devices, with add/edit/remove operations and persistence
+ */
+
+// Device types, with the rated power and power profile new devices start from
+const DEVICE_TYPES = {
+    hvac: { name: 'HVAC', ratedPower: 4.5, profileId: 'heat-pump' },
+    'heat-pump': { name: 'Heat Pump', ratedPower: 4.5, profileId: 'heat-pump' },
+    'water-heater': { name: 'Water Heater', ratedPower: 4, profileId: 'water-heater' },
+    'ev-charger': { name: 'EV Charger', ratedPower: 8, profileId: 'ev-taper' },
+    lighting: { name: 'Lighting', ratedPower: 0.8, profileId: 'lighting' },
+    'outdoor-lighting': { name: 'Outdoor Lighting', ratedPower: 0.3, profileId: 'outdoor-lighting' },
+    'pool-pump': { name: 'Pool Pump', ratedPower: 1.5, profileId: 'pool-pump' },
+    appliance: { name: 'General Appliance', ratedPower: 1.5, profileId: 'general' }
+};
+
+const DEVICE_PRIORITIES = ['high', 'medium', 'low'];
+
+// Where a device's power comes from: the consumption model, or meter values in live readings
+const METERING_SOURCES = ['modelled', 'metered'];
+
+// Households shipped with the dashboard, used until the registry is edited
+const DEFAULT_HOUSEHOLDS = [
+    {
+        id: 'house1',
+        name: 'House 1',
+        status: 'Active',
+        groups: [
+            { id: 'upstairs', name: 'Upstairs' },
+            { id: 'kitchen', name: 'Kitchen' },
+            { id: 'utility', name: 'Utility' }
+        ],
+        devices: [
+            { id: 'hvac', groupId: 'upstairs', name: 'HVAC', type: 'hvac', profileId: 'heat-pump', ratedPower: 4.5, status: 'on', priority: 'high', meteringSource: 'modelled' },
+            { id: 'water-heater', groupId: 'utility', name: 'Water Heater', type: 'water-heater', profileId: 'water-heater', ratedPower: 4, status: 'on', priority: 'medium', meteringSource: 'modelled' },
+            { id: 'refrigerator', groupId: 'kitchen', name: 'Refrigerator', type: 'appliance', profileId: 'fridge', ratedPower: 0.15, status: 'on', priority: 'high', meteringSource: 'modelled' },
+            { id: 'lighting', groupId: 'upstairs', name: 'Lighting', type: 'lighting', profileId: 'lighting', ratedPower: 0.8, status: 'on', priority: 'low', meteringSource: 'modelled' }
+        ]
+    },
+    {
+        id: 'house2',
+        name: 'House 2',
+        status: 'Active',
+        groups: [
+            { id: 'whole-home', name: 'Whole Home' },
+            { id: 'garage', name: 'Garage' },
+            { id: 'kitchen', name: 'Kitchen' }
+        ],
+        devices: [
+            { id: 'hvac', groupId: 'whole-home', name: 'HVAC', type: 'hvac', profileId: 'heat-pump', ratedPower: 4.5, status: 'on', priority: 'high', meteringSource: 'modelled' },
+            { id: 'ev', groupId: 'garage', name: 'Electric Vehicle', type: 'ev-charger', profileId: 'ev-taper', ratedPower: 7.4, status: 'off', priority: 'low', meteringSource: 'modelled' },
+            { id: 'washer-dryer', groupId: 'garage', name: 'Washer/Dryer', type: 'appliance', profileId: 'washer', ratedPower: 2.2, status: 'off', priority: 'low', meteringSource: 'modelled' },
+            { id: 'kitchen', groupId: 'kitchen', name: 'Kitchen Appliances', type: 'appliance', profileId: 'induction-hob', ratedPower: 7.2, status: 'on', priority: 'medium', meteringSource: 'modelled' }
+        ]
+    },
+    {
+        id: 'house3',
+        name: 'House 3',
+        status: 'Active',
+        groups: [
+            { id: 'plant-room', name: 'Plant Room' },
+            { id: 'living-room', name: 'Living Room' },
+            { id: 'garden', name: 'Garden' }
+        ],
+        devices: [
+            { id: 'heat-pump', groupId: 'plant-room', name: 'Heat Pump', type: 'heat-pump', profileId: 'heat-pump', ratedPower: 4.5, status: 'on', priority: 'high', meteringSource: 'modelled' },
+            { id: 'pool-pump', groupId: 'garden', name: 'Pool Pump', type: 'pool-pump', profileId: 'pool-pump', ratedPower: 1.5, status: 'off', priority: 'low', meteringSource: 'modelled' },
+            { id: 'electronics', groupId: 'living-room', name: 'Electronics', type: 'appliance', profileId: 'general', ratedPower: 1.5, status: 'on', priority: 'medium', meteringSource: 'modelled' },
+            { id: 'outdoor-lighting', groupId: 'garden', name: 'Outdoor Lighting', type: 'outdoor-lighting', profileId: 'outdoor-lighting', ratedPower: 0.3, status: 'auto', priority: 'low', meteringSource: 'modelled' }
+        ]
+    }
+];
+
+class HouseholdRegistry {
+    constructor(storageKey = 'energyHouseholdRegistry') {
+        this.storageKey = storageKey;
+        // Edited in place so callers holding the array see changes
+        this.households = [];
+        this.load();
+    }
+
+    /**
+     * Load households from localStorage, falling back to the defaults
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading household registry:', error);
+        }
+
+        const households = Array.isArray(saved) ? saved : JSON.parse(JSON.stringify(DEFAULT_HOUSEHOLDS));
+        this.households.splice(0, this.households.length, ...households.map(household => ({
+            groups: [],
+            ...household,
+            currentUsage: 0,
+            devices: household.devices.map(device => ({
+                // Registries saved before profiles existed get their type's default profile
+                profileId: DEVICE_TYPES[device.type] ? DEVICE_TYPES[device.type].profileId : 'general',
+                groupId: null,
+                ...device,
+                power: 0,
+                powerLimit: null,
+                shed: false,
+                profileState: null,
+                smartCharging: null
+            }))
+        })));
+    }
+
+    /**
+     * Save households without runtime state (power, powerLimit, shed, currentUsage, profileState, smartCharging)
+     */
+    save() {
+        const households = this.households.map(({ currentUsage, devices, ...household }) => ({
+            ...household,
+            devices: devices.map(({ power, powerLimit, shed, profileState, smartCharging, ...device }) => device)
+        }));
+        localStorage.setItem(this.storageKey, JSON.stringify(households));
+    }
+
+    /**
+     * Make a URL-safe id from a name that is unique among existing ids
+     */
+    createId(name, existingIds) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+        let id = base;
+        for (let suffix = 2; existingIds.includes(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Find a household by id
+     */
+    getHousehold(householdId) {
+        return this.households.find(h => h.id === householdId) || null;
+    }
+
+    /**
+     * Find a device by household and device id
+     */
+    getDevice(householdId, deviceId) {
+        const household = this.getHousehold(householdId);
+        return household ? household.devices.find(d => d.id === deviceId) || null : null;
+    }
+
+    /**
+     * Add a household and return it
+     */
+    addHousehold({ name }) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Household name is required');
+        }
+
+        const household = {
+            id: this.createId(trimmed, this.households.map(h => h.id)),
+            name: trimmed,
+            status: 'Active',
+            currentUsage: 0,
+            groups: [],
+            devices: []
+        };
+        this.households.push(household);
+        this.save();
+        return household;
+    }
+
+    /**
+     * Rename a household or change its status
+     */
+    updateHousehold(householdId, changes) {
+        const household = this.getHousehold(householdId);
+        if (!household) {
+            throw new Error(`Unknown household: ${householdId}`);
+        }
+
+        if (changes.name !== undefined) {
+            const name = String(changes.name).trim();
+            if (!name) {
+                throw new Error('Household name is required');
+            }
+            household.name = name;
+        }
+        if (changes.status !== undefined) {
+            household.status = changes.status;
+        }
+
+        this.save();
+        return household;
+    }
+
+    /**
+     * Remove a household and its devices
+     */
+    removeHousehold(householdId) {
+        const index = this.households.findIndex(h => h.id === householdId);
+        if (index === -1) return false;
+
+        this.households.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Add a device to a household and return it
+     */
+    addDevice(householdId, { name, type = 'appliance', profileId, groupId = null, ratedPower, priority = 'medium', meteringSource = 'modelled' }) {
+        const household = this.getHousehold(householdId);
+        if (!household) {
+            throw new Error(`Unknown household: ${householdId}`);
+        }
+
+        if (!DEVICE_TYPES[type]) {
+            throw new Error(`Unknown device type: ${type}`);
+        }
+
+        const deviceName = name || DEVICE_TYPES[type].name;
+        const device = {
+            id: this.createId(deviceName, household.devices.map(d => d.id)),
+            status: 'on',
+            power: 0,
+            powerLimit: null,
+            shed: false,
+            profileState: null,
+            smartCharging: null
+        };
+        this.applyDeviceChanges(device, {
+            name: deviceName,
+            type,
+            profileId: profileId || DEVICE_TYPES[type].profileId,
+            ratedPower: ratedPower !== undefined ? ratedPower : DEVICE_TYPES[type].ratedPower,
+            priority,
+            meteringSource,
+            groupId
+        }, household);
+
+        household.devices.push(device);
+        this.save();
+        return device;
+    }
+
+    /**
+     * Edit a device's name, type, group, power profile, rated power, priority, metering source or status
+     */
+    updateDevice(householdId, deviceId, changes) {
+        const device = this.getDevice(householdId, deviceId);
+        if (!device) {
+            throw new Error(`Unknown device: ${householdId}/${deviceId}`);
+        }
+
+        this.applyDeviceChanges(device, changes, this.getHousehold(householdId));
+        this.save();
+        return device;
+    }
+
+    /**
+     * Validate changes and apply them to a device; nothing is applied when any change is invalid
+     */
+    applyDeviceChanges(device, changes, household) {
+        const updated = { ...changes };
+
+        // An empty group id (e.g. from a form select) means ungrouped
+        if (updated.groupId !== undefined) {
+            updated.groupId = updated.groupId || null;
+            if (updated.groupId && !household.groups.some(g => g.id === updated.groupId)) {
+                throw new Error(`Unknown group: ${updated.groupId}`);
+            }
+        }
+
+        if (updated.name !== undefined) {
+            updated.name = String(updated.name).trim();
+            if (!updated.name) throw new Error('Device name is required');
+        }
+        if (updated.type !== undefined && !DEVICE_TYPES[updated.type]) {
+            throw new Error(`Unknown device type: ${updated.type}`);
+        }
+        if (updated.profileId !== undefined && (typeof updated.profileId !== 'string' || !updated.profileId)) {
+            throw new Error('Power profile is required');
+        }
+        if (updated.ratedPower !== undefined) {
+            updated.ratedPower = Number(updated.ratedPower);
+            if (isNaN(updated.ratedPower) || updated.ratedPower <= 0) {
+                throw new Error('Rated power must be a positive number of kW');
+            }
+        }
+        if (updated.priority !== undefined && !DEVICE_PRIORITIES.includes(updated.priority)) {
+            throw new Error(`Unknown priority: ${updated.priority}`);
+        }
+        if (updated.meteringSource !== undefined && !METERING_SOURCES.includes(updated.meteringSource)) {
+            throw new Error(`Unknown metering source: ${updated.meteringSource}`);
+        }
+        if (updated.status !== undefined && !['on', 'off', 'auto'].includes(updated.status)) {
+            throw new Error(`Unknown device status: ${updated.status}`);
+        }
+
+        Object.assign(device, updated);
+    }
+
+    /**
+     * Add a room or group to a household and return it
+     */
+    addGroup(householdId, { name }) {
+        const household = this.getHousehold(householdId);
+        if (!household) {
+            throw new Error(`Unknown household: ${householdId}`);
+        }
+
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Group name is required');
+        }
+
+        const group = { id: this.createId(trimmed, household.groups.map(g => g.id)), name: trimmed };
+        household.groups.push(group);
+        this.save();
+        return group;
+    }
+
+    /**
+     * Rename a group
+     */
+    updateGroup(householdId, groupId, { name }) {
+        const household = this.getHousehold(householdId);
+        const group = household && household.groups.find(g => g.id === groupId);
+        if (!group) {
+            throw new Error(`Unknown group: ${householdId}/${groupId}`);
+        }
+
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Group name is required');
+        }
+
+        group.name = trimmed;
+        this.save();
+        return group;
+    }
+
+    /**
+     * Remove a group; its devices become ungrouped
+     */
+    removeGroup(householdId, groupId) {
+        const household = this.getHousehold(householdId);
+        if (!household) return false;
+
+        const index = household.groups.findIndex(g => g.id === groupId);
+        if (index === -1) return false;
+
+        household.groups.splice(index, 1);
+        household.devices.forEach(device => {
+            if (device.groupId === groupId) device.groupId = null;
+        });
+        this.save();
+        return true;
+    }
+
+    /**
+     * Split a household's devices by group, in group order with ungrouped devices last:
+     * [{ id, name, devices }] (ungrouped devices have id null)
+     */
+    getDeviceGroups(household) {
+        const sections = household.groups.map(group => ({
+            id: group.id,
+            name: group.name,
+            devices: household.devices.filter(device => device.groupId === group.id)
+        }));
+
+        const ungrouped = household.devices.filter(device => 
+            !device.groupId || !household.groups.some(group => group.id === device.groupId));
+        if (ungrouped.length > 0) {
+            sections.push({ id: null, name: 'Ungrouped', devices: ungrouped });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Remove a device from a household
+     */
+    removeDevice(householdId, deviceId) {
+        const household = this.getHousehold(householdId);
+        if (!household) return false;
+
+        const index = household.devices.findIndex(d => d.id === deviceId);
+        if (index === -1) return false;
+
+        household.devices.splice(index, 1);
+        this.save();
+        return true;
+    }
+}
+
+// Export for external access
+window.DEVICE_TYPES = DEVICE_TYPES;
+window.DEVICE_PRIORITIES = DEVICE_PRIORITIES;
+window.METERING_SOURCES = METERING_SOURCES;
+window.HouseholdRegistry = HouseholdRegistry;
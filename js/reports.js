@@ -103,7 +103,7 @@ class ReportsManager {
         const efficiency = reportData.statistics.efficiency;
         const efficiencyTrend = this.calculateTrend(efficiency, 75); // Compare to baseline
         
-        const costSavings = this.calculateCostSavings(reportData.statistics);
+        const costSavings = this.calculateCostSavings(this.currentPeriod);
         const co2Reduced = this.calculateCO2Reduction(reportData.statistics);
 
         // Update DOM elements
@@ -119,7 +119,7 @@ class ReportsManager {
         }
 
         if (elements.costSavings) {
-            elements.costSavings.textContent = `$${costSavings.toFixed(2)}`;
+            elements.costSavings.textContent = window.energyDataManager.getTariff().formatMoney(costSavings);
         }
 
         if (elements.co2Reduced) {
@@ -135,13 +135,11 @@ class ReportsManager {
     }
 
     /**
-     * Calculate cost savings
+     * Calculate cost savings over a period: what the consumption would have cost from the grid
+     * at time-of-use rates, less the actual import cost and export credit
      */
-    calculateCostSavings(statistics) {
-        // Simplified calculation: assume $0.12 per kWh grid rate
-        const gridRate = 0.12;
-        const renewableGeneration = statistics.totalGeneration;
-        return renewableGeneration * gridRate;
+    calculateCostSavings(period = this.currentPeriod) {
+        return window.energyDataManager.getCostSummary(period).savings;
     }
 
     /**
@@ -219,6 +217,28 @@ class ReportsManager {
                         ${this.getEfficiencyRating(stats.efficiency)}
                     </div>
                 </div>
+                <div class="analytics-item">
+                    <h4>Generation by Source</h4>
+                    <div class="analytics-value">${stats.totalSolar} kWh solar</div>
+                    <div class="analytics-change">${stats.totalWind} kWh wind</div>
+                </div>
+                <div class="analytics-item">
+                    <h4>Battery Throughput</h4>
+                    <div class="analytics-value">${stats.totalBatteryDischarge} kWh discharged</div>
+                    <div class="analytics-change">${stats.totalBatteryCharge} kWh charged</div>
+                </div>
+                <div class="analytics-item">
+                    <h4>Grid Import</h4>
+                    <div class="analytics-value">${stats.totalGridImport} kWh</div>
+                    <div class="analytics-change">Peak: ${stats.peakGridImport} kW</div>
+                </div>
+                <div class="analytics-item">
+                    <h4>Grid Export</h4>
+                    <div class="analytics-value">${stats.totalGridExport} kWh</div>
+                    <div class="analytics-change">
+                        Net: ${Math.abs(stats.totalGridImport - stats.totalGridExport).toFixed(2)} kWh ${stats.totalGridImport >= stats.totalGridExport ? 'imported' : 'exported'}
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -266,7 +286,19 @@ class ReportsManager {
         const stats = reportData.statistics;
         const monthlyGen = stats.totalGeneration;
         const monthlyCons = stats.totalConsumption;
-        const costSavings = this.calculateCostSavings(stats);
+        const costs = window.energyDataManager.getCostSummary(reportData.period);
+        const bills = window.energyDataManager.getHouseholdBills(reportData.period);
+        const tariff = window.energyDataManager.getTariff();
+        const billsHTML = bills.map(bill => `
+            <div class="analytics-item">
+                <h4>${escapeHTML(bill.name)} Bill</h4>
+                <div class="analytics-value">${tariff.formatMoney(bill.total)}</div>
+                <div class="analytics-change">
+                    ${bill.energy} kWh • Energy ${tariff.formatMoney(bill.energyCost)} •
+                    Export credit ${tariff.formatMoney(bill.exportCredit)} • Daily charges ${tariff.formatMoney(bill.fixedCharges)}
+                </div>
+            </div>
+        `).join('');
         
         return `
             <div class="analytics-grid">
@@ -282,14 +314,23 @@ class ReportsManager {
                 </div>
                 <div class="analytics-item">
                     <h4>Estimated Savings</h4>
-                    <div class="analytics-value">$${costSavings.toFixed(2)}</div>
-                    <div class="analytics-change">vs. grid-only power</div>
+                    <div class="analytics-value">${tariff.formatMoney(costs.savings)}</div>
+                    <div class="analytics-change">vs. grid-only power (${tariff.formatMoney(costs.gridOnlyCost)})</div>
+                </div>
+                <div class="analytics-item">
+                    <h4>Site Energy Bill</h4>
+                    <div class="analytics-value">${tariff.formatMoney(costs.total)}</div>
+                    <div class="analytics-change">
+                        Import ${tariff.formatMoney(costs.importCost)} • Export credit ${tariff.formatMoney(costs.exportCredit)} •
+                        Daily charges ${tariff.formatMoney(costs.fixedCharges)}
+                    </div>
                 </div>
                 <div class="analytics-item">
                     <h4>ROI Progress</h4>
                     <div class="analytics-value">12.5%</div>
                     <div class="analytics-change">Annual return on investment</div>
                 </div>
+                ${billsHTML}
             </div>
         `;
     }
@@ -328,12 +369,24 @@ class ReportsManager {
             summary: {
                 totalGeneration: reportData.statistics.totalGeneration,
                 totalConsumption: reportData.statistics.totalConsumption,
+                totalSolar: reportData.statistics.totalSolar,
+                totalWind: reportData.statistics.totalWind,
+                totalBatteryCharge: reportData.statistics.totalBatteryCharge,
+                totalBatteryDischarge: reportData.statistics.totalBatteryDischarge,
+                totalGridImport: reportData.statistics.totalGridImport,
+                totalGridExport: reportData.statistics.totalGridExport,
                 efficiency: reportData.statistics.efficiency,
-                costSavings: this.calculateCostSavings(reportData.statistics),
+                costSavings: this.calculateCostSavings(this.currentPeriod),
                 co2Reduction: this.calculateCO2Reduction(reportData.statistics)
             },
+            costs: {
+                currency: window.energyDataManager.getTariff().getTariff().currency,
+                ...window.energyDataManager.getCostSummary(this.currentPeriod)
+            },
+            householdBills: window.energyDataManager.getHouseholdBills(this.currentPeriod),
             historicalData: reportData.data,
             currentStatus: {
+                energyToday: currentData.dailySummary,
                 battery: currentData.battery,
                 grid: currentData.grid,
                 generation: currentData.generation,
@@ -413,7 +466,7 @@ class ReportsManager {
                 consumption: reportData.statistics.totalConsumption
             },
             financials: {
-                costSavings: this.calculateCostSavings(reportData.statistics),
+                costSavings: this.calculateCostSavings(reportPeriod),
                 co2Reduction: this.calculateCO2Reduction(reportData.statistics)
             }
         };
@@ -0,0 +1,557 @@
+/**
+ * Schedule Engine Module
+ * Runs structured schedules against household devices on every data tick.
+ * A schedule applies its action while its time window is open and its conditions hold,
+ * and puts devices back when either stops being true.
+ */
+
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How a schedule picks the days it runs on; the first three fill in days for you
+const SCHEDULE_RECURRENCES = {
+    daily: { label: 'Daily', days: [0, 1, 2, 3, 4, 5, 6] },
+    weekdays: { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+    weekends: { label: 'Weekends', days: [0, 6] },
+    days: { label: 'Selected days' },
+    dates: { label: 'Specific dates' }
+};
+
+// Actions a schedule can take on its targets
+const SCHEDULE_ACTIONS = {
+    on: 'Switch on',
+    off: 'Switch off',
+    limit: 'Limit power'
+};
+
+const DEFAULT_SCHEDULES = [
+    {
+        id: 1,
+        name: 'Night Charging',
+        active: true,
+        start: '22:00',
+        end: '06:00',
+        recurrence: 'daily',
+        days: [0, 1, 2, 3, 4, 5, 6],
+        dates: [],
+        targets: [{ type: 'device', householdId: 'house2', deviceId: 'ev' }],
+        action: { type: 'on' },
+        conditions: []
+    },
+    {
+        id: 2,
+        name: 'Peak Shaving',
+        active: true,
+        start: '16:00',
+        end: '20:00',
+        recurrence: 'weekdays',
+        days: [1, 2, 3, 4, 5],
+        dates: [],
+        targets: [{ type: 'priority', priority: 'low' }],
+        action: { type: 'limit', limitKw: 0.5 },
+        conditions: [{ metric: 'generationSurplus', comparator: '<', value: 0 }]
+    }
+];
+
+class ScheduleEngine {
+    /**
+     * getSunTimes(date) returns { sunrise, sunset } for the site, used by sunrise/sunset-relative times
+     */
+    constructor(registry, getSunTimes = null, storageKey = 'energySchedules') {
+        this.registry = registry;
+        this.getSunTimes = getSunTimes;
+        this.storageKey = storageKey;
+        this.conditions = new ConditionEvaluator();
+        this.schedules = [];
+        this.load();
+    }
+
+    /**
+     * Load schedules (with their run state) from localStorage, falling back to the defaults
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading schedules:', error);
+        }
+
+        const schedules = Array.isArray(saved) ? saved : JSON.parse(JSON.stringify(DEFAULT_SCHEDULES));
+        this.schedules = schedules.map(schedule => ({
+            recurrence: 'days',
+            dates: [],
+            conditions: [],
+            lastRun: null,
+            running: false,
+            previousStates: {},
+            ...schedule
+        }));
+    }
+
+    /**
+     * Save schedules, including run state so a reload mid-window still restores devices
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.schedules));
+    }
+
+    /**
+     * Parse a schedule time: "HH:MM", or "sunrise"/"sunset" with an optional minute offset
+     * such as "sunset+30" or "sunrise-45". Returns { anchor, minutes }, where minutes are after
+     * midnight for 'time' and an offset for 'sunrise'/'sunset'.
+     */
+    parseTime(text) {
+        const value = String(text).trim().toLowerCase();
+
+        const sun = /^(sunrise|sunset)(?:\s*([+-])\s*(\d{1,3}))?$/.exec(value);
+        if (sun) {
+            const offset = sun[2] ? Number(sun[3]) * (sun[2] === '-' ? -1 : 1) : 0;
+            return { anchor: sun[1], minutes: offset };
+        }
+
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`Invalid time "${text}" (expected HH:MM, sunrise or sunset)`);
+        }
+        return { anchor: 'time', minutes: Number(match[1]) * 60 + Number(match[2]) };
+    }
+
+    /**
+     * Resolve a schedule time on a calendar date, or null when the sun does not rise or set
+     */
+    resolveTime(text, date) {
+        const { anchor, minutes } = this.parseTime(text);
+
+        if (anchor === 'time') {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(minutes / 60), minutes % 60);
+        }
+
+        const sunTimes = this.getSunTimes ? this.getSunTimes(date) : null;
+        if (!sunTimes || !sunTimes[anchor]) return null;
+        return new Date(sunTimes[anchor].getTime() + minutes * 60000);
+    }
+
+    /**
+     * Local calendar date as "YYYY-MM-DD"
+     */
+    getDateKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Check a schedule definition; throws with the first problem found
+     */
+    validateSchedule(schedule) {
+        if (!schedule.name || !String(schedule.name).trim()) {
+            throw new Error('Schedule name is required');
+        }
+
+        const start = this.parseTime(schedule.start);
+        const end = this.parseTime(schedule.end);
+        if (start.anchor === end.anchor && start.minutes === end.minutes) {
+            throw new Error('Start and end times must differ');
+        }
+
+        if (!SCHEDULE_RECURRENCES[schedule.recurrence]) {
+            throw new Error(`Unknown recurrence: ${schedule.recurrence}`);
+        }
+        if (schedule.recurrence === 'dates') {
+            if (!Array.isArray(schedule.dates) || schedule.dates.length === 0) {
+                throw new Error('Add at least one date');
+            }
+            schedule.dates.forEach(date => {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+                    throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+                }
+            });
+        } else if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+            schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('Choose at least one day of the week');
+        }
+
+        if (!Array.isArray(schedule.targets) || schedule.targets.length === 0) {
+            throw new Error('Choose at least one target device, group or priority');
+        }
+        schedule.targets.forEach(target => {
+            if (!['device', 'group', 'priority'].includes(target.type)) {
+                throw new Error(`Unknown target type: ${target.type}`);
+            }
+            if (target.type === 'device' && !this.registry.getDevice(target.householdId, target.deviceId)) {
+                throw new Error(`Target device ${target.householdId}/${target.deviceId} does not exist`);
+            }
+            if (target.type === 'group') {
+                const household = this.registry.getHousehold(target.householdId);
+                if (!household || !household.groups.some(group => group.id === target.groupId)) {
+                    throw new Error(`Target group ${target.householdId}/${target.groupId} does not exist`);
+                }
+            }
+            if (target.type === 'priority' && !DEVICE_PRIORITIES.includes(target.priority)) {
+                throw new Error(`Unknown priority: ${target.priority}`);
+            }
+        });
+
+        (schedule.conditions || []).forEach(condition => this.conditions.validate(condition));
+
+        if (!schedule.action || !SCHEDULE_ACTIONS[schedule.action.type]) {
+            throw new Error('Choose an action (on, off or limit)');
+        }
+        if (schedule.action.type === 'limit' &&
+            !(typeof schedule.action.limitKw === 'number' && schedule.action.limitKw >= 0)) {
+            throw new Error('A power limit needs a limit in kW');
+        }
+    }
+
+    /**
+     * Get schedules
+     */
+    getSchedules() {
+        return this.schedules;
+    }
+
+    /**
+     * Find a schedule by id
+     */
+    getSchedule(scheduleId) {
+        return this.schedules.find(s => s.id === scheduleId) || null;
+    }
+
+    /**
+     * Add a schedule after validating it
+     */
+    addSchedule(schedule) {
+        this.validateSchedule(schedule);
+
+        const newSchedule = {
+            id: Date.now(),
+            active: true,
+            dates: [],
+            conditions: [],
+            ...schedule,
+            lastRun: null,
+            running: false,
+            previousStates: {}
+        };
+        this.schedules.push(newSchedule);
+        this.save();
+        return newSchedule;
+    }
+
+    /**
+     * Replace a schedule's definition. A running schedule restores its devices first;
+     * the next tick starts it again if the new definition applies.
+     */
+    updateSchedule(scheduleId, changes) {
+        const schedule = this.getSchedule(scheduleId);
+        if (!schedule) {
+            throw new Error(`Unknown schedule: ${scheduleId}`);
+        }
+        this.validateSchedule({ ...schedule, ...changes });
+
+        if (schedule.running) {
+            this.finish(schedule);
+        }
+        Object.assign(schedule, changes);
+        this.save();
+        this.registry.save();
+        return schedule;
+    }
+
+    /**
+     * Delete a schedule, restoring its devices if it is running
+     */
+    removeSchedule(scheduleId) {
+        const schedule = this.getSchedule(scheduleId);
+        if (!schedule) return false;
+
+        if (schedule.running) {
+            this.finish(schedule);
+            this.registry.save();
+        }
+        this.schedules.splice(this.schedules.indexOf(schedule), 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Turn a schedule on or off; turning off a running schedule restores its devices now
+     */
+    setActive(scheduleId, active) {
+        const schedule = this.getSchedule(scheduleId);
+        if (!schedule) return false;
+
+        if (!active && schedule.running) {
+            this.finish(schedule);
+            this.registry.save();
+        }
+        schedule.active = active;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Check whether a schedule runs on a calendar date
+     */
+    runsOn(schedule, date) {
+        return schedule.recurrence === 'dates' ?
+            schedule.dates.includes(this.getDateKey(date)) : schedule.days.includes(date.getDay());
+    }
+
+    /**
+     * The window a schedule opens on a date, { start, end }, or null when it cannot be resolved.
+     * A window whose end is not after its start runs past midnight.
+     */
+    getWindow(schedule, date) {
+        const start = this.resolveTime(schedule.start, date);
+        const end = this.resolveTime(schedule.end, date);
+        if (!start || !end) return null;
+
+        if (end <= start) {
+            end.setDate(end.getDate() + 1);
+        }
+        return { start, end };
+    }
+
+    /**
+     * The window containing a time, or null. Windows that cross midnight belong to the day they start on.
+     */
+    getCurrentWindow(schedule, now) {
+        for (const offset of [-1, 0]) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+            if (!this.runsOn(schedule, date)) continue;
+
+            const window = this.getWindow(schedule, date);
+            if (window && now >= window.start && now < window.end) {
+                return window;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a time falls inside one of a schedule's windows
+     */
+    isInWindow(schedule, now) {
+        return this.getCurrentWindow(schedule, now) !== null;
+    }
+
+    /**
+     * Next time the schedule's window opens after now (looking up to a year ahead), or null
+     */
+    getNextRun(schedule, now = new Date()) {
+        for (let offset = 0; offset <= 366; offset++) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+            if (!this.runsOn(schedule, date)) continue;
+
+            const window = this.getWindow(schedule, date);
+            if (window && window.start > now) {
+                return window.start;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Time the currently open window closes, or null when it is closed
+     */
+    getWindowEnd(schedule, now = new Date()) {
+        const window = this.getCurrentWindow(schedule, now);
+        return window ? window.end : null;
+    }
+
+    /**
+     * Resolve a schedule's targets to devices: [{ household, device }] without duplicates
+     */
+    resolveTargets(schedule) {
+        const matches = new Map();
+
+        this.registry.households.forEach(household => {
+            household.devices.forEach(device => {
+                const hit = schedule.targets.some(target => {
+                    switch (target.type) {
+                        case 'device':
+                            return target.householdId === household.id && target.deviceId === device.id;
+                        case 'group':
+                            return target.householdId === household.id && target.groupId === device.groupId;
+                        case 'priority':
+                            return target.priority === device.priority;
+                        default:
+                            return false;
+                    }
+                });
+                if (hit) {
+                    matches.set(`${household.id}/${device.id}`, { household, device });
+                }
+            });
+        });
+
+        return Array.from(matches.values());
+    }
+
+    /**
+     * Run all schedules for the current time. Called once per data tick, before consumption is modelled,
+     * so conditions see the previous tick's data. context is the condition context
+     * (see EnergyDataManager.getConditionContext). Returns what started or finished on this tick.
+     */
+    apply(now = new Date(), context = null) {
+        const changes = [];
+
+        // Power limits are recalculated every tick from the schedules that are running
+        this.registry.households.forEach(household => {
+            household.devices.forEach(device => { device.powerLimit = null; });
+        });
+
+        this.schedules.forEach(schedule => {
+            const shouldRun = schedule.active && this.isInWindow(schedule, now) &&
+                (!context || this.conditions.evaluateAll(schedule.conditions, context));
+
+            if (shouldRun && !schedule.running) {
+                this.start(schedule, now);
+                changes.push(`${schedule.name} started`);
+            } else if (!shouldRun && schedule.running) {
+                this.finish(schedule);
+                changes.push(`${schedule.name} finished`);
+            }
+
+            if (schedule.running && schedule.action.type === 'limit') {
+                this.resolveTargets(schedule).forEach(({ device }) => {
+                    device.powerLimit = device.powerLimit === null ?
+                        schedule.action.limitKw : Math.min(device.powerLimit, schedule.action.limitKw);
+                });
+            }
+        });
+
+        if (changes.length > 0) {
+            this.save();
+            this.registry.save();
+        }
+        return changes;
+    }
+
+    /**
+     * Open a schedule's window: remember target states and apply on/off actions
+     */
+    start(schedule, now) {
+        schedule.running = true;
+        schedule.lastRun = now.toISOString();
+        schedule.previousStates = {};
+
+        if (schedule.action.type === 'on' || schedule.action.type === 'off') {
+            this.resolveTargets(schedule).forEach(({ household, device }) => {
+                schedule.previousStates[`${household.id}/${device.id}`] = device.status;
+                device.status = schedule.action.type;
+            });
+        }
+    }
+
+    /**
+     * Close a schedule's window: put devices back the way they were before it started. A device
+     * switched since (by hand, a rule or an emergency resume) is left as it is.
+     */
+    finish(schedule) {
+        Object.entries(schedule.previousStates || {}).forEach(([key, status]) => {
+            const [householdId, deviceId] = key.split('/');
+            const device = this.registry.getDevice(householdId, deviceId);
+            if (device && device.status === schedule.action.type) {
+                device.status = status;
+            }
+        });
+
+        schedule.running = false;
+        schedule.previousStates = {};
+    }
+
+    /**
+     * Close every running schedule's window now and lift their power limits, for when schedules
+     * are paused. Returns what finished.
+     */
+    finishAll() {
+        const running = this.schedules.filter(schedule => schedule.running);
+        running.forEach(schedule => this.finish(schedule));
+
+        this.registry.households.forEach(household => {
+            household.devices.forEach(device => { device.powerLimit = null; });
+        });
+
+        if (running.length > 0) {
+            this.save();
+            this.registry.save();
+        }
+        return running.map(schedule => `${schedule.name} finished`);
+    }
+
+    /**
+     * Describe a schedule's days, e.g. "Daily", "Weekdays" or "Mon, Wed"
+     */
+    describeDays(days) {
+        const sorted = [...days].sort();
+        if (sorted.length === 7) return 'Daily';
+        if (sorted.join() === '1,2,3,4,5') return 'Weekdays';
+        if (sorted.join() === '0,6') return 'Weekends';
+        return sorted.map(day => SCHEDULE_DAY_NAMES[day]).join(', ');
+    }
+
+    /**
+     * Describe a schedule time, e.g. "22:00" or "Sunset +30 min"
+     */
+    describeTime(text) {
+        const { anchor, minutes } = this.parseTime(text);
+        if (anchor === 'time') return String(text).trim();
+
+        const name = anchor === 'sunrise' ? 'Sunrise' : 'Sunset';
+        return minutes === 0 ? name : `${name} ${minutes > 0 ? '+' : '-'}${Math.abs(minutes)} min`;
+    }
+
+    /**
+     * Describe when a schedule recurs
+     */
+    describeRecurrence(schedule) {
+        return schedule.recurrence === 'dates' ?
+            `On ${[...schedule.dates].sort().join(', ')}` : this.describeDays(schedule.days);
+    }
+
+    /**
+     * Describe a schedule's conditions, or "Always" when it has none
+     */
+    describeConditions(conditions = []) {
+        return conditions.length > 0 ?
+            conditions.map(condition => this.conditions.describe(condition)).join(' and ') : 'Always';
+    }
+
+    /**
+     * Describe a schedule's targets using current household, group and device names
+     */
+    describeTargets(targets) {
+        return targets.map(target => {
+            const household = target.householdId ? this.registry.getHousehold(target.householdId) : null;
+            switch (target.type) {
+                case 'device': {
+                    const device = this.registry.getDevice(target.householdId, target.deviceId);
+                    return device ? `${household.name} ${device.name}` : `${target.householdId}/${target.deviceId} (removed)`;
+                }
+                case 'group': {
+                    const group = household && household.groups.find(g => g.id === target.groupId);
+                    return group ? `${household.name} ${group.name}` : `${target.householdId}/${target.groupId} (removed)`;
+                }
+                case 'priority':
+                    return `All ${target.priority} priority devices`;
+                default:
+                    return target.type;
+            }
+        }).join(', ');
+    }
+
+    /**
+     * Describe a schedule's action
+     */
+    describeAction(action) {
+        return action.type === 'limit' ?
+            `${SCHEDULE_ACTIONS.limit} to ${action.limitKw} kW` : SCHEDULE_ACTIONS[action.type];
+    }
+}
+
+// Export for external access
+window.SCHEDULE_DAY_NAMES = SCHEDULE_DAY_NAMES;
+window.SCHEDULE_RECURRENCES = SCHEDULE_RECURRENCES;
+window.SCHEDULE_ACTIONS = SCHEDULE_ACTIONS;
+window.ScheduleEngine = ScheduleEngine;
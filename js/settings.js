@@ -5,11 +5,27 @@
 
 class SettingsManager {
     constructor() {
-        this.settings = {
+        this.settings = this.getDefaultSettings();
+        this.isInitialized = false;
+        this.languages = {
+            'en': 'English',
+            'es': 'Español',
+            'fr': 'Français',
+            'de': 'Deutsch',
+            'zh': '中文'
+        };
+    }
+
+    /**
+     * Get default settings
+     */
+    getDefaultSettings() {
+        return {
             general: {
                 language: 'en',
                 theme: 'dark',
-                timezone: 'UTC'
+                timezone: 'UTC',
+                operatorName: ''
             },
             dashboard: {
                 updateFrequency: 5000,
@@ -25,16 +41,29 @@ class SettingsManager {
                 retentionPeriod: 90,
                 shareUsageData: false,
                 cloudBackup: true
+            },
+            dataSource: {
+                type: 'simulator',
+                url: '',
+                pollInterval: 5000,
+                seed: '',
+                scenario: 'normal'
+            },
+            battery: {
+                capacityKwh: 20,
+                maxChargeKw: 5,
+                maxDischargeKw: 6,
+                roundTripEfficiency: 90
+            },
+            site: {
+                latitude: 51.5,
+                longitude: -0.12,
+                solarKwp: 12,
+                tilt: 35,
+                azimuth: 180,
+                turbineRatedKw: 10
             }
         };
-        this.isInitialized = false;
-        this.languages = {
-            'en': 'English',
-            'es': 'Español',
-            'fr': 'Français',
-            'de': 'Deutsch',
-            'zh': '中文'
-        };
     }
 
     /**
@@ -81,6 +110,21 @@ class SettingsManager {
         
         // Data & privacy
         this.setupDataSettings();
+        
+        // Data source
+        this.setupDataSourceSettings();
+        
+        // Battery
+        this.setupBatterySettings();
+
+        // Site
+        this.setupSiteSettings();
+
+        // Device profiles
+        this.setupDeviceProfileSettings();
+
+        // Tariff
+        this.setupTariffSettings();
     }
 
     /**
@@ -90,6 +134,7 @@ class SettingsManager {
         const languageSelect = document.getElementById('language-select');
         const themeSelect = document.getElementById('theme-select');
         const timezoneSelect = document.getElementById('timezone-select');
+        const operatorName = document.getElementById('operator-name');
 
         if (languageSelect) {
             languageSelect.addEventListener('change', (e) => {
@@ -108,6 +153,17 @@ class SettingsManager {
         if (timezoneSelect) {
             timezoneSelect.addEventListener('change', (e) => {
                 this.settings.general.timezone = e.target.value;
+                
+                // Re-render chart labels in the new time zone
+                if (window.chartManager) {
+                    window.chartManager.updateAllCharts();
+                }
+            });
+        }
+
+        if (operatorName) {
+            operatorName.addEventListener('change', (e) => {
+                this.settings.general.operatorName = e.target.value.trim();
             });
         }
     }
@@ -179,6 +235,7 @@ class SettingsManager {
         if (dataRetention) {
             dataRetention.addEventListener('change', (e) => {
                 this.settings.data.retentionPeriod = parseInt(e.target.value);
+                this.applyRetentionPeriod(parseInt(e.target.value));
             });
         }
 
@@ -195,6 +252,212 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Setup data source settings event listeners
+     */
+    setupDataSourceSettings() {
+        const sourceType = document.getElementById('data-source-type');
+        const sourceUrl = document.getElementById('data-source-url');
+        const pollInterval = document.getElementById('data-source-interval');
+
+        if (sourceType) {
+            sourceType.addEventListener('change', (e) => {
+                this.settings.dataSource.type = e.target.value;
+                this.applyDataSource(this.settings.dataSource);
+            });
+        }
+
+        if (sourceUrl) {
+            sourceUrl.addEventListener('change', (e) => {
+                this.settings.dataSource.url = e.target.value.trim();
+                this.applyDataSource(this.settings.dataSource);
+            });
+        }
+
+        if (pollInterval) {
+            pollInterval.addEventListener('change', (e) => {
+                this.settings.dataSource.pollInterval = parseInt(e.target.value);
+                this.applyDataSource(this.settings.dataSource);
+            });
+        }
+
+        const seed = document.getElementById('simulator-seed');
+        const scenario = document.getElementById('simulator-scenario');
+
+        if (seed) {
+            seed.addEventListener('change', (e) => {
+                this.settings.dataSource.seed = e.target.value.trim();
+                this.applyDataSource(this.settings.dataSource);
+            });
+        }
+
+        if (scenario) {
+            scenario.addEventListener('change', (e) => {
+                this.settings.dataSource.scenario = e.target.value;
+                this.applyDataSource(this.settings.dataSource);
+            });
+        }
+    }
+
+    /**
+     * Setup battery settings event listeners
+     */
+    setupBatterySettings() {
+        const fields = {
+            'battery-capacity': 'capacityKwh',
+            'battery-max-charge': 'maxChargeKw',
+            'battery-max-discharge': 'maxDischargeKw',
+            'battery-efficiency': 'roundTripEfficiency'
+        };
+
+        Object.entries(fields).forEach(([elementId, key]) => {
+            const input = document.getElementById(elementId);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (isNaN(value) || value <= 0) {
+                        e.target.value = this.settings.battery[key];
+                        return;
+                    }
+                    this.settings.battery[key] = value;
+                    this.applyBatterySettings(this.settings.battery);
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup site settings event listeners
+     */
+    setupSiteSettings() {
+        const fields = {
+            'site-latitude': { key: 'latitude', min: -90, max: 90 },
+            'site-longitude': { key: 'longitude', min: -180, max: 180 },
+            'site-solar-kwp': { key: 'solarKwp', min: 0, max: 1000 },
+            'site-tilt': { key: 'tilt', min: 0, max: 90 },
+            'site-azimuth': { key: 'azimuth', min: 0, max: 360 },
+            'site-turbine-kw': { key: 'turbineRatedKw', min: 0, max: 1000 }
+        };
+
+        Object.entries(fields).forEach(([elementId, { key, min, max }]) => {
+            const input = document.getElementById(elementId);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (isNaN(value) || value < min || value > max) {
+                        e.target.value = this.settings.site[key];
+                        return;
+                    }
+                    this.settings.site[key] = value;
+                    this.applySiteSettings(this.settings.site);
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup device profile library editor; the library is stored apart from these settings
+     */
+    setupDeviceProfileSettings() {
+        const editor = document.getElementById('device-profiles-json');
+        const saveBtn = document.getElementById('save-device-profiles');
+        const resetBtn = document.getElementById('reset-device-profiles');
+
+        if (saveBtn && editor) {
+            saveBtn.addEventListener('click', () => {
+                try {
+                    window.energyDataManager.getProfileLibrary().setProfiles(JSON.parse(editor.value));
+                    this.showNotification('Device profiles saved!', 'success');
+                    this.refreshDeviceProfileViews();
+                } catch (error) {
+                    alert(`Profiles not saved: ${error.message}`);
+                }
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (confirm('Replace the profile library with the built-in profiles?')) {
+                    window.energyDataManager.getProfileLibrary().reset();
+                    this.updateDeviceProfileEditor();
+                    this.refreshDeviceProfileViews();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the current profile library in the editor
+     */
+    updateDeviceProfileEditor() {
+        const editor = document.getElementById('device-profiles-json');
+        if (editor && window.energyDataManager) {
+            editor.value = JSON.stringify(window.energyDataManager.getProfileLibrary().getProfiles(), null, 2);
+        }
+    }
+
+    /**
+     * Refresh views that list profiles
+     */
+    refreshDeviceProfileViews() {
+        if (window.householdManager && window.householdManager.isInitialized) {
+            window.householdManager.renderRegistryPanel();
+        }
+    }
+
+    /**
+     * Setup tariff editor; like the profile library, the tariff is stored apart from these settings
+     */
+    setupTariffSettings() {
+        const editor = document.getElementById('tariff-json');
+        const saveBtn = document.getElementById('save-tariff');
+        const resetBtn = document.getElementById('reset-tariff');
+
+        if (saveBtn && editor) {
+            saveBtn.addEventListener('click', () => {
+                try {
+                    window.energyDataManager.getTariff().setTariff(JSON.parse(editor.value));
+                    this.showNotification('Tariff saved!', 'success');
+                    this.refreshTariffViews();
+                } catch (error) {
+                    alert(`Tariff not saved: ${error.message}`);
+                }
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (confirm('Replace the tariff with the default time-of-use tariff?')) {
+                    window.energyDataManager.getTariff().reset();
+                    this.updateTariffEditor();
+                    this.refreshTariffViews();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the current tariff in the editor
+     */
+    updateTariffEditor() {
+        const editor = document.getElementById('tariff-json');
+        if (editor && window.energyDataManager) {
+            editor.value = JSON.stringify(window.energyDataManager.getTariff().getTariff(), null, 2);
+        }
+    }
+
+    /**
+     * Refresh views that show costs
+     */
+    refreshTariffViews() {
+        if (window.reportsManager && window.reportsManager.isInitialized) {
+            window.reportsManager.update();
+        }
+        if (window.householdManager && window.householdManager.isInitialized) {
+            window.householdManager.update();
+        }
+    }
+
     /**
      * Load settings from localStorage
      */
@@ -244,28 +507,7 @@ class SettingsManager {
             localStorage.removeItem('energyDashboardSettings');
             
             // Reset to default values
-            this.settings = {
-                general: {
-                    language: 'en',
-                    theme: 'dark',
-                    timezone: 'UTC'
-                },
-                dashboard: {
-                    updateFrequency: 5000,
-                    defaultChartPeriod: '24h',
-                    showAnimations: true
-                },
-                units: {
-                    energy: 'kwh',
-                    power: 'kw',
-                    temperature: 'celsius'
-                },
-                data: {
-                    retentionPeriod: 90,
-                    shareUsageData: false,
-                    cloudBackup: true
-                }
-            };
+            this.settings = this.getDefaultSettings();
             
             this.updateUI();
             this.applyAllSettings();
@@ -281,10 +523,12 @@ class SettingsManager {
         const languageSelect = document.getElementById('language-select');
         const themeSelect = document.getElementById('theme-select');
         const timezoneSelect = document.getElementById('timezone-select');
+        const operatorName = document.getElementById('operator-name');
 
         if (languageSelect) languageSelect.value = this.settings.general.language;
         if (themeSelect) themeSelect.value = this.settings.general.theme;
         if (timezoneSelect) timezoneSelect.value = this.settings.general.timezone;
+        if (operatorName) operatorName.value = this.settings.general.operatorName;
 
         // Dashboard preferences
         const updateFrequency = document.getElementById('update-frequency');
@@ -312,6 +556,53 @@ class SettingsManager {
         if (dataRetention) dataRetention.value = this.settings.data.retentionPeriod;
         if (shareUsageData) shareUsageData.checked = this.settings.data.shareUsageData;
         if (cloudBackup) cloudBackup.checked = this.settings.data.cloudBackup;
+
+        // Data source
+        const sourceType = document.getElementById('data-source-type');
+        const sourceUrl = document.getElementById('data-source-url');
+        const pollInterval = document.getElementById('data-source-interval');
+
+        if (sourceType) sourceType.value = this.settings.dataSource.type;
+        if (sourceUrl) sourceUrl.value = this.settings.dataSource.url;
+        if (pollInterval) pollInterval.value = this.settings.dataSource.pollInterval;
+
+        const seed = document.getElementById('simulator-seed');
+        const scenario = document.getElementById('simulator-scenario');
+
+        if (seed) seed.value = this.settings.dataSource.seed;
+        if (scenario) scenario.value = this.settings.dataSource.scenario;
+        this.updateDataSourceStatus();
+
+        // Battery
+        const batteryCapacity = document.getElementById('battery-capacity');
+        const batteryMaxCharge = document.getElementById('battery-max-charge');
+        const batteryMaxDischarge = document.getElementById('battery-max-discharge');
+        const batteryEfficiency = document.getElementById('battery-efficiency');
+
+        if (batteryCapacity) batteryCapacity.value = this.settings.battery.capacityKwh;
+        if (batteryMaxCharge) batteryMaxCharge.value = this.settings.battery.maxChargeKw;
+        if (batteryMaxDischarge) batteryMaxDischarge.value = this.settings.battery.maxDischargeKw;
+        if (batteryEfficiency) batteryEfficiency.value = this.settings.battery.roundTripEfficiency;
+
+        // Device profiles
+        this.updateDeviceProfileEditor();
+
+        // Tariff
+        this.updateTariffEditor();
+
+        // Site
+        const siteFields = {
+            'site-latitude': 'latitude',
+            'site-longitude': 'longitude',
+            'site-solar-kwp': 'solarKwp',
+            'site-tilt': 'tilt',
+            'site-azimuth': 'azimuth',
+            'site-turbine-kw': 'turbineRatedKw'
+        };
+        Object.entries(siteFields).forEach(([elementId, key]) => {
+            const input = document.getElementById(elementId);
+            if (input) input.value = this.settings.site[key];
+        });
     }
 
     /**
@@ -386,6 +677,90 @@ class SettingsManager {
         );
     }
 
+    /**
+     * Apply data retention setting
+     */
+    applyRetentionPeriod(days) {
+        if (window.energyDataManager) {
+            window.energyDataManager.setRetentionPeriod(days);
+        }
+    }
+
+    /**
+     * Apply battery settings
+     */
+    applyBatterySettings(battery) {
+        if (window.energyDataManager) {
+            window.energyDataManager.configureBattery({
+                capacityKwh: battery.capacityKwh,
+                maxChargeKw: battery.maxChargeKw,
+                maxDischargeKw: battery.maxDischargeKw,
+                roundTripEfficiency: Math.min(100, battery.roundTripEfficiency) / 100
+            });
+        }
+    }
+
+    /**
+     * Apply site settings
+     */
+    applySiteSettings(site) {
+        if (window.energyDataManager) {
+            window.energyDataManager.configureSite(site);
+        }
+    }
+
+    /**
+     * Apply data source setting
+     */
+    applyDataSource(dataSource) {
+        if (window.energyDataManager) {
+            const overrides = dataSource.type === 'simulator' ? this.getUrlDataSourceOverrides() : {};
+            const { type, ...options } = { ...dataSource, ...overrides };
+            window.energyDataManager.setDataSource(type, options);
+        }
+
+        // Give the adapter a moment to connect before reporting its status
+        setTimeout(() => this.updateDataSourceStatus(), 1000);
+    }
+
+    /**
+     * Simulator seed and scenario from the page URL (?seed=42&scenario=heatwave), which win over saved
+     * settings while the simulator is the data source
+     */
+    getUrlDataSourceOverrides() {
+        const params = new URLSearchParams(window.location.search);
+        const overrides = {};
+
+        if (params.has('seed')) {
+            overrides.seed = params.get('seed');
+        }
+        if (params.has('scenario')) {
+            overrides.scenario = params.get('scenario');
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Update data source status display
+     */
+    updateDataSourceStatus() {
+        const statusElement = document.getElementById('data-source-status');
+        if (!statusElement || !window.energyDataManager) return;
+
+        const status = window.energyDataManager.getDataSourceStatus();
+        let text = status.lastError ? `${status.status} (${status.lastError})` : status.status;
+
+        // Show the seed in use so a run can be reproduced
+        if (status.seed) {
+            text += ` • seed ${status.seed} • ${status.scenario}`;
+        }
+        if (status.modelTime) {
+            text += ` • running at ${status.modelTime.toLocaleString()}`;
+        }
+        statusElement.textContent = text;
+    }
+
     /**
      * Apply all settings
      */
@@ -394,6 +769,10 @@ class SettingsManager {
         this.applyLanguage(this.settings.general.language);
         this.applyUpdateFrequency(this.settings.dashboard.updateFrequency);
         this.applyAnimationSettings(this.settings.dashboard.showAnimations);
+        this.applyRetentionPeriod(this.settings.data.retentionPeriod);
+        this.applyDataSource(this.settings.dataSource);
+        this.applyBatterySettings(this.settings.battery);
+        this.applySiteSettings(this.settings.site);
     }
 
     /**
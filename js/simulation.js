@@ -0,0 +1,85 @@
+/**
+ * Simulation Support Module
+ * Seeded random numbers and scenario presets so simulator runs can be reproduced
+ */
+
+/**
+ * Deterministic pseudo-random generator (mulberry32)
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed)) || 1;
+    }
+
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     */
+    static hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Scenario presets; any factor left out keeps its normal value
+const SIMULATOR_SCENARIOS = {
+    normal: {
+        name: 'Normal operation'
+    },
+    'cloudy-week': {
+        name: 'Cloudy week',
+        solarFactor: 0.25
+    },
+    'windless-night': {
+        name: 'Windless night',
+        nightWindFactor: 0.05
+    },
+    heatwave: {
+        name: 'Heatwave peak load',
+        solarFactor: 0.9,
+        coolingLoadFactor: 1.8,
+        ambientTemperature: 40
+    },
+    'grid-outage': {
+        name: 'Grid outage',
+        gridAvailable: false
+    },
+    'battery-failure': {
+        name: 'Battery failure',
+        batteryFault: true
+    }
+};
+
+// Seeded runs start at 06:00 on a day of this year picked by the seed, so a seed replays the same days
+const SIMULATOR_SEEDED_START_YEAR = 2024;
+
+// Values a scenario starts from (ambient temperature comes from the weather unless a scenario sets it)
+const SIMULATOR_SCENARIO_DEFAULTS = {
+    solarFactor: 1,
+    windFactor: 1,
+    nightWindFactor: 1,
+    loadFactor: 1,
+    coolingLoadFactor: 1,
+    gridAvailable: true,
+    batteryFault: false
+};
+
+// Export for external access
+window.SeededRandom = SeededRandom;
+window.SIMULATOR_SCENARIOS = SIMULATOR_SCENARIOS;
+window.SIMULATOR_SEEDED_START_YEAR = SIMULATOR_SEEDED_START_YEAR;
+window.SIMULATOR_SCENARIO_DEFAULTS = SIMULATOR_SCENARIO_DEFAULTS;
@@ -0,0 +1,288 @@
+/**
+ * Time-Series Storage Module
+ * Persists readings to IndexedDB as rollup buckets so history survives page reloads
+ */
+
+// Bucket sizes in milliseconds; daily buckets start at local midnight
+const TIME_SERIES_RESOLUTIONS = {
+    '30m': 30 * 60 * 1000,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+class TimeSeriesStore {
+    constructor(dbName = 'energyDashboard') {
+        this.dbName = dbName;
+        this.storeName = 'buckets';
+        this.db = null;
+        this.isReady = false;
+        this.retentionDays = 90;
+        this.storedBucketCount = 0;
+        this.buckets = {};
+        this.dirtyKeys = new Set();
+        this.flushTimer = null;
+        // Start of the hourly bucket the store was last pruned in
+        this.lastPruneHour = 0;
+
+        Object.keys(TIME_SERIES_RESOLUTIONS).forEach(resolution => {
+            this.buckets[resolution] = new Map();
+        });
+    }
+
+    /**
+     * Open the database and merge stored buckets with anything recorded meanwhile.
+     * Resolves false when IndexedDB is unavailable and the store stays in memory only.
+     */
+    open() {
+        return new Promise((resolve) => {
+            if (!window.indexedDB) {
+                this.isReady = true;
+                resolve(false);
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('resolution', 'resolution', { unique: false });
+                }
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                this.loadBuckets().then(() => {
+                    this.isReady = true;
+                    this.prune();
+                    this.flush();
+                    resolve(true);
+                });
+            };
+
+            request.onerror = () => {
+                console.error('Error opening time-series store:', request.error);
+                this.isReady = true;
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Load all stored buckets into memory
+     */
+    loadBuckets() {
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).getAll();
+
+            request.onsuccess = () => {
+                this.storedBucketCount = request.result.length;
+                request.result.forEach(stored => {
+                    const buckets = this.buckets[stored.resolution];
+                    if (!buckets) return;
+
+                    const existing = buckets.get(stored.start);
+                    if (existing) {
+                        // Readings recorded before the database opened belong in the same bucket
+                        this.mergeBucket(stored, existing);
+                        this.dirtyKeys.add(stored.key);
+                    }
+                    buckets.set(stored.start, stored);
+                });
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.error('Error loading time-series buckets:', request.error);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Add the sums and counts of one bucket into another
+     */
+    mergeBucket(target, source) {
+        target.count += source.count;
+        target.totals = target.totals || {};
+        Object.entries(source.sums).forEach(([metric, value]) => {
+            target.sums[metric] = (target.sums[metric] || 0) + value;
+        });
+        Object.entries(source.totals || {}).forEach(([metric, value]) => {
+            target.totals[metric] = (target.totals[metric] || 0) + value;
+        });
+    }
+
+    /**
+     * Get the start of the bucket containing a time
+     */
+    getBucketStart(resolution, time) {
+        if (resolution === 'daily') {
+            const date = new Date(time);
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        }
+        const size = TIME_SERIES_RESOLUTIONS[resolution];
+        return Math.floor(time / size) * size;
+    }
+
+    /**
+     * Record a sample of metric values (e.g. { generation: 8.2, consumption: 6.1 } in kW) at a time,
+     * with the energy in kWh accumulated since the previous sample. Values are averaged per bucket,
+     * energy is summed.
+     */
+    record(timestamp, values, energy = {}) {
+        const time = new Date(timestamp).getTime();
+
+        Object.keys(this.buckets).forEach(resolution => {
+            const start = this.getBucketStart(resolution, time);
+            let bucket = this.buckets[resolution].get(start);
+
+            if (!bucket) {
+                bucket = {
+                    key: `${resolution}:${start}`,
+                    resolution,
+                    start,
+                    count: 0,
+                    sums: {},
+                    totals: {}
+                };
+                this.buckets[resolution].set(start, bucket);
+            }
+
+            bucket.count++;
+            Object.entries(values).forEach(([metric, value]) => {
+                bucket.sums[metric] = (bucket.sums[metric] || 0) + value;
+            });
+            Object.entries(energy).forEach(([metric, value]) => {
+                bucket.totals[metric] = (bucket.totals[metric] || 0) + value;
+            });
+            this.dirtyKeys.add(bucket.key);
+        });
+
+        // Prune as each hour rolls over, so a dashboard left open keeps to the retention window
+        const hour = this.getBucketStart('hourly', time);
+        if (this.isReady && hour > this.lastPruneHour) {
+            this.lastPruneHour = hour;
+            this.prune();
+        }
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Coalesce writes from a burst of records into one transaction
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, 0);
+    }
+
+    /**
+     * Write changed buckets to IndexedDB
+     */
+    flush() {
+        if (!this.db || this.dirtyKeys.size === 0) return;
+
+        const transaction = this.db.transaction(this.storeName, 'readwrite');
+        const store = transaction.objectStore(this.storeName);
+
+        this.dirtyKeys.forEach(key => {
+            const [resolution, start] = key.split(':');
+            const bucket = this.buckets[resolution].get(Number(start));
+            if (bucket) {
+                store.put(bucket);
+            }
+        });
+        this.dirtyKeys.clear();
+
+        transaction.onerror = () => {
+            console.error('Error writing time-series buckets:', transaction.error);
+        };
+    }
+
+    /**
+     * Set how many days of hourly and daily history to keep
+     */
+    setRetention(days) {
+        this.retentionDays = days;
+        if (this.isReady) {
+            this.prune();
+        }
+    }
+
+    /**
+     * Drop buckets older than the retention window (half-hourly buckets are kept for two days)
+     */
+    prune() {
+        const now = Date.now();
+        const expired = [];
+
+        Object.entries(this.buckets).forEach(([resolution, buckets]) => {
+            const keepDays = resolution === '30m' ? 2 : this.retentionDays;
+            const cutoff = now - keepDays * TIME_SERIES_RESOLUTIONS.daily;
+
+            buckets.forEach((bucket, start) => {
+                if (start < cutoff) {
+                    buckets.delete(start);
+                    this.dirtyKeys.delete(bucket.key);
+                    expired.push(bucket.key);
+                }
+            });
+        });
+
+        if (this.db && expired.length > 0) {
+            const store = this.db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+            expired.forEach(key => store.delete(key));
+        }
+    }
+
+    /**
+     * Get bucket averages (kW) and energy (kWh) for a resolution since a time, oldest first.
+     * Buckets recorded without energy fall back to average power over the bucket length.
+     */
+    getSeries(resolution, since = 0) {
+        const buckets = this.buckets[resolution];
+        if (!buckets) return [];
+
+        const bucketHours = TIME_SERIES_RESOLUTIONS[resolution] / (60 * 60 * 1000);
+
+        return Array.from(buckets.values())
+            .filter(bucket => bucket.start >= since)
+            .sort((a, b) => a.start - b.start)
+            .map(bucket => {
+                const values = {};
+                const energy = {};
+                const totals = bucket.totals || {};
+
+                Object.entries(bucket.sums).forEach(([metric, sum]) => {
+                    values[metric] = sum / bucket.count;
+                    energy[metric] = typeof totals[metric] === 'number' ? 
+                        totals[metric] : values[metric] * bucketHours;
+                });
+                return { start: bucket.start, values, energy };
+            });
+    }
+
+    /**
+     * Get the energy totals recorded in a bucket
+     */
+    getBucketTotals(resolution, start) {
+        const bucket = this.buckets[resolution] && this.buckets[resolution].get(start);
+        return bucket ? { ...(bucket.totals || {}) } : {};
+    }
+
+    /**
+     * Check whether the database held any history when it was opened
+     */
+    hasStoredHistory() {
+        return this.storedBucketCount > 0;
+    }
+}
+
+// Export for external access
+window.TimeSeriesStore = TimeSeriesStore;
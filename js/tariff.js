@@ -0,0 +1,235 @@
+/**
+ * Tariff Module
+ * A time-of-use electricity tariff: seasons pick a set of rates, and weekday/weekend bands map
+ * times of day to tariff periods (off-peak, standard, peak). Times outside every band are standard.
+ * The tariff also has a fixed daily charge per household, an export (feed-in) rate and a currency.
+ * It is edited as JSON in Settings and saved to localStorage.
+ */
+
+const DEFAULT_TARIFF = {
+    name: 'Time of use',
+    currency: 'USD',
+    dailyCharge: 0.4,   // per household per day
+    exportRate: 0.05,   // per kWh exported
+    seasons: [
+        {
+            name: 'Summer',
+            months: [6, 7, 8, 9],
+            rates: { 'off-peak': 0.07, standard: 0.11, peak: 0.28 },
+            weekday: [
+                { start: '00:00', end: '07:00', period: 'off-peak' },
+                { start: '15:00', end: '21:00', period: 'peak' }
+            ],
+            weekend: [
+                { start: '00:00', end: '08:00', period: 'off-peak' }
+            ]
+        },
+        {
+            name: 'Winter',
+            months: [1, 2, 3, 4, 5, 10, 11, 12],
+            rates: { 'off-peak': 0.08, standard: 0.12, peak: 0.24 },
+            weekday: [
+                { start: '00:00', end: '07:00', period: 'off-peak' },
+                { start: '16:00', end: '20:00', period: 'peak' }
+            ],
+            weekend: [
+                { start: '00:00', end: '07:00', period: 'off-peak' }
+            ]
+        }
+    ]
+};
+
+class TariffModel {
+    constructor(storageKey = 'energyTariff') {
+        this.storageKey = storageKey;
+        this.tariff = null;
+        this.load();
+    }
+
+    /**
+     * Load the saved tariff, or the default when nothing has been saved
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading tariff:', error);
+        }
+
+        this.tariff = saved && typeof saved === 'object' ? saved : JSON.parse(JSON.stringify(DEFAULT_TARIFF));
+    }
+
+    /**
+     * Replace the tariff after validating it; throws with the first problem found
+     */
+    setTariff(tariff) {
+        this.validate(tariff);
+        this.tariff = tariff;
+        localStorage.setItem(this.storageKey, JSON.stringify(tariff));
+    }
+
+    /**
+     * Go back to the default tariff
+     */
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.load();
+    }
+
+    /**
+     * Get the tariff
+     */
+    getTariff() {
+        return this.tariff;
+    }
+
+    /**
+     * Check a tariff is complete: a currency, non-negative charges, and seasons that cover every
+     * month once with a rate for every period and well-formed bands
+     */
+    validate(tariff) {
+        if (!tariff || typeof tariff !== 'object') {
+            throw new Error('Tariff must be an object');
+        }
+        // Intl.NumberFormat takes any well-formed code, so check against the currencies it knows
+        if (!Intl.supportedValuesOf('currency').includes(tariff.currency)) {
+            throw new Error(`Unknown currency code: ${tariff.currency}`);
+        }
+        ['dailyCharge', 'exportRate'].forEach(key => {
+            if (typeof tariff[key] !== 'number' || isNaN(tariff[key]) || tariff[key] < 0) {
+                throw new Error(`"${key}" must be a number of 0 or more`);
+            }
+        });
+        if (!Array.isArray(tariff.seasons) || tariff.seasons.length === 0) {
+            throw new Error('Tariff needs at least one season');
+        }
+
+        const months = new Set();
+        tariff.seasons.forEach((season, index) => {
+            const label = season && season.name ? `Season "${season.name}"` : `Season ${index + 1}`;
+
+            if (!season || typeof season !== 'object') {
+                throw new Error(`${label} must be an object`);
+            }
+            if (!Array.isArray(season.months) || season.months.length === 0) {
+                throw new Error(`${label} needs a list of months (1-12)`);
+            }
+            season.months.forEach(month => {
+                if (!Number.isInteger(month) || month < 1 || month > 12) {
+                    throw new Error(`${label} has an invalid month: ${month}`);
+                }
+                if (months.has(month)) {
+                    throw new Error(`Month ${month} is in more than one season`);
+                }
+                months.add(month);
+            });
+
+            Object.keys(TARIFF_PERIODS).forEach(period => {
+                const rate = season.rates && season.rates[period];
+                if (typeof rate !== 'number' || isNaN(rate) || rate < 0) {
+                    throw new Error(`${label} needs a ${period} rate of 0 or more`);
+                }
+            });
+            if (season.exportRate !== undefined && (typeof season.exportRate !== 'number' || season.exportRate < 0)) {
+                throw new Error(`${label} export rate must be a number of 0 or more`);
+            }
+
+            ['weekday', 'weekend'].forEach(dayType => {
+                if (!Array.isArray(season[dayType])) {
+                    throw new Error(`${label} needs a list of ${dayType} bands (may be empty)`);
+                }
+                season[dayType].forEach(band => {
+                    if (!band || typeof band !== 'object') {
+                        throw new Error(`${label} ${dayType} bands must be objects with start, end and period`);
+                    }
+                    [band.start, band.end].forEach(time => {
+                        if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+                            throw new Error(`${label} ${dayType} band has an invalid time "${time || ''}" (expected HH:MM)`);
+                        }
+                    });
+                    if (!TARIFF_PERIODS[band.period]) {
+                        throw new Error(`${label} ${dayType} band has an unknown period: ${band.period}`);
+                    }
+                });
+            });
+        });
+
+        if (months.size !== 12) {
+            const missing = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].filter(month => !months.has(month));
+            throw new Error(`Months ${missing.join(', ')} are not in any season`);
+        }
+    }
+
+    /**
+     * Season whose months include a time
+     */
+    getSeason(time) {
+        const month = time.getMonth() + 1;
+        return this.tariff.seasons.find(season => season.months.includes(month)) || this.tariff.seasons[0];
+    }
+
+    /**
+     * Tariff period at a time; the first band containing it wins, standard when none does
+     */
+    getPeriod(time) {
+        const season = this.getSeason(time);
+        const weekend = time.getDay() === 0 || time.getDay() === 6;
+        const toMinutes = value => {
+            const [hours, minutes] = value.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const minutes = time.getHours() * 60 + time.getMinutes();
+
+        const band = (weekend ? season.weekend : season.weekday).find(({ start, end }) => {
+            const from = toMinutes(start);
+            const to = toMinutes(end);
+            return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+        });
+        return band ? band.period : 'standard';
+    }
+
+    /**
+     * Price per kWh imported at a time
+     */
+    getImportRate(time) {
+        return this.getSeason(time).rates[this.getPeriod(time)];
+    }
+
+    /**
+     * Price paid per kWh exported at a time; a season may override the tariff's export rate
+     */
+    getExportRate(time) {
+        const season = this.getSeason(time);
+        return season.exportRate !== undefined ? season.exportRate : this.tariff.exportRate;
+    }
+
+    /**
+     * Fixed charge per household per day
+     */
+    getDailyCharge() {
+        return this.tariff.dailyCharge;
+    }
+
+    /**
+     * Format an amount in the tariff's currency, e.g. "$12.40"
+     */
+    formatMoney(amount) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: this.tariff.currency }).format(amount);
+    }
+
+    /**
+     * Format a per-kWh rate with enough precision for pence/cents, e.g. "$0.075/kWh"
+     */
+    formatRate(rate) {
+        return `${new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: this.tariff.currency,
+            maximumFractionDigits: 3
+        }).format(rate)}/kWh`;
+    }
+}
+
+// Export for external access
+window.DEFAULT_TARIFF = DEFAULT_TARIFF;
+window.TariffModel = TariffModel;
@@ -0,0 +1,148 @@
+/**
+ * Weather Module
+ * Supplies cloud cover, wind speed and temperature for the site, from a local weather file
+ * (data/weather.json) when available, otherwise from built-in monthly climate normals
+ */
+
+// Monthly climate normals for a temperate site (January first), used when no weather file loads
+const DEFAULT_CLIMATE_NORMALS = [
+    { cloudCover: 0.75, windSpeed: 6.2, temperature: 4.5, temperatureRange: 5 },
+    { cloudCover: 0.72, windSpeed: 6.0, temperature: 5.0, temperatureRange: 6 },
+    { cloudCover: 0.66, windSpeed: 5.8, temperature: 7.5, temperatureRange: 7 },
+    { cloudCover: 0.60, windSpeed: 5.2, temperature: 10.0, temperatureRange: 9 },
+    { cloudCover: 0.56, windSpeed: 4.8, temperature: 13.5, temperatureRange: 10 },
+    { cloudCover: 0.52, windSpeed: 4.4, temperature: 16.5, temperatureRange: 10 },
+    { cloudCover: 0.50, windSpeed: 4.2, temperature: 18.5, temperatureRange: 10 },
+    { cloudCover: 0.52, windSpeed: 4.3, temperature: 18.0, temperatureRange: 9 },
+    { cloudCover: 0.58, windSpeed: 4.7, temperature: 15.5, temperatureRange: 8 },
+    { cloudCover: 0.66, windSpeed: 5.3, temperature: 12.0, temperatureRange: 7 },
+    { cloudCover: 0.72, windSpeed: 5.8, temperature: 7.5, temperatureRange: 6 },
+    { cloudCover: 0.76, windSpeed: 6.1, temperature: 5.0, temperatureRange: 5 }
+];
+
+class WeatherProvider {
+    constructor() {
+        this.normals = DEFAULT_CLIMATE_NORMALS;
+        this.hourly = [];
+        this.source = 'built-in';
+        this.loading = null;
+    }
+
+    /**
+     * Load the local weather file once. The file holds optional "monthly" normals (12 entries)
+     * and optional "hourly" observations ({ time, cloudCover, windSpeed, temperature }).
+     * Resolves false and keeps the built-in normals when the file is missing or invalid.
+     */
+    load(url = 'data/weather.json') {
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            try {
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await response.json();
+                if (Array.isArray(data.monthly) && data.monthly.length === 12) {
+                    this.normals = data.monthly;
+                }
+                if (Array.isArray(data.hourly)) {
+                    this.hourly = data.hourly
+                        .map(record => ({ ...record, time: new Date(record.time).getTime() }))
+                        .filter(record => !isNaN(record.time))
+                        .sort((a, b) => a.time - b.time);
+                }
+                this.source = url;
+                return true;
+            } catch (error) {
+                console.warn('Weather file unavailable, using built-in climate normals:', error.message);
+                return false;
+            }
+        })();
+
+        return this.loading;
+    }
+
+    /**
+     * Get the weather at a time. Observations are interpolated where the file covers the time;
+     * otherwise weather is synthesized from the monthly normals, varying by day and hour with the seed.
+     */
+    getWeather(time, seed = '') {
+        const observed = this.getObservedWeather(time);
+        if (observed) return observed;
+
+        // Interpolate between synthesized hours so generation changes smoothly
+        const hourMs = 60 * 60 * 1000;
+        const hourStart = Math.floor(time.getTime() / hourMs) * hourMs;
+        const fraction = (time.getTime() - hourStart) / hourMs;
+        const before = this.synthesizeHour(hourStart, seed);
+        const after = this.synthesizeHour(hourStart + hourMs, seed);
+
+        return {
+            cloudCover: before.cloudCover + (after.cloudCover - before.cloudCover) * fraction,
+            windSpeed: before.windSpeed + (after.windSpeed - before.windSpeed) * fraction,
+            temperature: before.temperature + (after.temperature - before.temperature) * fraction
+        };
+    }
+
+    /**
+     * Interpolate the observations either side of a time, or null when the file does not cover it
+     */
+    getObservedWeather(time) {
+        const records = this.hourly;
+        const target = time.getTime();
+        const maxGap = 3 * 60 * 60 * 1000;
+
+        if (records.length === 0 || target < records[0].time || target > records[records.length - 1].time) {
+            return null;
+        }
+
+        let index = records.findIndex(record => record.time >= target);
+        if (records[index].time === target) index++;
+        const before = records[Math.max(0, index - 1)];
+        const after = records[Math.min(records.length - 1, index)];
+
+        if (after.time - before.time > maxGap) return null;
+
+        const fraction = after.time === before.time ? 0 : (target - before.time) / (after.time - before.time);
+        const lerp = key => before[key] + (after[key] - before[key]) * fraction;
+
+        return {
+            cloudCover: lerp('cloudCover'),
+            windSpeed: lerp('windSpeed'),
+            temperature: lerp('temperature')
+        };
+    }
+
+    /**
+     * Synthesize weather for the hour starting at a time from the normals.
+     * Each day gets its own cloudiness and windiness, with smaller hour-to-hour changes on top.
+     */
+    synthesizeHour(hourStart, seed) {
+        const date = new Date(hourStart);
+        const normals = this.normals[date.getMonth()];
+        const dayKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+        const day = new SeededRandom(`${seed}:weather:${dayKey}`);
+        const hour = new SeededRandom(`${seed}:weather:${hourStart}`);
+
+        const dayCloud = normals.cloudCover + (day.next() - 0.5) * 0.9;
+        const cloudCover = Math.min(1, Math.max(0, dayCloud + (hour.next() - 0.5) * 0.2));
+
+        // Wind picks up in the afternoon and varies strongly from day to day
+        const diurnalWind = 1 + 0.15 * Math.sin(((date.getHours() - 9) / 24) * 2 * Math.PI);
+        const dayWind = 0.4 + day.next() * 1.2;
+        const windSpeed = Math.max(0, normals.windSpeed * dayWind * diurnalWind * (0.85 + hour.next() * 0.3));
+
+        // Temperature peaks mid-afternoon; clear days swing further
+        const swing = normals.temperatureRange * (1.3 - cloudCover * 0.6);
+        const temperature = normals.temperature + (swing / 2) * Math.sin(((date.getHours() - 9) / 24) * 2 * Math.PI) +
+            (day.next() - 0.5) * 4;
+
+        return { cloudCover, windSpeed, temperature };
+    }
+}
+
+// Shared provider so the weather file is fetched once
+window.WeatherProvider = WeatherProvider;
+window.weatherProvider = new WeatherProvider();
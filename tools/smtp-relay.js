@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * SMTP Relay
+ * Browsers cannot speak SMTP, so Email notification channels POST their messages here and this
+ * relay hands them to an SMTP server. It is meant for a local mail catcher (Mailpit, MailHog,
+ * smtp4dev...) and so uses plain SMTP without TLS or authentication. Node built-ins only.
+ *
+ *   node tools/smtp-relay.js
+ *
+ * Then set the Email channel URL to http://localhost:8025/send. Environment variables:
+ *   RELAY_HOST (127.0.0.1), RELAY_PORT (8025), SMTP_HOST (localhost), SMTP_PORT (1025),
+ *   RELAY_ALLOW_ORIGIN (http://localhost:8000), the origin the dashboard is served from
+ *
+ * The relay only listens on the loopback interface unless RELAY_HOST says otherwise, as anyone who
+ * can reach it can send mail through the SMTP server. For the same reason browsers may only use it
+ * from RELAY_ALLOW_ORIGIN: requests from any other page (whose Origin header differs) are refused.
+ * A dashboard opened from a file sends "null" as its origin. Request bodies over 64 KB are refused.
+ *
+ * POST /send with JSON { from, to: [addresses], subject, text }
+ * Responds 200 { ok: true } once the SMTP server accepts the message, or 4xx/502 { ok: false, error }.
+ */
+
+const http = require('http');
+const net = require('net');
+const os = require('os');
+
+const RELAY_HOST = process.env.RELAY_HOST || '127.0.0.1';
+const RELAY_PORT = Number(process.env.RELAY_PORT) || 8025;
+const RELAY_ALLOW_ORIGIN = process.env.RELAY_ALLOW_ORIGIN || 'http://localhost:8000';
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+const SMTP_TIMEOUT_MS = 10000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Check a message has a sender, at least one recipient, a subject and a body
+ */
+function validateMessage(message) {
+    const address = /^[^\s<>@]+@[^\s<>@]+$/;
+    if (!message || typeof message !== 'object') {
+        return 'Body must be a JSON object';
+    }
+    if (!address.test(message.from || '')) {
+        return `Invalid from address: ${message.from}`;
+    }
+    if (!Array.isArray(message.to) || message.to.length === 0 || message.to.some(to => !address.test(to))) {
+        return 'to must be a list of email addresses';
+    }
+    if (typeof message.subject !== 'string' || typeof message.text !== 'string') {
+        return 'subject and text are required';
+    }
+    return null;
+}
+
+/**
+ * Build the RFC 5322 message: headers, then the body with lone dots escaped for DATA
+ */
+function formatMessage({ from, to, subject, text }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = text.replace(/\r?\n/g, '\r\n').split('\r\n')
+        .map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Send a message over one SMTP conversation. Resolves once the server accepts it.
+ */
+function sendMail(message) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: SMTP_HOST, port: SMTP_PORT });
+        // Each step: what to send once the previous reply arrives, and the reply code expected
+        const steps = [
+            { command: null, expect: 220 },
+            { command: `EHLO ${os.hostname()}`, expect: 250 },
+            { command: `MAIL FROM:<${message.from}>`, expect: 250 },
+            ...message.to.map(to => ({ command: `RCPT TO:<${to}>`, expect: 250 })),
+            { command: 'DATA', expect: 354 },
+            { command: formatMessage(message), raw: true, expect: 250 },
+            { command: 'QUIT', expect: 221 }
+        ];
+        let step = 0;
+        let buffer = '';
+
+        const fail = error => {
+            socket.destroy();
+            reject(error);
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error('SMTP server timed out')));
+        socket.on('error', fail);
+        socket.on('data', chunk => {
+            buffer += chunk;
+            // A reply is complete at a line with a space after the code ("250 OK", not "250-SIZE")
+            const lines = buffer.split('\r\n');
+            const last = lines.findIndex(line => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+            if (last === -1) return;
+
+            const reply = lines[last];
+            buffer = lines.slice(last + 1).join('\r\n');
+
+            if (parseInt(reply.slice(0, 3), 10) !== steps[step].expect) {
+                fail(new Error(`SMTP server replied: ${reply}`));
+                return;
+            }
+
+            step++;
+            if (step === steps.length) {
+                socket.end();
+                resolve();
+                return;
+            }
+            const { command, raw } = steps[step];
+            socket.write(raw ? command : `${command}\r\n`);
+        });
+    });
+}
+
+/**
+ * Write a JSON response; the dashboard is served from another origin, which CORS lets read it
+ */
+function respond(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': RELAY_ALLOW_ORIGIN,
+        'Vary': 'Origin',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    // Browsers always send Origin from another page; requests without one come from local tools
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin !== RELAY_ALLOW_ORIGIN) {
+        respond(res, 403, { ok: false, error: `Origin ${origin} may not use this relay` });
+        return;
+    }
+    if (req.method === 'OPTIONS') {
+        respond(res, 204, {});
+        return;
+    }
+    if (req.method !== 'POST' || req.url !== '/send') {
+        respond(res, 404, { ok: false, error: 'POST messages to /send' });
+        return;
+    }
+
+    let body = '';
+    let received = 0;
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        if (tooLarge) return;
+        received += Buffer.byteLength(chunk);
+        if (received > MAX_BODY_BYTES) {
+            // Refuse the rest of the upload and close the connection once the reply is out
+            tooLarge = true;
+            body = '';
+            res.setHeader('Connection', 'close');
+            res.on('finish', () => req.destroy());
+            respond(res, 413, { ok: false, error: `Body must be at most ${MAX_BODY_BYTES} bytes` });
+            return;
+        }
+        body += chunk;
+    });
+    req.on('end', async () => {
+        if (tooLarge) return;
+        let message;
+        try {
+            message = JSON.parse(body);
+        } catch (error) {
+            respond(res, 400, { ok: false, error: 'Body must be JSON' });
+            return;
+        }
+
+        const problem = validateMessage(message);
+        if (problem) {
+            respond(res, 400, { ok: false, error: problem });
+            return;
+        }
+
+        try {
+            await sendMail(message);
+            console.log(`Sent "${message.subject}" to ${message.to.join(', ')}`);
+            respond(res, 200, { ok: true });
+        } catch (error) {
+            console.error(`Could not send "${message.subject}": ${error.message}`);
+            respond(res, 502, { ok: false, error: error.message });
+        }
+    });
+});
+
+server.listen(RELAY_PORT, RELAY_HOST, () => {
+    console.log(`SMTP relay listening on http://${RELAY_HOST}:${RELAY_PORT}/send for ${RELAY_ALLOW_ORIGIN}, ` +
+        `sending through ${SMTP_HOST}:${SMTP_PORT}`);
+});